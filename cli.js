@@ -9,6 +9,7 @@ const { program } = require('commander');
 const { FacebookBlogAutomation } = require('./src/index');
 const { Setup } = require('./src/setup');
 const { FileManager } = require('./src/utils/FileManager');
+const { DraftStore } = require('./src/utils/DraftStore');
 const { Logger } = require('./src/utils/Logger');
 const config = require('./config/config.json');
 
@@ -59,9 +60,16 @@ program
 program
     .command('run-once')
     .description('一度だけメール処理を実行')
-    .action(async () => {
+    .option('-s, --source <type>', 'メールソース (gmail | local)')
+    .option('-m, --mail-dir <dir>', 'ローカルメールソースのディレクトリ（.eml または Maildir）')
+    .option('-p, --provider <name>', 'AIプロバイダー (openai | azure | compatible | stub)')
+    .action(async (options) => {
         try {
-            const automation = new FacebookBlogAutomation();
+            const automation = new FacebookBlogAutomation({
+                source: options.mailDir && !options.source ? 'local' : options.source,
+                mailDir: options.mailDir,
+                provider: options.provider
+            });
             
             const initialized = await automation.initialize();
             if (!initialized) {
@@ -79,6 +87,345 @@ program
         }
     });
 
+// 下書き管理コマンド
+const draftsCommand = program
+    .command('drafts')
+    .description('保存済みの下書きを確認・承認・投稿');
+
+draftsCommand
+    .command('list')
+    .description('下書きの一覧を表示')
+    .option('--status <status>', 'ステータスで絞り込み (draft | approved | rejected | published)')
+    .action(async (options) => {
+        try {
+            const draftStore = new DraftStore();
+            const drafts = (await draftStore.list())
+                .filter(draft => !options.status || draft.status === options.status);
+            
+            if (drafts.length === 0) {
+                console.log('下書きはありません');
+                return;
+            }
+            
+            console.log(`\n📝 下書き一覧 (${drafts.length}件)\n`);
+            drafts.forEach(draft => {
+                console.log(`  [${draft.status}] ${draft.id}`);
+                console.log(`     ${draft.meta.title} (${draft.meta.author})`);
+            });
+            
+        } catch (error) {
+            console.error('下書き一覧エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+draftsCommand
+    .command('show <id>')
+    .description('下書きの内容を表示')
+    .action(async (id) => {
+        try {
+            const draft = await new DraftStore().get(id);
+            
+            console.log(`\n📝 ${draft.meta.title}\n`);
+            Object.entries(draft.meta).forEach(([key, value]) => {
+                console.log(`  ${key}: ${Array.isArray(value) ? value.join(', ') : value}`);
+            });
+            console.log('\n' + draft.content);
+            
+        } catch (error) {
+            console.error('下書き表示エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+draftsCommand
+    .command('approve <id>')
+    .description('下書きを承認（投稿可能にする）')
+    .action(async (id) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            const draft = await automation.approveDraft(id);
+            console.log(`✅ 承認しました: ${draft.id}`);
+            
+        } catch (error) {
+            console.error('下書き承認エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+draftsCommand
+    .command('reject <id>')
+    .description('下書きを却下（投稿対象から外す）')
+    .action(async (id) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            const draft = await automation.rejectDraft(id);
+            console.log(`🚫 却下しました: ${draft.id}`);
+            
+        } catch (error) {
+            console.error('下書き却下エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+draftsCommand
+    .command('publish <id>')
+    .description('承認済みの下書きをブログに投稿')
+    .option('-f, --force', '未承認・投稿結果不明の下書きも投稿')
+    .action(async (id, options) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            await automation.ledger.load();
+            
+            const result = await automation.publishDraft(id, { force: options.force });
+            console.log(`🎉 投稿しました: ${result.url || result.id}`);
+            
+        } catch (error) {
+            console.error('下書き投稿エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// ブログ記事一覧コマンド
+const entriesCommand = program
+    .command('entries')
+    .description('ブログに投稿済みの記事を確認');
+
+entriesCommand
+    .command('list')
+    .description('ブログの記事一覧を表示')
+    .option('--drafts', '下書きのみ表示')
+    .option('--since <date>', '指定日時以降に公開された記事のみ表示')
+    .option('-l, --limit <n>', '最大件数')
+    .option('--json', 'JSON形式で出力')
+    .action(async (options) => {
+        try {
+            if (options.since && isNaN(new Date(options.since).getTime())) {
+                throw new Error(`日時の形式が正しくありません: ${options.since}`);
+            }
+            
+            const { createPublisher } = require('./src/services/Publisher');
+            const publisher = createPublisher();
+            const entries = await publisher.getEntries({
+                drafts: options.drafts,
+                since: options.since,
+                limit: options.limit ? parseInt(options.limit) : undefined
+            });
+            
+            if (options.json) {
+                console.log(JSON.stringify(entries, null, 2));
+                return;
+            }
+            
+            console.log(`\n📚 記事一覧 (${entries.length}件)\n`);
+            console.table(entries.map(entry => ({
+                id: entry.id,
+                published: entry.published,
+                draft: entry.draft ? 'yes' : 'no',
+                title: entry.title,
+                url: entry.url
+            })));
+            
+        } catch (error) {
+            console.error('記事一覧取得エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// ダイジェストコマンド
+const digestCommand = program
+    .command('digest')
+    .description('複数の投稿をまとめるダイジェスト記事の確認・作成');
+
+digestCommand
+    .command('status')
+    .description('保留中の投稿の件数を表示')
+    .action(async () => {
+        try {
+            const { DigestService } = require('./src/services/DigestService');
+            const digestService = new DigestService();
+            const groups = await digestService.status();
+            
+            console.log(`\n📚 ダイジェスト (${digestService.enabled ? '有効' : '無効'} / ${digestService.groupBy}単位 / しきい値 ${digestService.threshold || 'なし'} / スケジュール ${digestService.schedule})\n`);
+            if (groups.length === 0) {
+                console.log('保留中の投稿はありません');
+                return;
+            }
+            
+            groups.forEach(group => {
+                const period = `${new Date(group.oldest).toLocaleDateString('ja-JP')}〜${new Date(group.newest).toLocaleDateString('ja-JP')}`;
+                console.log(`  ${group.label}: ${group.count}件 (${period})${group.pendingDigest ? ` [作成中: ${group.pendingDigest}]` : ''}`);
+                console.log(`     key: ${group.key}`);
+            });
+            
+        } catch (error) {
+            console.error('ダイジェスト状況エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+digestCommand
+    .command('flush')
+    .description('保留中の投稿をすぐにまとめ記事にする（件数がしきい値未満でも作成）')
+    .option('-k, --key <key>', '対象のキー（digest status で表示される key）')
+    .action(async (options) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            const digests = await automation.flushDigests({ force: true, key: options.key });
+            
+            if (digests.length === 0) {
+                console.log(`まとめ記事にする投稿はありません（最小 ${automation.digestService.minPosts}件）`);
+                return;
+            }
+            
+            digests.forEach(digest => {
+                console.log(`✅ ${digest.label}: ${digest.posts.length}件をまとめました (${digest.id})`);
+            });
+            
+        } catch (error) {
+            console.error('ダイジェスト作成エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// 投稿キューコマンド
+const queueCommand = program
+    .command('queue')
+    .description('自動投稿の投稿キューの確認・変更');
+
+queueCommand
+    .command('list')
+    .description('投稿待ちの記事と投稿予定時刻を表示')
+    .option('-a, --all', '投稿済み・保留中の記事も表示')
+    .action(async (options) => {
+        try {
+            const { PublishQueue } = require('./src/services/PublishQueue');
+            const queue = new PublishQueue();
+            const planned = await queue.list();
+            const others = options.all
+                ? Object.values((await queue.read()).items).filter(item => item.status !== 'queued')
+                : [];
+            
+            console.log(`\n🕒 投稿キュー (${queue.enabled ? '有効' : '無効'} / ${queue.timezone})\n`);
+            if (planned.length === 0 && others.length === 0) {
+                console.log('投稿待ちの記事はありません');
+                return;
+            }
+            
+            planned.forEach(item => {
+                const scheduled = item.scheduledAt ? ` / 指定 ${queue.formatTime(item.scheduledAt)}` : '';
+                const error = item.lastError ? ` / 前回のエラー: ${item.lastError}` : '';
+                console.log(`  ${queue.formatTime(item.plannedAt)}  ${item.title}`);
+                console.log(`     id: ${item.id} / ${item.blog}${scheduled}${error}`);
+            });
+            others.forEach(item => {
+                console.log(`  [${item.status}] ${item.title}`);
+                console.log(`     id: ${item.id} / ${item.blog}${item.publishedAt ? ` / 投稿 ${queue.formatTime(item.publishedAt)}` : ''}${item.lastError ? ` / ${item.lastError}` : ''}`);
+            });
+            
+        } catch (error) {
+            console.error('投稿キュー表示エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+queueCommand
+    .command('reschedule <id> <time>')
+    .description('投稿日時を指定（例: "2024-05-01 09:30"。タイムゾーンは publishQueue.timezone）')
+    .action(async (id, time) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            const queue = automation.publishQueue;
+            const scheduledAt = queue.parseTime(time);
+            const item = await queue.reschedule(id, scheduledAt);
+            
+            // 下書きのフロントマターにも反映
+            if (item.draftId) {
+                await automation.draftStore.update(item.draftId, { scheduledAt: scheduledAt.toISOString() });
+            }
+            
+            const planned = (await queue.list()).find(queued => queued.id === id);
+            console.log(`🕒 投稿日時を変更しました: ${item.title}`);
+            console.log(`   指定 ${queue.formatTime(scheduledAt)} → 投稿予定 ${queue.formatTime(planned.plannedAt)}`);
+            
+        } catch (error) {
+            console.error('投稿日時変更エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+queueCommand
+    .command('flush')
+    .description('投稿待ちの記事をすぐに投稿（投稿予定時刻・制限にかかわらず）')
+    .option('--due', '投稿予定時刻を過ぎた記事だけを投稿')
+    .action(async (options) => {
+        try {
+            const automation = new FacebookBlogAutomation();
+            const published = await automation.drainPublishQueue({ force: !options.due });
+            
+            if (published.length === 0) {
+                console.log('投稿した記事はありません');
+                return;
+            }
+            
+            published.forEach(item => console.log(`🎉 投稿しました: ${item.title} (${item.id})`));
+            
+        } catch (error) {
+            console.error('投稿キュー処理エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// プロンプトテンプレートコマンド
+const templatesCommand = program
+    .command('templates')
+    .description('記事生成プロンプトのテンプレートを確認');
+
+templatesCommand
+    .command('list')
+    .description('テンプレートの一覧と選択ルールを表示')
+    .action(() => {
+        const { PromptTemplates } = require('./src/utils/PromptTemplates');
+        const templates = new PromptTemplates();
+        
+        console.log(`\n📄 テンプレート一覧 (${templates.dir})\n`);
+        templates.list().forEach(name => console.log(`  - ${name}`));
+        
+        if (Object.keys(templates.postTypes).length > 0) {
+            console.log('\n投稿タイプ別:');
+            Object.entries(templates.postTypes).forEach(([type, name]) => console.log(`  ${type} → ${name}`));
+        }
+        if (Object.keys(templates.authors).length > 0) {
+            console.log('\n投稿者別:');
+            Object.entries(templates.authors).forEach(([author, name]) => console.log(`  ${author} → ${name}`));
+        }
+    });
+
+templatesCommand
+    .command('preview <template>')
+    .description('投稿データ（JSON）からプロンプトを生成して表示（AIは呼び出しません）')
+    .requiredOption('--post <file>', '投稿データのJSONファイル（例: templates/samples/photo.json）')
+    .option('--language <language>', 'システムプロンプトの言語（ja / en）', 'ja')
+    .action(async (template, options) => {
+        try {
+            const fs = require('fs-extra');
+            const { PromptTemplates } = require('./src/utils/PromptTemplates');
+            const { systemPromptOf } = require('./src/utils/Language');
+            const templates = new PromptTemplates();
+            const postData = await fs.readJson(options.post);
+            
+            console.log(`\n📄 テンプレート: ${template}（この投稿で自動選択されるテンプレート: ${templates.resolve(postData)}）`);
+            console.log('\n--- システムプロンプト ---');
+            console.log(systemPromptOf(options.language));
+            console.log('\n--- プロンプト ---');
+            console.log(templates.render(template, postData));
+            
+        } catch (error) {
+            console.error('テンプレート表示エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
 // 統計表示コマンド
 program
     .command('stats')
@@ -163,36 +510,28 @@ program
         try {
             console.log('🧪 システムテストを実行します...\n');
             
-            // Gmail接続テスト
-            console.log('📧 Gmail API接続テスト...');
-            const { GmailService } = require('./src/services/GmailService');
-            const gmailService = new GmailService();
-            await gmailService.authenticate();
-            console.log('✅ Gmail API - OK\n');
-            
-            // はてなブログ接続テスト
-            console.log('📝 はてなブログ API接続テスト...');
-            const { HatenaBlogService } = require('./src/services/HatenaBlogService');
-            const hatenaBlogService = new HatenaBlogService();
-            await hatenaBlogService.authenticate();
-            console.log('✅ はてなブログ API - OK\n');
-            
-            // OpenAI接続テスト
-            if (process.env.OPENAI_API_KEY) {
-                console.log('🤖 OpenAI API接続テスト...');
-                const { BlogGenerator } = require('./src/services/BlogGenerator');
-                const generator = new BlogGenerator();
-                // 簡単なテスト投稿でブログ生成
-                const testPost = await generator.generateFallbackPost({
-                    author: 'Test User',
-                    content: 'This is a test post',
-                    postType: 'test',
-                    date: new Date().toISOString(),
-                    images: [],
-                    links: []
-                });
-                console.log('✅ OpenAI API - OK\n');
-            }
+            // メールソース接続テスト
+            console.log('📧 メールソース接続テスト...');
+            const { createMailSource } = require('./src/services/MailSource');
+            const mailSource = createMailSource();
+            await mailSource.authenticate();
+            console.log(`✅ ${mailSource.constructor.name} - OK\n`);
+            
+            // ブログ投稿先接続テスト
+            console.log(`📝 ブログ投稿先接続テスト (${config.blog.platform})...`);
+            const { createPublisher } = require('./src/services/Publisher');
+            const publisher = createPublisher();
+            const result = await publisher.authenticate();
+            // はてなブログは成功した認証方式名を返す
+            const strategy = typeof result === 'string' ? ` (${result})` : '';
+            console.log(`✅ ${publisher.constructor.name}${strategy} - OK\n`);
+            
+            // AIプロバイダー接続テスト（短い応答を1回生成）
+            const { createLLMProvider } = require('./src/services/LLMProvider');
+            const llm = createLLMProvider();
+            console.log(`🤖 AIプロバイダー接続テスト (${llm.constructor.name} / ${llm.modelName})...`);
+            await llm.complete({ user: '「OK」とだけ返答してください。', maxTokens: 5, temperature: 0 });
+            console.log(`✅ ${llm.constructor.name} - OK\n`);
             
             console.log('🎉 すべてのテストが成功しました！');
             
@@ -202,6 +541,169 @@ program
         }
     });
 
+// 通知メール解析コマンド（FacebookParser の確認・フィクスチャ更新）
+program
+    .command('parse <file>')
+    .description('保存した通知メール（.eml / .html）を解析して postData を表示')
+    .option('--subject <subject>', 'HTMLファイルの件名（省略時は <title>）')
+    .option('--date <date>', 'HTMLファイルの受信日時')
+    .option('-u, --update', '期待する出力（.expected.json）を書き直す（ディレクトリ指定時はすべてのメール）')
+    .option('-v, --verbose', '解析中のログも表示')
+    .action(async (file, options) => {
+        try {
+            // JSON出力に解析ログが混ざらないようにする
+            if (!options.verbose) {
+                process.env.LOG_LEVEL = 'error';
+            }
+            const fs = require('fs-extra');
+            const { listFixtures, parseEmailFile, updateExpected } = require('./src/dev/ParserFixtures');
+            const files = (await fs.stat(file)).isDirectory() ? listFixtures(file) : [file];
+            
+            if (options.update) {
+                for (const filepath of files) {
+                    const { expectedPath, postData } = await updateExpected(filepath);
+                    console.log(`📝 ${expectedPath}${postData ? '' : '（投稿なし: null）'}`);
+                }
+                return;
+            }
+            
+            for (const filepath of files) {
+                const postData = await parseEmailFile(filepath, { subject: options.subject, date: options.date });
+                if (files.length > 1) {
+                    console.log(`\n# ${filepath}`);
+                }
+                console.log(JSON.stringify(postData, null, 2));
+                
+                if (!postData && files.length === 1) {
+                    console.error('投稿データを抽出できませんでした');
+                    process.exit(1);
+                }
+            }
+            
+        } catch (error) {
+            console.error('メール解析エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// フィルターコマンド
+const filtersCommand = program
+    .command('filters')
+    .description('投稿のフィルター（facebook.excludePatterns・postPatterns・targetUsers・filters.rules）を確認');
+
+filtersCommand
+    .command('list')
+    .description('評価順にルールを表示')
+    .action(() => {
+        try {
+            const { FilterEngine } = require('./src/utils/FilterEngine');
+            const filters = new FilterEngine({ importance: () => 0 });
+
+            console.log(`\n🔎 フィルター (${filters.enabled ? '有効' : '無効'})\n`);
+            filters.rules.forEach((rule, index) => {
+                const conditions = ['subject', 'author', 'group', 'postType', 'keywords', 'minLength', 'minImportance']
+                    .filter(condition => rule[condition] !== undefined)
+                    .map(condition => `${condition}: ${[].concat(rule[condition]).map(value => (value instanceof RegExp ? value.source : value)).join(' | ')}`);
+                console.log(`${index + 1}. ${rule.name} [${rule.action}]`);
+                conditions.forEach(condition => console.log(`     ${condition}`));
+            });
+
+        } catch (error) {
+            console.error('フィルター表示エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+filtersCommand
+    .command('test <file>')
+    .description('保存した通知メール（.eml / .html）が記事になるか除外されるか、どの投稿先に振り分けられるかを表示')
+    .option('--subject <subject>', 'HTMLファイルの件名（省略時は <title>）')
+    .option('--date <date>', 'HTMLファイルの受信日時')
+    .option('--json', 'JSON形式で出力')
+    .action(async (file, options) => {
+        try {
+            process.env.LOG_LEVEL = 'error';
+            const { parseEmailFile } = require('./src/dev/ParserFixtures');
+            const { FilterEngine } = require('./src/utils/FilterEngine');
+            const { BlogGenerator } = require('./src/services/BlogGenerator');
+            // 重要度の計算だけに使うため、AIには接続しない
+            const { PostRouter } = require('./src/utils/PostRouter');
+            const generator = new BlogGenerator({ provider: 'stub' });
+            const importance = postData => generator.calculateImportance(postData);
+            const filters = new FilterEngine({ importance });
+            const router = new PostRouter({ importance });
+
+            const postData = await parseEmailFile(file, { subject: options.subject, date: options.date });
+            const result = postData ? filters.evaluate(postData) : null;
+            const route = result && result.included ? router.resolve(postData) : null;
+
+            if (options.json) {
+                console.log(JSON.stringify({ postData, result, route }, null, 2));
+                return;
+            }
+
+            if (!postData) {
+                console.log('\n⏭️  除外: 投稿データを抽出できませんでした（unparseable）');
+                return;
+            }
+
+            console.log(`\n📨 ${postData.originalEmail.subject}`);
+            console.log(`  投稿者: ${postData.author} / 投稿タイプ: ${postData.postType} / グループ: ${postData.group || '-'} / ロケール: ${postData.locale}`);
+            console.log(`  重要度: ${generator.calculateImportance(postData)} / 文字数: ${postData.content.length}\n`);
+
+            result.results.forEach(rule => {
+                console.log(`${rule.passed ? '✅' : '❌'} ${rule.rule} [${rule.action}] ${rule.matched ? '一致' : '不一致'}`);
+                rule.details.forEach(detail => console.log(`     ${detail.condition}: ${detail.message}`));
+            });
+
+            if (!result.included) {
+                console.log(`\n⏭️  除外: ${result.rule}（${result.reason}）`);
+                return;
+            }
+
+            console.log(`\n📝 記事にします（ルーティング: ${route.rule || '既定の設定'}）`);
+            console.log(`  投稿先: ${route.blog} / ${route.autoPost ? '自動投稿' : '下書きとして保存'}`);
+            console.log(`  カテゴリ: ${route.category || ((config.blog.categories || []).length > 0 ? '（モデルが選択）' : config.blog.defaultCategory)} / テンプレート: ${route.template || '（自動選択）'} / 言語: ${route.language || config.blog.language || 'source'}`);
+            console.log(`  タイトルのプレフィックス: "${route.titlePrefix}"${route.tags.length > 0 ? ` / 追加するタグ: ${route.tags.join(', ')}` : ''}`);
+
+        } catch (error) {
+            console.error('フィルター判定エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
+// 稼働状態確認コマンド（Docker のヘルスチェックに使用）
+program
+    .command('health')
+    .description('常駐プロセスの稼働状態を確認（異常時は終了コード1）')
+    .option('--live', '生存確認の項目のみ判定（/healthz 相当）')
+    .option('--json', 'JSON形式で出力')
+    .action(async (options) => {
+        try {
+            const { HealthMonitor } = require('./src/services/HealthMonitor');
+            const monitor = new HealthMonitor();
+            await monitor.load();
+            
+            const report = await monitor.evaluate();
+            const ok = options.live ? report.live : report.ready;
+            const checks = options.live ? report.checks.filter(check => check.kind === 'live') : report.checks;
+            
+            if (options.json) {
+                console.log(JSON.stringify({ status: ok ? 'ok' : 'fail', checkedAt: report.checkedAt, checks }, null, 2));
+            } else {
+                console.log(`\n${ok ? '💚 正常' : '💔 異常'} (${report.checkedAt})\n`);
+                checks.forEach(check => {
+                    console.log(`  ${check.ok ? '✅' : '❌'} ${check.name}: ${check.message}`);
+                });
+            }
+            
+            process.exit(ok ? 0 : 1);
+        } catch (error) {
+            console.error('稼働状態確認エラー:', error.message);
+            process.exit(1);
+        }
+    });
+
 // 設定表示コマンド
 program
     .command('config')
@@ -210,20 +712,27 @@ program
         console.log('\n⚙️  現在の設定:\n');
         
         console.log('📧 Gmail設定:');
-        console.log(`  監視間隔: ${config.monitoring.interval}ms`);
+        console.log(`  メールソース: ${process.env.MAIL_SOURCE || config.monitoring.source}`);
+        console.log(`  監視間隔: ${process.env.MONITOR_INTERVAL || config.monitoring.interval}ms`);
         console.log(`  検索クエリ: ${config.monitoring.query}`);
         console.log(`  最大結果数: ${config.monitoring.maxResults}`);
         
         console.log('\n📘 Facebook設定:');
         console.log(`  対象ユーザー: ${config.facebook.targetUsers.length > 0 ? config.facebook.targetUsers.join(', ') : '全ユーザー'}`);
         console.log(`  投稿パターン: ${config.facebook.postPatterns.join(', ')}`);
+        console.log(`  除外パターン: ${config.facebook.excludePatterns.join(', ')}`);
+        console.log(`  フィルターのルール: ${((config.filters || {}).rules || []).length}件`);
         
         console.log('\n📝 ブログ設定:');
         console.log(`  プラットフォーム: ${config.blog.platform}`);
         console.log(`  自動投稿: ${config.blog.autoPost ? '有効' : '無効'}`);
+        console.log(`  その他の投稿先: ${Object.keys(config.blog.blogs || {}).join(', ') || 'なし'}`);
+        console.log(`  ルーティングのルール: ${((config.routing || {}).rules || []).length}件`);
         console.log(`  デフォルトカテゴリ: ${config.blog.defaultCategory}`);
+        console.log(`  記事の言語: ${config.blog.language || 'source'}`);
         
         console.log('\n🤖 AI設定:');
+        console.log(`  プロバイダー: ${process.env.AI_PROVIDER || config.ai.provider}`);
         console.log(`  モデル: ${config.ai.model}`);
         console.log(`  最大トークン: ${config.ai.maxTokens}`);
         console.log(`  Temperature: ${config.ai.temperature}`);
@@ -236,7 +745,16 @@ program.on('--help', () => {
     console.log('  $ facebook-blog-automation setup     # 初期設定');
     console.log('  $ facebook-blog-automation start     # システム開始');
     console.log('  $ facebook-blog-automation run-once  # 一回だけ実行');
+    console.log('  $ facebook-blog-automation run-once --mail-dir ./mailbox  # 保存済み.emlを処理');
+    console.log('  $ facebook-blog-automation run-once --mail-dir ./mailbox --provider stub  # AIを使わずに処理を確認');
     console.log('  $ facebook-blog-automation test      # 接続テスト');
+    console.log('  $ facebook-blog-automation health    # 常駐プロセスの稼働状態（異常時は終了コード1）');
+    console.log('  $ facebook-blog-automation parse notification.eml  # 通知メールの解析結果（postData）を表示');
+    console.log('  $ facebook-blog-automation filters test notification.eml  # 通知メールが記事になるか除外されるか');
+    console.log('  $ facebook-blog-automation queue list  # 投稿待ちの記事と投稿予定時刻');
+    console.log('  $ facebook-blog-automation drafts list  # 下書き一覧');
+    console.log('  $ facebook-blog-automation digest flush  # 保留中の投稿をまとめ記事にする');
+    console.log('  $ facebook-blog-automation templates preview photo --post templates/samples/photo.json  # プロンプト確認');
     console.log('');
     console.log('詳細なドキュメント:');
     console.log('  https://github.com/your-repo/gmail-facebook-blog-system');
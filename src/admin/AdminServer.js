@@ -0,0 +1,291 @@
+const http = require('http');
+const crypto = require('crypto');
+const path = require('path');
+const fs = require('fs-extra');
+const { Logger } = require('../utils/Logger');
+const { metrics } = require('../utils/Metrics');
+const config = require('../../config/config.json');
+
+/**
+ * 管理API・ダッシュボード（admin.port、既定 3000）
+ *
+ * FacebookBlogAutomation.start で起動する。/api 配下は .env の ADMIN_TOKEN による
+ * Bearer 認証が必要（ADMIN_TOKEN が未設定の場合は /healthz・/readyz・/metrics のみ応答する）。
+ * /metrics は認証不要。.env の METRICS_TOKEN を設定すると、METRICS_TOKEN（読み取り専用）か
+ * ADMIN_TOKEN による Bearer 認証が必要になる。
+ *
+ *   GET  /healthz                   生存確認（認証不要。異常時は 503）
+ *   GET  /readyz                    準備完了の確認（認証不要。異常時は 503）
+ *   GET  /metrics                   Prometheus メトリクス（テキスト形式。METRICS_TOKEN 設定時は認証が必要）
+ *   GET  /                          ダッシュボード（トークンはブラウザに保存）
+ *   GET  /api/status                稼働状況
+ *   GET  /api/runs                  直近の実行結果
+ *   POST /api/runs                  新着メール処理を今すぐ実行（実行中は 409）
+ *   GET  /api/drafts?status=        下書き一覧
+ *   GET  /api/drafts/{id}           下書きの内容
+ *   PUT  /api/drafts/{id}           下書きの変更（{ fields: {...}, content }）
+ *   POST /api/drafts/{id}/approve   承認
+ *   POST /api/drafts/{id}/reject    却下
+ *   GET  /api/config                有効な設定（秘密情報は伏せ字）
+ */
+const MAX_BODY_BYTES = 1024 * 1024;
+
+// 値を伏せる設定・環境変数のキー（tokenPath などのパスは除く）
+const SECRET_KEY = /(KEY|SECRET|TOKEN|PASSWORD)$/i;
+
+// /api/config に表示する環境変数（.env.example）
+const ENV_KEYS = [
+    'MAIL_SOURCE', 'LOCAL_MAIL_DIR', 'GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET', 'GMAIL_API_URL',
+    'HATENA_USERNAME', 'HATENA_BLOG_ID', 'HATENA_AUTH', 'HATENA_API_KEY',
+    'HATENA_CONSUMER_KEY', 'HATENA_CONSUMER_SECRET', 'HATENA_ACCESS_TOKEN', 'HATENA_ACCESS_TOKEN_SECRET',
+    'WORDPRESS_URL', 'WORDPRESS_USERNAME', 'WORDPRESS_APP_PASSWORD', 'STATIC_SITE_DIR',
+    'AI_PROVIDER', 'OPENAI_API_KEY', 'AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT', 'AZURE_OPENAI_DEPLOYMENT',
+    'LLM_BASE_URL', 'LLM_MODEL', 'LLM_API_KEY',
+    'LOG_LEVEL', 'AUTO_POST', 'MONITOR_INTERVAL', 'TARGET_FACEBOOK_USERS', 'ADMIN_TOKEN', 'ADMIN_PORT', 'METRICS_TOKEN'
+];
+
+class AdminServer {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const adminConfig = config.admin || {};
+        this.automation = options.automation;
+        this.enabled = options.enabled !== undefined ? options.enabled : adminConfig.enabled !== false;
+        this.port = options.port !== undefined ? options.port : parseInt(process.env.ADMIN_PORT || adminConfig.port || 3000, 10);
+        this.host = options.host || adminConfig.host || '0.0.0.0';
+        this.token = options.token !== undefined ? options.token : process.env.ADMIN_TOKEN;
+        this.metricsToken = options.metricsToken !== undefined ? options.metricsToken : process.env.METRICS_TOKEN;
+        this.dashboardPath = path.join(__dirname, 'dashboard.html');
+        this.server = null;
+        this.url = null;
+    }
+
+    async start() {
+        if (!this.enabled) {
+            return false;
+        }
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.logger.error('管理APIエラー:', error);
+                this.send(res, 500, { error: error.message });
+            });
+        });
+
+        await new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, resolve);
+        });
+
+        const host = ['0.0.0.0', '::'].includes(this.host) ? 'localhost' : this.host;
+        this.url = `http://${host}:${this.server.address().port}`;
+        if (this.token) {
+            this.logger.info(`管理API・ダッシュボードを開始しました: ${this.url}`);
+        } else {
+            this.logger.warn(`ADMIN_TOKEN が未設定のため管理APIは無効です（${this.url}/healthz・/readyz・/metrics のみ応答）`);
+        }
+        return true;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+            this.logger.info('管理APIを停止しました');
+        }
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (req.method === 'GET' && url.pathname === '/') {
+            res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+            res.end(await fs.readFile(this.dashboardPath, 'utf8'));
+            return;
+        }
+        if (req.method === 'GET' && ['/healthz', '/readyz'].includes(url.pathname)) {
+            return this.sendHealth(res, url.pathname === '/readyz');
+        }
+        if (url.pathname === '/metrics' && metrics.enabled) {
+            return this.sendMetrics(req, res);
+        }
+        if (!url.pathname.startsWith('/api/')) {
+            return this.send(res, 404, { error: 'Not Found' });
+        }
+        if (!this.authorize(req)) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this.send(res, 401, { error: '認証トークンが正しくありません' });
+        }
+
+        const route = url.pathname.substring('/api'.length);
+        const draftMatch = route.match(/^\/drafts\/([^/]+)(?:\/(approve|reject))?$/);
+
+        try {
+            if (route === '/status' && req.method === 'GET') {
+                return this.send(res, 200, await this.automation.getStatus());
+            }
+            if (route === '/runs' && req.method === 'GET') {
+                return this.send(res, 200, { runs: this.automation.runs });
+            }
+            if (route === '/runs' && req.method === 'POST') {
+                return this.triggerRun(res);
+            }
+            if (route === '/drafts' && req.method === 'GET') {
+                const status = url.searchParams.get('status');
+                const drafts = (await this.automation.draftStore.list())
+                    .filter(draft => !status || draft.status === status)
+                    .map(draft => ({ id: draft.id, status: draft.status, meta: draft.meta }));
+                return this.send(res, 200, { drafts });
+            }
+            if (route === '/config' && req.method === 'GET') {
+                return this.send(res, 200, this.effectiveConfig());
+            }
+            if (draftMatch) {
+                return await this.handleDraft(req, res, decodeURIComponent(draftMatch[1]), draftMatch[2]);
+            }
+        } catch (error) {
+            if (error instanceof SyntaxError) {
+                return this.send(res, 400, { error: `JSONを解釈できません: ${error.message}` });
+            }
+            // 下書きの状態・入力値の誤りは 4xx で返す
+            const status = /見つかりません/.test(error.message) ? 404 : 400;
+            return this.send(res, status, { error: error.message });
+        }
+
+        return this.send(res, 404, { error: 'Not Found' });
+    }
+
+    async handleDraft(req, res, id, action) {
+        const draftStore = this.automation.draftStore;
+
+        if (!action && req.method === 'GET') {
+            const draft = await draftStore.get(id);
+            return this.send(res, 200, { id: draft.id, status: draft.status, meta: draft.meta, content: draft.content });
+        }
+        if (!action && req.method === 'PUT') {
+            const body = await readJson(req);
+            const draft = await this.automation.updateDraft(id, body.fields || {}, body.content !== undefined ? body.content : null);
+            return this.send(res, 200, { id: draft.id, status: draft.status, meta: draft.meta, content: draft.content });
+        }
+        if (action && req.method === 'POST') {
+            const draft = action === 'approve'
+                ? await this.automation.approveDraft(id)
+                : await this.automation.rejectDraft(id);
+            return this.send(res, 200, { id: draft.id, status: draft.status, meta: draft.meta });
+        }
+
+        return this.send(res, 405, { error: 'Method Not Allowed' });
+    }
+
+    // 新着メール処理を開始し、完了を待たずに 202 を返す
+    triggerRun(res) {
+        if (this.automation.isRunning) {
+            return this.send(res, 409, { error: 'メール処理を実行中です' });
+        }
+
+        this.automation.processNewEmails('manual').catch(error => {
+            this.logger.error('手動実行エラー:', error);
+        });
+        this.logger.info('管理APIから新着メール処理を開始しました');
+        return this.send(res, 202, { run: this.automation.runs[0] || null });
+    }
+
+    // config.json と関連する環境変数（秘密情報は伏せ字）
+    effectiveConfig() {
+        const env = {};
+        ENV_KEYS.forEach(key => {
+            env[key] = process.env[key] === undefined ? null : process.env[key];
+        });
+
+        return { config: mask(config), env: mask(env) };
+    }
+
+    // /healthz は生存確認の項目のみ、/readyz はすべての項目で判定（異常時は 503）
+    async sendHealth(res, ready) {
+        const report = await this.automation.health.evaluate();
+        const ok = ready ? report.ready : report.live;
+        const checks = ready ? report.checks : report.checks.filter(check => check.kind === 'live');
+
+        return this.send(res, ok ? 200 : 503, { status: ok ? 'ok' : 'fail', checkedAt: report.checkedAt, checks });
+    }
+
+    // Prometheus メトリクス（METRICS_TOKEN が未設定なら /healthz と同じく認証不要）
+    async sendMetrics(req, res) {
+        if (this.metricsToken && !this.authorize(req, [this.metricsToken, this.token])) {
+            res.setHeader('WWW-Authenticate', 'Bearer');
+            return this.send(res, 401, { error: '認証トークンが正しくありません' });
+        }
+        if (req.method !== 'GET') {
+            return this.send(res, 405, { error: 'Method Not Allowed' });
+        }
+        res.writeHead(200, { 'Content-Type': metrics.contentType });
+        res.end(await metrics.render());
+    }
+
+    // Bearer トークンがいずれかのトークンと一致するか（既定は ADMIN_TOKEN のみ）
+    authorize(req, tokens = [this.token]) {
+        tokens = tokens.filter(Boolean);
+        if (tokens.length === 0) {
+            return false;
+        }
+
+        const header = req.headers.authorization || '';
+        const match = header.match(/^Bearer\s+(.+)$/i);
+        if (!match) {
+            return false;
+        }
+
+        // 長さの違いも漏らさないようハッシュ同士を比較
+        const digest = value => crypto.createHash('sha256').update(value).digest();
+        const given = digest(match[1].trim());
+        return tokens.some(token => crypto.timingSafeEqual(given, digest(token)));
+    }
+
+    send(res, status, data) {
+        res.writeHead(status, {
+            'Content-Type': 'application/json; charset=utf-8',
+            'Cache-Control': 'no-store'
+        });
+        res.end(JSON.stringify(data));
+    }
+}
+
+// SECRET_KEY に一致するキーの値を伏せ字にする
+function mask(value, key = '') {
+    if (Array.isArray(value)) {
+        return value.map(item => mask(item, key));
+    }
+    if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([name, item]) => [name, mask(item, name)]));
+    }
+    if (SECRET_KEY.test(key) && value !== null && value !== '') {
+        return '********';
+    }
+    return value;
+}
+
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_BODY_BYTES) {
+                reject(new Error('リクエストが大きすぎます'));
+                req.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => {
+            try {
+                const text = Buffer.concat(chunks).toString('utf8');
+                resolve(text ? JSON.parse(text) : {});
+            } catch (error) {
+                reject(error);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+module.exports = { AdminServer };
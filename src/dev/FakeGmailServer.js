@@ -0,0 +1,269 @@
+const http = require('http');
+
+/**
+ * Gmail API（users.*）のローカル代替サーバー（オフライン結合テスト用）
+ *
+ * 対応エンドポイント（/gmail/v1/users/me 配下）:
+ *   GET    /profile                  プロフィール（現在の historyId）
+ *   GET    /labels                   ラベル一覧
+ *   POST   /labels                   ラベル作成
+ *   GET    /messages                 メール検索（q は from: / label: / -label: のみ解釈）
+ *   GET    /messages/{id}            メール取得（format=raw / metadata）
+ *   POST   /messages/{id}/modify     ラベルの付け外し
+ *   GET    /history                  変更履歴（startHistoryId 以降。期限切れは 404）
+ *
+ * GmailService には rootUrl オプション（または GMAIL_API_URL）でこのサーバーを指定し、
+ * アクセストークン accessToken を設定した OAuth2 クライアントを auth に渡す。
+ */
+class FakeGmailServer {
+    constructor(options = {}) {
+        this.emailAddress = options.emailAddress || 'test-user@example.com';
+        this.accessToken = options.accessToken || 'test-access-token';
+        this.pageSize = options.pageSize || 100;
+        this.messages = new Map();
+        this.labels = new Map([
+            ['INBOX', { id: 'INBOX', name: 'INBOX', type: 'system' }],
+            ['UNREAD', { id: 'UNREAD', name: 'UNREAD', type: 'system' }]
+        ]);
+        this.history = [];
+        this.historyId = 1000;
+        // この historyId より前の履歴は期限切れ（404）
+        this.oldestHistoryId = this.historyId;
+        this.nextId = 1;
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    async start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.sendError(res, 500, error.message);
+            });
+        });
+
+        await new Promise(resolve => this.server.listen(port, host, resolve));
+        this.url = `http://${host}:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    // 受信メールを追加（messageAdded の履歴を記録）
+    addMessage({ from, subject = '', html = '', date = new Date(), labelIds = ['INBOX', 'UNREAD'] }) {
+        const raw = [
+            `From: ${from}`,
+            `To: ${this.emailAddress}`,
+            `Subject: ${subject}`,
+            `Date: ${new Date(date).toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/html; charset=utf-8',
+            '',
+            html
+        ].join('\r\n');
+
+        return this.addRawMessage(raw, { from, labelIds });
+    }
+
+    addRawMessage(raw, { from = '', labelIds = ['INBOX', 'UNREAD'] } = {}) {
+        const id = `msg${String(this.nextId++).padStart(6, '0')}`;
+        const historyId = ++this.historyId;
+        const message = { id, threadId: id, from, raw: Buffer.from(raw), labelIds: new Set(labelIds), historyId };
+
+        this.messages.set(id, message);
+        this.history.push({
+            id: String(historyId),
+            messages: [{ id, threadId: id }],
+            messagesAdded: [{ message: { id, threadId: id, labelIds: [...message.labelIds] } }]
+        });
+        return id;
+    }
+
+    // 現在までの履歴を期限切れにする（history.list が 404 を返す）
+    expireHistory() {
+        this.oldestHistoryId = this.historyId + 1;
+        this.history = [];
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const body = await readBody(req);
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), body });
+
+        if (req.headers.authorization !== `Bearer ${this.accessToken}`) {
+            return this.sendError(res, 401, 'Request had invalid authentication credentials.');
+        }
+
+        const prefix = '/gmail/v1/users/me';
+        if (!url.pathname.startsWith(prefix)) {
+            return this.sendError(res, 404, 'Not Found');
+        }
+        const route = url.pathname.substring(prefix.length);
+        const messageMatch = route.match(/^\/messages\/([^/]+)(\/modify)?$/);
+
+        if (req.method === 'GET' && route === '/profile') {
+            return this.send(res, 200, {
+                emailAddress: this.emailAddress,
+                messagesTotal: this.messages.size,
+                historyId: String(this.historyId)
+            });
+        }
+        if (req.method === 'GET' && route === '/labels') {
+            return this.send(res, 200, { labels: [...this.labels.values()] });
+        }
+        if (req.method === 'POST' && route === '/labels') {
+            const { name } = JSON.parse(body || '{}');
+            const label = { id: `Label_${this.labels.size + 1}`, name, type: 'user' };
+            this.labels.set(label.id, label);
+            return this.send(res, 200, label);
+        }
+        if (req.method === 'GET' && route === '/messages') {
+            return this.listMessages(res, url.searchParams);
+        }
+        if (req.method === 'GET' && route === '/history') {
+            return this.listHistory(res, url.searchParams);
+        }
+        if (messageMatch) {
+            const message = this.messages.get(messageMatch[1]);
+            if (!message) {
+                return this.sendError(res, 404, 'Requested entity was not found.');
+            }
+            if (req.method === 'POST' && messageMatch[2]) {
+                return this.modifyMessage(res, message, JSON.parse(body || '{}'));
+            }
+            if (req.method === 'GET' && !messageMatch[2]) {
+                return this.send(res, 200, this.toResource(message, url.searchParams.get('format')));
+            }
+        }
+
+        return this.sendError(res, 404, 'Not Found');
+    }
+
+    listMessages(res, params) {
+        const filter = parseQuery(params.get('q') || '', this.labels);
+        const maxResults = parseInt(params.get('maxResults') || '100');
+        const offset = parseInt(params.get('pageToken') || '0');
+        const matched = [...this.messages.values()]
+            .filter(message => filter(message))
+            .reverse();
+        const response = {
+            messages: matched.slice(offset, offset + maxResults).map(message => ({ id: message.id, threadId: message.threadId })),
+            resultSizeEstimate: matched.length
+        };
+
+        if (offset + maxResults < matched.length) response.nextPageToken = String(offset + maxResults);
+        return this.send(res, 200, response);
+    }
+
+    listHistory(res, params) {
+        const startHistoryId = parseInt(params.get('startHistoryId'));
+        if (!startHistoryId || startHistoryId < this.oldestHistoryId) {
+            return this.sendError(res, 404, 'Requested entity was not found.');
+        }
+
+        const types = params.getAll('historyTypes');
+        const offset = parseInt(params.get('pageToken') || '0');
+        const records = this.history
+            .filter(record => parseInt(record.id) > startHistoryId)
+            .filter(record => types.length === 0 || types.some(type => record[historyKeyOf(type)]));
+        const page = records.slice(offset, offset + this.pageSize);
+        const response = { historyId: String(this.historyId) };
+
+        if (page.length > 0) response.history = page;
+        if (offset + this.pageSize < records.length) response.nextPageToken = String(offset + this.pageSize);
+        return this.send(res, 200, response);
+    }
+
+    modifyMessage(res, message, request) {
+        (request.addLabelIds || []).forEach(id => message.labelIds.add(id));
+        (request.removeLabelIds || []).forEach(id => message.labelIds.delete(id));
+
+        // ラベル変更も historyId を進める（messageAdded の履歴には含まれない）
+        const historyId = ++this.historyId;
+        this.history.push({
+            id: String(historyId),
+            messages: [{ id: message.id, threadId: message.threadId }],
+            labelsAdded: (request.addLabelIds || []).length > 0
+                ? [{ message: { id: message.id, threadId: message.threadId }, labelIds: request.addLabelIds }]
+                : undefined
+        });
+        message.historyId = historyId;
+
+        return this.send(res, 200, this.toResource(message, 'minimal'));
+    }
+
+    toResource(message, format) {
+        const resource = {
+            id: message.id,
+            threadId: message.threadId,
+            labelIds: [...message.labelIds],
+            historyId: String(message.historyId)
+        };
+
+        if (format === 'raw') {
+            resource.raw = message.raw.toString('base64url');
+        } else if (format === 'metadata') {
+            resource.payload = { headers: [{ name: 'From', value: message.from }] };
+        }
+        return resource;
+    }
+
+    send(res, status, data) {
+        res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+        res.end(JSON.stringify(data));
+    }
+
+    sendError(res, status, message) {
+        this.send(res, status, { error: { code: status, message, errors: [{ message }] } });
+    }
+}
+
+// 検索クエリのうち from:（OR 区切り）と label: / -label: だけを解釈する
+function parseQuery(query, labels) {
+    const froms = [...query.matchAll(/(?:^|[\s(])from:(\S+?)(?=[\s)]|$)/g)].map(match => wildcard(match[1]));
+    const includeLabels = [...query.matchAll(/(?:^|[\s(])label:(\S+?)(?=[\s)]|$)/g)].map(match => match[1]);
+    const excludeLabels = [...query.matchAll(/-label:(\S+?)(?=[\s)]|$)/g)].map(match => match[1]);
+    const labelIdOf = name => {
+        const label = [...labels.values()].find(item => item.name === name);
+        return label ? label.id : name;
+    };
+
+    return message => (froms.length === 0 || froms.some(pattern => pattern.test(message.from))) &&
+        includeLabels.every(name => message.labelIds.has(labelIdOf(name))) &&
+        excludeLabels.every(name => !message.labelIds.has(labelIdOf(name)));
+}
+
+// historyTypes の値（messageAdded）と履歴レコードのキー（messagesAdded）の対応
+function historyKeyOf(type) {
+    return type.replace(/(Added|Removed|Deleted)$/, 's$1');
+}
+
+function wildcard(pattern) {
+    return new RegExp(pattern.split('*').map(part => part.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('.*'), 'i');
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+// 単体起動: node src/dev/FakeGmailServer.js
+if (require.main === module) {
+    const server = new FakeGmailServer({ accessToken: process.env.FAKE_GMAIL_TOKEN });
+
+    server.start(parseInt(process.env.FAKE_GMAIL_PORT || '8090'), '0.0.0.0').then(url => {
+        console.log(`Fake Gmail API server: ${url}`);
+        console.log(`GMAIL_API_URL=${url} を設定して使用してください`);
+    });
+}
+
+module.exports = { FakeGmailServer };
@@ -0,0 +1,396 @@
+const http = require('http');
+const fs = require('fs-extra');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const { signOAuthRequest } = require('../services/HatenaAuth');
+
+/**
+ * はてなブログ AtomPub API のローカル代替サーバー（オフライン結合テスト用）
+ *
+ * 対応エンドポイント（<username>/<blogId>/atom 配下）:
+ *   GET    /entry          記事一覧（rel="next" によるページ送り）
+ *   POST   /entry          記事投稿
+ *   GET    /entry/{id}     記事取得
+ *   PUT    /entry/{id}     記事更新
+ *   DELETE /entry/{id}     記事削除
+ *   GET    /category       カテゴリ一覧
+ *
+ * はてなフォトライフ（/atom 配下）:
+ *   POST   /post           画像アップロード
+ *
+ * HatenaBlogService には baseUrl オプション（または HATENA_BASE_URL）、
+ * FotolifeService には endpoint オプション（または HATENA_FOTOLIFE_URL = <url>/atom）でこのサーバーを指定する。
+ */
+class FakeHatenaServer {
+    constructor(options = {}) {
+        this.username = options.username || 'test-user';
+        this.blogId = options.blogId || 'test-user.hatenablog.com';
+        this.apiKey = options.apiKey || 'test-api-key';
+        this.consumerKey = options.consumerKey || 'test-consumer-key';
+        this.consumerSecret = options.consumerSecret || 'test-consumer-secret';
+        this.accessToken = options.accessToken || 'test-access-token';
+        this.accessTokenSecret = options.accessTokenSecret || 'test-access-token-secret';
+        // 受け付ける認証方式（特定の方式だけを有効にしてフォールバックを確認できる）
+        this.strategies = options.strategies || ['oauth', 'wsse', 'basic'];
+        this.pageSize = options.pageSize || 10;
+        this.dataFile = options.dataFile || null;
+        this.entries = new Map();
+        this.images = new Map();
+        this.nextId = 1;
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    async start(port = 0, host = '127.0.0.1') {
+        if (this.dataFile && await fs.pathExists(this.dataFile)) {
+            const data = await fs.readJson(this.dataFile);
+            this.entries = new Map(data.entries.map(entry => [entry.id, entry]));
+            this.nextId = data.nextId;
+        }
+
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.send(res, 500, `<error>${escapeXml(error.message)}</error>`);
+            });
+        });
+
+        await new Promise(resolve => this.server.listen(port, host, resolve));
+        this.url = `http://${host}:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (this.server) {
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    get atomRoot() {
+        return `${this.url}/${this.username}/${this.blogId}/atom`;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        const body = await readBody(req);
+        this.requests.push({ method: req.method, path: url.pathname, headers: req.headers, body: body });
+
+        const prefix = `/${this.username}/${this.blogId}/atom`;
+        const isFotolife = url.pathname === '/atom/post';
+        if (!url.pathname.startsWith(prefix) && !isFotolife) {
+            return this.send(res, 404, '<error>Not Found</error>');
+        }
+
+        if (!this.isAuthorized(req, body)) {
+            res.setHeader('WWW-Authenticate', 'WSSE profile="UsernameToken"');
+            return this.send(res, 401, '<error>Unauthorized</error>');
+        }
+
+        if (isFotolife && req.method === 'POST') {
+            const image = this.createImage(body);
+            return this.send(res, 201, this.renderImage(image));
+        }
+
+        const path = url.pathname.slice(prefix.length);
+        const entryMatch = path.match(/^\/entry\/([^/]+)$/);
+
+        if (path === '/entry' && req.method === 'GET') {
+            return this.send(res, 200, this.renderFeed(url.searchParams.get('page')));
+        }
+        if (path === '/entry' && req.method === 'POST') {
+            const entry = this.createEntry(parseEntryXml(body));
+            await this.persist();
+            res.setHeader('Location', `${this.atomRoot}/entry/${entry.id}`);
+            return this.send(res, 201, this.renderEntry(entry, true));
+        }
+        if (entryMatch) {
+            const entry = this.entries.get(entryMatch[1]);
+            if (!entry) {
+                return this.send(res, 404, '<error>Entry Not Found</error>');
+            }
+
+            switch (req.method) {
+                case 'GET':
+                    return this.send(res, 200, this.renderEntry(entry, true));
+                case 'PUT': {
+                    Object.assign(entry, parseEntryXml(body), { updated: now(), edited: now() });
+                    await this.persist();
+                    return this.send(res, 200, this.renderEntry(entry, true));
+                }
+                case 'DELETE':
+                    this.entries.delete(entry.id);
+                    await this.persist();
+                    return this.send(res, 200, '');
+            }
+        }
+        if (path === '/category' && req.method === 'GET') {
+            return this.send(res, 200, this.renderCategories());
+        }
+
+        return this.send(res, 405, '<error>Method Not Allowed</error>');
+    }
+
+    // 認証ヘッダーの検証（WSSE / Basic / OAuth 1.0a）
+    isAuthorized(req, body) {
+        const header = req.headers.authorization || '';
+
+        if (header.startsWith('WSSE ') && this.strategies.includes('wsse')) {
+            return this.verifyWsse(req.headers['x-wsse'] || '');
+        }
+        if (header.startsWith('Basic ') && this.strategies.includes('basic')) {
+            const decoded = Buffer.from(header.slice(6), 'base64').toString('utf8');
+            return decoded === `${this.username}:${this.apiKey}`;
+        }
+        if (header.startsWith('OAuth ') && this.strategies.includes('oauth')) {
+            return this.verifyOAuth(req, header.slice(6), body);
+        }
+
+        return false;
+    }
+
+    verifyWsse(token) {
+        const params = parseAuthParams(token);
+        if (params.Username !== this.username || !params.Nonce || !params.Created) {
+            return false;
+        }
+
+        const expected = crypto
+            .createHash('sha1')
+            .update(Buffer.concat([Buffer.from(params.Nonce, 'base64'), Buffer.from(params.Created + this.apiKey)]))
+            .digest('base64');
+
+        return expected === params.PasswordDigest;
+    }
+
+    verifyOAuth(req, value, body) {
+        const params = parseAuthParams(value);
+        if (params.oauth_consumer_key !== this.consumerKey || params.oauth_token !== this.accessToken) {
+            return false;
+        }
+
+        const contentType = req.headers['content-type'];
+        if (body && params.oauth_body_hash !== crypto.createHash('sha1').update(body).digest('base64')) {
+            return false;
+        }
+
+        const signature = signOAuthRequest({
+            method: req.method,
+            url: new URL(req.url, this.url).toString(),
+            body: body,
+            contentType: contentType,
+            oauthParams: params,
+            consumerSecret: this.consumerSecret,
+            tokenSecret: this.accessTokenSecret
+        });
+
+        return signature === params.oauth_signature;
+    }
+
+    createEntry(fields) {
+        const id = String(13574176438046000000n + BigInt(this.nextId++));
+        const timestamp = fields.updated || now();
+
+        const entry = {
+            id: id,
+            title: fields.title || '',
+            content: fields.content || '',
+            contentType: fields.contentType || 'text/x-markdown',
+            categories: fields.categories || [],
+            draft: Boolean(fields.draft),
+            published: timestamp,
+            updated: timestamp,
+            edited: now()
+        };
+
+        this.entries.set(id, entry);
+        return entry;
+    }
+
+    // 新しい順に並べ、page パラメーターは前ページ最後の記事ID
+    // フォトライフ: base64 の画像を受け取り f:id 記法を発行する
+    createImage(xml) {
+        const $ = cheerio.load(xml, { xmlMode: true });
+        const content = $('entry > content').first();
+        const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 14);
+        const id = `${timestamp}${String(this.images.size + 1).padStart(4, '0')}`;
+        const image = {
+            id: id,
+            title: $('entry > title').text(),
+            contentType: content.attr('type'),
+            size: Buffer.from(content.text(), 'base64').length,
+            syntax: `f:id:${this.username}:${id}j:image`,
+            imageUrl: `${this.url}/images/${this.username}/${id}.jpg`
+        };
+
+        this.images.set(id, image);
+        return image;
+    }
+
+    renderImage(image) {
+        return `<?xml version="1.0" encoding="utf-8"?>
+<entry xmlns="http://purl.org/atom/ns#" xmlns:hatena="http://www.hatena.ne.jp/info/xmlns#">
+  <title>${escapeXml(image.title)}</title>
+  <link rel="alternate" type="text/html" href="${this.url}/${this.username}/${image.id}"/>
+  <link rel="service.edit" type="application/x.atom+xml" href="${this.url}/atom/edit/${image.id}" title="${escapeXml(image.title)}"/>
+  <id>tag:hatena.ne.jp,2005:fotolife-${this.username}-${image.id}</id>
+  <hatena:syntax>${image.syntax}</hatena:syntax>
+  <hatena:imageurl>${image.imageUrl}</hatena:imageurl>
+</entry>`;
+    }
+
+    renderFeed(page) {
+        const sorted = [...this.entries.values()].sort((a, b) =>
+            b.published.localeCompare(a.published) || b.id.localeCompare(a.id)
+        );
+
+        let start = 0;
+        if (page) {
+            const index = sorted.findIndex(entry => entry.id === page);
+            start = index === -1 ? sorted.length : index + 1;
+        }
+
+        const pageEntries = sorted.slice(start, start + this.pageSize);
+        const hasNext = start + this.pageSize < sorted.length;
+        const last = pageEntries[pageEntries.length - 1];
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:app="http://www.w3.org/2007/app">
+  <link rel="first" href="${this.atomRoot}/entry" />
+  ${hasNext ? `<link rel="next" href="${this.atomRoot}/entry?page=${last.id}" />` : ''}
+  <title>${escapeXml(this.blogId)}</title>
+  <link rel="alternate" href="https://${escapeXml(this.blogId)}/" />
+  <updated>${now()}</updated>
+  <author><name>${escapeXml(this.username)}</name></author>
+  <generator uri="https://blog.hatena.ne.jp/" version="fake">Hatena::Blog</generator>
+  <id>hatenablog://blog/${escapeXml(this.blogId)}</id>
+${pageEntries.map(entry => this.renderEntry(entry, false)).join('\n')}
+</feed>`;
+    }
+
+    renderEntry(entry, standalone) {
+        const xml = `<entry${standalone ? ' xmlns="http://www.w3.org/2005/Atom" xmlns:app="http://www.w3.org/2007/app"' : ''}>
+  <id>tag:blog.hatena.ne.jp,2013:blog-${escapeXml(this.username)}-0-${entry.id}</id>
+  <link rel="edit" href="${this.atomRoot}/entry/${entry.id}"/>
+  <link rel="alternate" type="text/html" href="https://${escapeXml(this.blogId)}/entry/${entry.id}"/>
+  <author><name>${escapeXml(this.username)}</name></author>
+  <title>${escapeXml(entry.title)}</title>
+  <updated>${entry.updated}</updated>
+  <published>${entry.published}</published>
+  <app:edited>${entry.edited}</app:edited>
+  <summary type="text">${escapeXml(entry.content.substring(0, 100))}</summary>
+  <content type="${escapeXml(entry.contentType)}">${escapeXml(entry.content)}</content>
+  ${entry.categories.map(term => `<category term="${escapeXml(term)}" />`).join('\n  ')}
+  <app:control>
+    <app:draft>${entry.draft ? 'yes' : 'no'}</app:draft>
+  </app:control>
+</entry>`;
+
+        return standalone ? `<?xml version="1.0" encoding="utf-8"?>\n${xml}` : xml;
+    }
+
+    renderCategories() {
+        const terms = new Set();
+        for (const entry of this.entries.values()) {
+            entry.categories.forEach(term => terms.add(term));
+        }
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<app:categories xmlns:app="http://www.w3.org/2007/app" xmlns:atom="http://www.w3.org/2005/Atom" fixed="no">
+${[...terms].map(term => `  <atom:category term="${escapeXml(term)}" />`).join('\n')}
+</app:categories>`;
+    }
+
+    send(res, status, body) {
+        res.writeHead(status, { 'Content-Type': 'application/atom+xml; charset=utf-8' });
+        res.end(body);
+    }
+
+    async persist() {
+        if (!this.dataFile) return;
+
+        await fs.outputJson(this.dataFile, {
+            nextId: this.nextId,
+            entries: [...this.entries.values()]
+        }, { spaces: 2 });
+    }
+}
+
+function parseEntryXml(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entry = $('entry').first();
+
+    if (entry.length === 0) {
+        throw new Error('Atomエントリーが不正です');
+    }
+
+    const fields = {
+        title: entry.children('title').text(),
+        content: entry.children('content').text(),
+        contentType: entry.children('content').attr('type'),
+        categories: entry.children('category').toArray().map(element => $(element).attr('term')),
+        draft: entry.find('app\\:control > app\\:draft').text().trim() === 'yes'
+    };
+
+    const updated = entry.children('updated').text().trim();
+    if (updated) {
+        fields.updated = updated;
+    }
+
+    return fields;
+}
+
+function parseAuthParams(value) {
+    const params = {};
+    const pattern = /(\w+)="([^"]*)"/g;
+    let match;
+
+    while ((match = pattern.exec(value)) !== null) {
+        params[match[1]] = decodeURIComponent(match[2]);
+    }
+
+    return params;
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+function escapeXml(unsafe) {
+    return String(unsafe)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#039;');
+}
+
+function now() {
+    return new Date().toISOString().replace(/\.\d{3}Z$/, 'Z');
+}
+
+// 単体起動: node src/dev/FakeHatenaServer.js
+if (require.main === module) {
+    const server = new FakeHatenaServer({
+        username: process.env.HATENA_USERNAME,
+        blogId: process.env.HATENA_BLOG_ID,
+        apiKey: process.env.HATENA_API_KEY,
+        consumerKey: process.env.HATENA_CONSUMER_KEY,
+        consumerSecret: process.env.HATENA_CONSUMER_SECRET,
+        accessToken: process.env.HATENA_ACCESS_TOKEN,
+        accessTokenSecret: process.env.HATENA_ACCESS_TOKEN_SECRET,
+        dataFile: process.env.FAKE_HATENA_DATA || null
+    });
+
+    server.start(parseInt(process.env.FAKE_HATENA_PORT || '8089'), '0.0.0.0').then(url => {
+        console.log(`Fake Hatena AtomPub server: ${server.atomRoot}`);
+        console.log(`HATENA_BASE_URL=${url} を設定して使用してください`);
+    });
+}
+
+module.exports = { FakeHatenaServer };
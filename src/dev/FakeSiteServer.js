@@ -0,0 +1,136 @@
+const http = require('http');
+
+/**
+ * リンク先のWebページのローカル代替サーバー（リンクプレビューのオフライン結合テスト用）
+ *
+ * addPage(path, page) で登録したページを返す。page の項目:
+ *   title / description / image / siteName   OGP の meta タグとして出力（image は相対パスも可）
+ *   html          HTML をそのまま返す（OGP の項目より優先）
+ *   contentType   Content-Type（既定は text/html; charset=utf-8）
+ *   status        ステータスコード（既定は 200）
+ *   redirect      このパスへリダイレクト（302）
+ *   delay         応答までの待ち時間（ミリ秒、タイムアウトの確認用）
+ * 登録していないパスは 404。
+ */
+class FakeSiteServer {
+    constructor() {
+        this.pages = new Map();
+        this.requests = [];
+        this.server = null;
+        this.url = null;
+    }
+
+    async start(port = 0, host = '127.0.0.1') {
+        this.server = http.createServer((req, res) => {
+            this.handle(req, res).catch(error => {
+                this.sendError(res, 500, error.message);
+            });
+        });
+
+        await new Promise(resolve => this.server.listen(port, host, resolve));
+        this.url = `http://${host}:${this.server.address().port}`;
+        return this.url;
+    }
+
+    async stop() {
+        if (this.server) {
+            // 応答を待たせている接続（delay）があっても停止できるようにする
+            this.server.closeAllConnections();
+            await new Promise(resolve => this.server.close(resolve));
+            this.server = null;
+        }
+    }
+
+    // ページを登録してそのURLを返す
+    addPage(pagePath, page = {}) {
+        this.pages.set(pagePath, page);
+        return `${this.url}${pagePath}`;
+    }
+
+    async handle(req, res) {
+        const url = new URL(req.url, this.url);
+        this.requests.push({ method: req.method, path: url.pathname, query: Object.fromEntries(url.searchParams), headers: req.headers });
+
+        const page = this.pages.get(url.pathname);
+        if (!page) {
+            return this.sendError(res, 404, 'Not Found');
+        }
+        if (page.delay) {
+            // クライアントが接続を切った（タイムアウトした）時点で待つのをやめる
+            await new Promise(resolve => {
+                const timer = setTimeout(resolve, page.delay);
+                res.on('close', () => {
+                    clearTimeout(timer);
+                    resolve();
+                });
+            });
+            if (res.destroyed) {
+                return;
+            }
+        }
+        if (page.redirect) {
+            res.writeHead(302, { Location: page.redirect });
+            return res.end();
+        }
+
+        const body = page.html !== undefined ? page.html : renderPage(page);
+        res.writeHead(page.status || 200, { 'Content-Type': page.contentType || 'text/html; charset=utf-8' });
+        res.end(body);
+    }
+
+    sendError(res, status, message) {
+        if (res.headersSent) {
+            return res.end();
+        }
+        res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8' });
+        res.end(`<html><head><title>${status}</title></head><body>${escapeHtml(message)}</body></html>`);
+    }
+}
+
+function renderPage(page) {
+    const meta = [
+        ['og:title', page.title],
+        ['og:description', page.description],
+        ['og:image', page.image],
+        ['og:site_name', page.siteName]
+    ]
+        .filter(([, value]) => value !== undefined)
+        .map(([property, value]) => `<meta property="${property}" content="${escapeHtml(value)}">`);
+
+    return [
+        '<!DOCTYPE html>',
+        '<html><head>',
+        '<meta charset="utf-8">',
+        ...meta,
+        `<title>${escapeHtml(page.title || '')}</title>`,
+        '</head><body>',
+        `<p>${escapeHtml(page.description || '')}</p>`,
+        '</body></html>'
+    ].join('\n');
+}
+
+function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// 単体起動: node src/dev/FakeSiteServer.js
+if (require.main === module) {
+    const server = new FakeSiteServer();
+
+    server.start(parseInt(process.env.FAKE_SITE_PORT || '8092'), '0.0.0.0').then(url => {
+        server.addPage('/article', {
+            title: 'サンプル記事',
+            description: 'リンクプレビューの確認用ページです。',
+            image: '/images/sample.png',
+            siteName: 'Fake Site'
+        });
+        console.log(`Fake site server: ${url}`);
+        console.log(`${url}/article をリンクプレビューの確認に使用できます`);
+    });
+}
+
+module.exports = { FakeSiteServer };
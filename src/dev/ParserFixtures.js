@@ -0,0 +1,43 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { readEmailFile } = require('../services/MailSource');
+const { FacebookParser } = require('../services/FacebookParser');
+
+/**
+ * FacebookParser の回帰テスト用フィクスチャ（tests/fixtures/parser）
+ *
+ * 匿名化した通知メール（.eml / .html）ごとに、期待する postData を
+ * 同じ名前の .expected.json に置く（投稿として扱わないメールは null）。
+ * パーサーを意図して変更したときは `node cli.js parse tests/fixtures/parser --update` で更新する。
+ */
+const FIXTURE_DIR = path.join(__dirname, '..', '..', 'tests', 'fixtures', 'parser');
+const EMAIL_EXTENSIONS = ['.eml', '.html', '.htm'];
+
+// ディレクトリ内のメールファイル（名前順）
+function listFixtures(dir = FIXTURE_DIR) {
+    return fs.readdirSync(dir)
+        .filter(file => EMAIL_EXTENSIONS.includes(path.extname(file).toLowerCase()))
+        .sort()
+        .map(file => path.join(dir, file));
+}
+
+function expectedPathOf(filepath) {
+    return filepath.replace(/\.[^./]+$/, '.expected.json');
+}
+
+// メールファイルを読み込んで extractPostData の結果を返す（JSONで保存できる形）
+async function parseEmailFile(filepath, options = {}) {
+    const email = await readEmailFile(filepath, options);
+    const postData = await new FacebookParser().extractPostData(email);
+    return JSON.parse(JSON.stringify(postData));
+}
+
+// 期待する出力ファイルを現在のパーサーの出力で書き直す
+async function updateExpected(filepath) {
+    const postData = await parseEmailFile(filepath);
+    const expectedPath = expectedPathOf(filepath);
+    await fs.writeFile(expectedPath, JSON.stringify(postData, null, 2) + '\n', 'utf8');
+    return { expectedPath, postData };
+}
+
+module.exports = { FIXTURE_DIR, listFixtures, expectedPathOf, parseEmailFile, updateExpected };
@@ -1,167 +1,876 @@
 require('dotenv').config();
-const { GmailService } = require('./services/GmailService');
+const { createMailSource } = require('./services/MailSource');
 const { FacebookParser } = require('./services/FacebookParser');
 const { BlogGenerator } = require('./services/BlogGenerator');
-const { HatenaBlogService } = require('./services/HatenaBlogService');
+const { createPublisher } = require('./services/Publisher');
+const { MediaService } = require('./services/MediaService');
+const { LinkPreviewService } = require('./services/LinkPreviewService');
+const { DigestService } = require('./services/DigestService');
+const { PublishQueue } = require('./services/PublishQueue');
+const { HealthMonitor } = require('./services/HealthMonitor');
+const { AdminServer } = require('./admin/AdminServer');
 const { Logger } = require('./utils/Logger');
+const { DuplicateDetector } = require('./utils/DuplicateDetector');
+const { PiiRedactor } = require('./utils/PiiRedactor');
+const { FilterEngine } = require('./utils/FilterEngine');
+const { PostRouter } = require('./utils/PostRouter');
+const { ProcessingLedger } = require('./utils/ProcessingLedger');
+const { DraftStore } = require('./utils/DraftStore');
+const { metrics } = require('./utils/Metrics');
 const cron = require('node-cron');
 const config = require('../config/config.json');
 
+// 管理APIなどから変更できる下書きのフロントマター
+const DRAFT_FIELDS = ['title', 'category', 'tags', 'summary', 'description', 'scheduledAt'];
+
 class FacebookBlogAutomation {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
-        this.gmailService = new GmailService();
+        this.mailSource = options.mailSource || createMailSource(options);
         this.facebookParser = new FacebookParser();
-        this.blogGenerator = new BlogGenerator();
-        this.hatenaBlogService = new HatenaBlogService();
+        this.blogGenerator = options.blogGenerator || new BlogGenerator({ llm: options.llm, provider: options.provider });
+        this.publisher = options.publisher || createPublisher(options.platform || config.blog.platform);
+        this.mediaService = options.mediaService || new MediaService({ platform: options.platform });
+        this.linkPreviewService = options.linkPreviewService || new LinkPreviewService({ platform: options.platform });
+        this.ledger = options.ledger || new ProcessingLedger();
+        this.draftStore = options.draftStore || new DraftStore();
+        this.digestService = options.digestService || new DigestService();
+        this.duplicateDetector = options.duplicateDetector || new DuplicateDetector();
+        this.redactor = options.redactor || new PiiRedactor();
+        this.filters = options.filters || new FilterEngine({
+            importance: postData => this.blogGenerator.calculateImportance(postData)
+        });
+        // 投稿先・カテゴリ・テンプレート・自動投稿の振り分け（routing.rules）
+        this.router = options.router || new PostRouter({
+            importance: postData => this.blogGenerator.calculateImportance(postData)
+        });
+        // 投稿先ごとの Publisher（既定の投稿先以外は blog.blogs の設定から作成）
+        this.publishers = new Map([[this.router.defaultBlog, this.publisher]]);
+        this.publishQueue = options.publishQueue || new PublishQueue();
+        this.health = options.health || new HealthMonitor();
         this.isRunning = false;
+        this.isDigestRunning = false;
+        this.isQueueRunning = false;
+        this.pollTimer = null;
+        this.queueTimer = null;
+        this.digestTask = null;
+        this.adminServer = options.adminServer || null;
+        this.runs = [];
+        this.startedAt = null;
     }
 
     async initialize() {
         try {
             this.logger.info('システム初期化開始');
             
-            // Gmail API認証
-            await this.gmailService.authenticate();
-            this.logger.info('Gmail API認証完了');
+            // 処理台帳の読み込み
+            await this.ledger.load();
             
-            // はてなブログAPI認証
-            await this.hatenaBlogService.authenticate();
-            this.logger.info('はてなブログAPI認証完了');
+            // メールソース認証（Gmail API またはローカルメール）
+            await this.track('mail', () => this.mailSource.authenticate());
+            this.logger.info('メールソース認証完了');
+            
+            // ブログ投稿先の認証（config.blog.platform と blog.blogs）
+            for (const blog of this.router.blogs) {
+                await this.track('blog', () => this.publisherOf(blog).authenticate());
+                this.logger.info(`ブログ投稿先認証完了: ${blog}`);
+            }
             
             this.logger.info('システム初期化完了');
+            this.health.markInitialized(true);
             return true;
         } catch (error) {
             this.logger.error('システム初期化エラー:', error);
+            this.health.markInitialized(false);
             return false;
         }
     }
 
-    async processNewEmails() {
+    // 外部サービス（mail / llm / blog）の呼び出し結果を稼働状態に記録する
+    async track(service, task) {
+        try {
+            const result = await task();
+            this.health.recordSuccess(service);
+            return result;
+        } catch (error) {
+            this.health.recordError(service, error);
+            throw error;
+        }
+    }
+
+    /**
+     * 新着メールを処理する
+     * trigger は実行のきっかけ（schedule: 定期実行 / manual: 管理APIなど）。
+     * 実行結果は this.runs に直近 admin.maxRuns 件まで残す。
+     */
+    async processNewEmails(trigger = 'schedule') {
         if (this.isRunning) {
             this.logger.debug('前回の処理がまだ実行中です');
-            return;
+            return null;
         }
 
         this.isRunning = true;
+        const run = {
+            id: `${Date.now()}`,
+            trigger: trigger,
+            startedAt: new Date().toISOString(),
+            finishedAt: null,
+            fetched: 0,
+            processed: 0,
+            failed: 0,
+            error: null
+        };
+        this.recordRun(run);
+        this.health.runStarted();
         
         try {
             this.logger.info('新着メール処理開始');
+            await this.ledger.load();
             
             // Facebook通知メールを取得
-            const emails = await this.gmailService.getFacebookNotifications();
+            const emails = await this.track('mail', () => this.mailSource.getFacebookNotifications());
+            run.fetched = emails.length;
+            metrics.emailsFetched.inc(emails.length);
             this.logger.info(`${emails.length}件のFacebook通知を発見`);
             
             for (const email of emails) {
                 try {
                     await this.processEmail(email);
+                    run.processed++;
                 } catch (error) {
+                    run.failed++;
                     this.logger.error(`メール処理エラー [${email.id}]:`, error);
                 }
             }
             
+            // 保留件数がしきい値に達したダイジェストをまとめ記事にする
+            if (this.digestService.enabled) {
+                await this.flushDigests();
+            }
+            
             this.logger.info('新着メール処理完了');
         } catch (error) {
+            run.error = error.message;
             this.logger.error('新着メール処理エラー:', error);
         } finally {
+            run.finishedAt = new Date().toISOString();
             this.isRunning = false;
+            this.health.runFinished(run.error);
         }
+        
+        return run;
+    }
+
+    recordRun(run) {
+        const maxRuns = (config.admin && config.admin.maxRuns) || 20;
+        this.runs.unshift(run);
+        this.runs.splice(maxRuns);
     }
 
     async processEmail(email) {
         this.logger.info(`メール処理開始: ${email.subject}`);
-        
-        // Facebook投稿内容を解析
-        const postData = await this.facebookParser.extractPostData(email);
-        
-        if (!postData) {
-            this.logger.debug('Facebook投稿データが見つかりませんでした');
-            await this.gmailService.markAsProcessed(email.id);
+        const messageId = email.id;
+        const startedAt = Date.now();
+
+        // 処理台帳で完了済みのステージは再実行しない
+        if (this.ledger.has(messageId, 'completed')) {
+            this.logger.debug(`処理済みのメールです: ${messageId}`);
+            await this.mailSource.markAsProcessed(messageId);
+            return;
+        }
+
+        if (!this.ledger.has(messageId, 'fetched')) {
+            await this.ledger.record(messageId, 'fetched', { subject: email.subject });
+        }
+
+        if (this.ledger.has(messageId, 'skipped')) {
+            await this.completeEmail(messageId);
             return;
         }
 
-        // 対象ユーザーかチェック
-        if (!this.isTargetUser(postData.author)) {
-            this.logger.debug(`対象外ユーザー: ${postData.author}`);
-            await this.gmailService.markAsProcessed(email.id);
+        // Facebook投稿内容を解析
+        if (!this.ledger.has(messageId, 'parsed')) {
+            const parsed = await this.facebookParser.extractPostData(email);
+
+            if (!parsed) {
+                this.logger.debug('Facebook投稿データが見つかりませんでした');
+                metrics.emailsUnparseable.inc();
+                await this.ledger.record(messageId, 'skipped', { reason: 'unparseable' });
+                await this.completeEmail(messageId);
+                return;
+            }
+
+            metrics.emailsParsed.inc({ post_type: parsed.postType || 'unknown' });
+            await this.ledger.record(messageId, 'parsed', { postData: parsed });
+        }
+        const parsedPost = this.ledger.get(messageId, 'parsed').postData;
+
+        // フィルター（対象ユーザー・件名のパターン・filters.rules）で記事にする投稿か判定
+        const filterResult = this.filters.evaluate(parsedPost);
+        if (!filterResult.included) {
+            this.logger.info(`フィルターで除外: ${parsedPost.author} - ${this.filters.describe(filterResult)}`);
+            metrics.emailsFiltered.inc({ reason: filterResult.reason });
+            await this.ledger.record(messageId, 'skipped', {
+                reason: filterResult.reason,
+                rule: filterResult.rule,
+                author: parsedPost.author
+            });
+            await this.completeEmail(messageId);
             return;
         }
 
+        // 個人情報を秘匿化（以降の処理と言語モデルには秘匿化後の投稿データだけを渡す）
+        const redaction = this.redactor.redact(parsedPost);
+        const postData = redaction.postData;
+        if (this.redactor.enabled && !this.ledger.has(messageId, 'redacted')) {
+            await this.ledger.record(messageId, 'redacted', { report: redaction.report });
+        }
+
         this.logger.info(`対象投稿発見: ${postData.author} - ${postData.content.substring(0, 50)}...`);
         
+        // 投稿先と記事の体裁を決める（privacy.names の投稿者名・グループ名は秘匿化で置き換わるため解析結果で判定）
+        const route = this.router.resolve(parsedPost);
+        if (route.rule) {
+            this.logger.info(`ルーティング: ${route.rule} → ${route.blog}${route.autoPost ? '（自動投稿）' : '（下書き）'}`);
+        }
+        
+        // 別の通知で届いた同じ投稿は記事にしない
+        if (await this.handleDuplicate(messageId, postData)) {
+            await this.completeEmail(messageId);
+            return;
+        }
+        
+        // ダイジェストモードでは投稿を保留し、まとめ記事の作成時に記事化する
+        if (this.digestService.enabled) {
+            if (!this.ledger.has(messageId, 'buffered')) {
+                const digestKey = await this.digestService.add(messageId, postData);
+                await this.ledger.record(messageId, 'buffered', { digestKey });
+            }
+            await this.completeEmail(messageId);
+            return;
+        }
+        
+        await this.deliver(messageId, postData, () => this.blogGenerator.generatePost(postData, { ...generationOptionsOf(route), templatePost: parsedPost }), {}, redaction, route);
+        
+        // メールを処理済みとしてマーク
+        await this.completeEmail(messageId);
+        metrics.processingDuration.observe(metrics.postLabels(postData), (Date.now() - startedAt) / 1000);
+    }
+
+    /**
+     * 処理済みの投稿との重複チェック
+     * 重複と判定した場合は元の投稿のIDとともに台帳に記録して true を返す。
+     * 重複でなければ指紋を登録する（記事生成・保留の前に登録するため、再実行時は自分自身を除いて照合する）。
+     */
+    async handleDuplicate(messageId, postData) {
+        const detector = this.duplicateDetector;
+        if (!detector.enabled || this.ledger.has(messageId, 'generated') || this.ledger.has(messageId, 'buffered')) {
+            return false;
+        }
+
+        const match = await detector.findMatch(postData, { excludeId: messageId });
+        if (!match) {
+            await detector.add(messageId, postData);
+            return false;
+        }
+
+        const similarity = Math.round(match.similarity * 100) / 100;
+        this.logger.info(`重複投稿を検出: ${messageId} → 元の投稿 ${match.id}（${match.exact ? '完全一致' : `類似度 ${similarity}`} / ${detector.action}）`);
+
+        if (detector.action === 'merge') {
+            await this.mergeDuplicate(match.id, messageId, postData);
+        }
+
+        await detector.recordDuplicate(match.id, messageId, similarity);
+        await this.ledger.record(messageId, 'skipped', {
+            reason: 'duplicate',
+            duplicateOf: match.id,
+            similarity: similarity,
+            action: detector.action
+        });
+        return true;
+    }
+
+    // 重複投稿を元の投稿に統合（保留中なら画像・リンクを追加し、下書き済みなら下書きに記録する）
+    async mergeDuplicate(originalId, messageId, postData) {
+        if (this.digestService.enabled && await this.digestService.merge(originalId, postData)) {
+            this.logger.info(`保留中の元の投稿に統合しました: ${originalId}`);
+            return;
+        }
+
+        const drafted = this.ledger.get(originalId, 'drafted');
+        if (drafted && drafted.draftId) {
+            const draft = await this.draftStore.get(drafted.draftId);
+            const duplicates = Array.isArray(draft.meta.duplicates) ? draft.meta.duplicates : [];
+            if (!duplicates.includes(messageId)) {
+                await this.draftStore.update(draft.id, { duplicates: [...duplicates, messageId] });
+            }
+            this.logger.info(`元の投稿の下書きに記録しました: ${draft.id}`);
+        }
+    }
+
+    /**
+     * 記事生成 → 画像の埋め込み → リンクカードの追加 → 下書き保存 → （自動投稿）を台帳で管理しながら実行する
+     * itemId はメールIDまたはダイジェストID。完了済みのステージは再実行しない。
+     * redaction（PiiRedactor.redact の結果）があれば、秘匿化の内容を下書きに記録する。
+     * route（PostRouter.resolve の結果）の投稿先・自動投稿の設定に従う。
+     */
+    async deliver(itemId, postData, generate, draftExtra = {}, redaction = null, route = this.router.resolve(postData)) {
         // ブログ記事生成
-        const blogPost = await this.blogGenerator.generatePost(postData);
+        if (!this.ledger.has(itemId, 'generated')) {
+            const generated = await generate();
+            // 言語モデルが失敗するとフォールバック記事になる
+            if (generated.metadata && generated.metadata.fallback) {
+                metrics.articlesFallback.inc(metrics.postLabels(postData));
+                this.health.recordError('llm', this.blogGenerator.lastError || new Error('フォールバック記事を生成しました'));
+            } else {
+                metrics.articlesGenerated.inc(metrics.postLabels(postData));
+                this.health.recordSuccess('llm');
+            }
+            await this.ledger.record(itemId, 'generated', { blogPost: generated });
+        }
+        
+        // 投稿画像をアップロードして記事に埋め込む（画像の処理前に下書き済みの場合は生成時の記事を使う）
+        if (!this.ledger.has(itemId, 'media') && !this.ledger.has(itemId, 'drafted')) {
+            const { blogPost: withImages, images } = await this.mediaService.embedImages(
+                this.ledger.get(itemId, 'generated').blogPost,
+                postData,
+                { platform: ((config.blog.blogs || {})[route.blog] || {}).platform }
+            );
+            await this.ledger.record(itemId, 'media', {
+                blogPost: withImages,
+                images: images.map(image => ({ sourceUrl: image.sourceUrl, syntax: image.syntax, imageUrl: image.imageUrl }))
+            });
+        }
+        
+        // リンク先のプレビューを取得してリンクカード（はてなブログでは埋め込み記法）を追加する
+        if (!this.ledger.has(itemId, 'links') && !this.ledger.has(itemId, 'drafted')) {
+            const { blogPost: withLinks, links } = await this.linkPreviewService.embedLinks(
+                this.articleOf(itemId),
+                postData,
+                { platform: ((config.blog.blogs || {})[route.blog] || {}).platform }
+            );
+            await this.ledger.record(itemId, 'links', {
+                blogPost: withLinks,
+                links: links.map(link => ({ url: link.url, title: link.title || null, error: link.error || null }))
+            });
+        }
+        const blogPost = this.articleOf(itemId);
         
         // 下書きとして保存
-        await this.saveDraft(blogPost, postData);
+        if (!this.ledger.has(itemId, 'drafted')) {
+            const routeFields = route.rule ? { blog: route.blog, route: route.rule } : { blog: route.blog };
+            const draft = await this.saveDraft(blogPost, postData, itemId, { ...draftExtra, ...routeFields }, redaction);
+            await this.ledger.record(itemId, 'drafted', { draftId: draft.id, filepath: draft.filepath });
+            metrics.draftsSaved.inc(metrics.postLabels(postData));
+        }
         
-        // 自動投稿が有効な場合
-        if (config.blog.autoPost) {
-            await this.hatenaBlogService.publishPost(blogPost);
-            this.logger.info('ブログ記事を自動投稿しました');
+        // 自動投稿が有効な場合（投稿キューが有効なら投稿予定時刻まで待つ）
+        if (route.autoPost && this.publishQueue.enabled) {
+            await this.enqueuePublish(itemId, blogPost, route.blog);
+        } else if (route.autoPost) {
+            await this.publishOnce(itemId, blogPost, route.blog);
         } else {
             this.logger.info('ブログ記事を下書きとして保存しました');
         }
+    }
+
+    /**
+     * 保留中の投稿をまとめ記事にする
+     * force 指定時（スケジュール実行・手動実行）は件数がしきい値未満でもまとめる。
+     * 途中で失敗したダイジェストは同じ投稿の組み合わせ・同じIDで再開されるため、再実行しても重複しない。
+     */
+    async flushDigests(options = {}) {
+        if (this.isDigestRunning) {
+            this.logger.debug('前回のダイジェスト処理がまだ実行中です');
+            return [];
+        }
+
+        this.isDigestRunning = true;
+        const results = [];
         
-        // メールを処理済みとしてマーク
-        await this.gmailService.markAsProcessed(email.id);
+        try {
+            await this.ledger.load();
+            const keys = options.key ? [options.key] : await this.digestService.dueKeys(options);
+            
+            for (const key of keys) {
+                try {
+                    const digest = await this.digestService.prepare(key, options);
+                    if (digest) {
+                        await this.processDigest(digest);
+                        results.push(digest);
+                    }
+                } catch (error) {
+                    this.logger.error(`ダイジェスト処理エラー [${key}]:`, error);
+                }
+            }
+        } finally {
+            this.isDigestRunning = false;
+        }
+        
+        return results;
     }
 
-    isTargetUser(author) {
-        const targetUsers = config.facebook.targetUsers;
-        return targetUsers.length === 0 || targetUsers.includes(author);
+    async processDigest(digest) {
+        this.logger.info(`ダイジェスト処理開始: ${digest.label} (${digest.posts.length}件 / ${digest.period.text})`);
+        
+        if (!this.ledger.has(digest.id, 'completed')) {
+            // 保留中の投稿は秘匿化済みのため、投稿者・グループは台帳の解析結果で判定する
+            const parsedPosts = digest.posts.map(post => (this.ledger.has(post.messageId, 'parsed')
+                ? { ...post, ...this.ledger.get(post.messageId, 'parsed').postData }
+                : post));
+            const route = this.router.resolve(this.digestService.toRoutingData({ ...digest, posts: parsedPosts }));
+            // 表示名（〇〇さん など）は記事の主言語の文言にする
+            const language = this.blogGenerator.localize(this.digestService.toPostData(digest), route.language || undefined).languages[0];
+            digest = this.digestService.localize(digest, language);
+            const postData = this.digestService.toPostData(digest);
+            
+            // 保留中の投稿は秘匿化済み。元に戻すための対応は台帳の解析結果から作り直す
+            const redaction = PiiRedactor.merge(digest.messageIds
+                .filter(messageId => this.ledger.has(messageId, 'parsed'))
+                .map(messageId => this.redactor.redact(this.ledger.get(messageId, 'parsed').postData)));
+            
+            await this.deliver(digest.id, postData, () => this.blogGenerator.generateDigest(digest, postData, generationOptionsOf(route)), {
+                digestPosts: digest.messageIds
+            }, redaction, route);
+            
+            // 収録した投稿を台帳に記録
+            for (const messageId of digest.messageIds) {
+                if (!this.ledger.has(messageId, 'consumed')) {
+                    await this.ledger.record(messageId, 'consumed', { digestId: digest.id });
+                }
+            }
+            await this.ledger.record(digest.id, 'completed');
+        }
+        
+        await this.digestService.complete(digest.id);
+        this.logger.info(`ダイジェスト処理完了: ${digest.id}`);
     }
 
-    async saveDraft(blogPost, postData) {
-        const fs = require('fs-extra');
-        const moment = require('moment');
+    async enqueuePublish(itemId, blogPost, blog = this.router.defaultBlog) {
+        if (this.ledger.has(itemId, 'published')) {
+            return;
+        }
         
-        const filename = `draft_${moment().format('YYYYMMDD_HHmmss')}_${postData.author}.md`;
-        const filepath = `./drafts/${filename}`;
+        // 下書きのフロントマターで投稿日時（scheduledAt）を指定できる
+        const drafted = this.ledger.get(itemId, 'drafted');
+        const draft = drafted && drafted.draftId ? await this.draftStore.get(drafted.draftId) : null;
         
-        const content = `---
-title: ${blogPost.title}
-author: ${postData.author}
-date: ${postData.date}
-source: Facebook
-auto_generated: true
----
+        const item = await this.publishQueue.enqueue({
+            id: itemId,
+            draftId: draft ? draft.id : null,
+            blog: draft && draft.meta.blog ? draft.meta.blog : blog,
+            title: blogPost.title,
+            scheduledAt: draft && draft.meta.scheduledAt ? this.publishQueue.parseTime(draft.meta.scheduledAt) : null
+        });
+        
+        if (!this.ledger.has(itemId, 'queued')) {
+            await this.ledger.record(itemId, 'queued', { plannedAt: item ? item.plannedAt : null });
+        }
+    }
 
-${blogPost.content}
-`;
+    /**
+     * 投稿予定時刻を過ぎた記事を投稿する
+     * force 指定時（queue flush）は投稿予定時刻・制限にかかわらずすべて投稿する。
+     */
+    async drainPublishQueue(options = {}) {
+        if (this.isQueueRunning) {
+            this.logger.debug('前回の投稿キュー処理がまだ実行中です');
+            return [];
+        }
+
+        this.isQueueRunning = true;
+        const published = [];
         
-        await fs.writeFile(filepath, content, 'utf8');
-        this.logger.info(`下書き保存: ${filepath}`);
+        try {
+            await this.ledger.load();
+            const items = options.force ? await this.publishQueue.list() : await this.publishQueue.due();
+            
+            for (const item of items) {
+                try {
+                    if (await this.publishQueued(item, options)) {
+                        published.push(item);
+                    }
+                } catch (error) {
+                    await this.publishQueue.markFailed(item.id, error);
+                    this.logger.error(`キューからの投稿エラー [${item.id}]:`, error);
+                }
+            }
+        } finally {
+            this.isQueueRunning = false;
+        }
+        
+        return published;
+    }
+
+    async publishQueued(item, options = {}) {
+        // 別プロセス（drafts publish など）の記録を反映してから投稿済みかを判定する
+        await this.ledger.load();
+        const draft = item.draftId ? await this.draftStore.get(item.draftId).catch(() => null) : null;
+        
+        if (draft && draft.status === 'rejected') {
+            await this.publishQueue.setStatus(item.id, 'cancelled', '下書きが却下されました');
+            this.logger.info(`却下された下書きを投稿キューから外しました: ${item.id}`);
+            return false;
+        }
+        
+        // drafts publish（別プロセス）で投稿済み・投稿中の下書きは再投稿しない
+        if (draft && draft.status === 'published') {
+            await this.publishQueue.markPublished(item.id, { at: draft.meta.publishedAt, url: draft.meta.url });
+            this.logger.info(`投稿済みの下書きを投稿キューから外しました: ${item.id}`);
+            return false;
+        }
+        if (draft && draft.status === 'publishing') {
+            await this.publishQueue.setStatus(item.id, 'held', '下書きの投稿結果が不明です');
+            this.logger.warn(`投稿中の下書きのため自動投稿を保留しました: ${item.id}`);
+            return false;
+        }
+        
+        // フロントマターの scheduledAt が変更されていればキューに反映して次回以降に投稿
+        const scheduledAt = draft && draft.meta.scheduledAt ? this.publishQueue.parseTime(draft.meta.scheduledAt).toISOString() : null;
+        if (!options.force && scheduledAt && scheduledAt !== item.scheduledAt) {
+            await this.publishQueue.reschedule(item.id, scheduledAt);
+            this.logger.info(`下書きの投稿日時を反映しました: ${item.id} → ${this.publishQueue.formatTime(scheduledAt)}`);
+            return false;
+        }
+        
+        const blogPost = this.articleOf(item.id);
+        if (!this.ledger.has(item.id, 'published')) {
+            if (!blogPost) {
+                throw new Error(`投稿する記事が処理台帳にありません: ${item.id}`);
+            }
+            await this.publishOnce(item.id, blogPost, item.blog);
+        }
+        
+        const result = this.ledger.get(item.id, 'published');
+        if (!result) {
+            // 投稿結果が不明（publishOnce がエラーを記録済み）
+            await this.publishQueue.setStatus(item.id, 'held', '投稿結果が不明です');
+            return false;
+        }
+        
+        await this.publishQueue.markPublished(item.id, result);
+        return true;
+    }
+
+    async publishOnce(messageId, blogPost, blog = this.router.defaultBlog) {
+        await this.ledger.load();
+        if (this.ledger.has(messageId, 'published')) {
+            this.logger.debug(`投稿済みのためスキップ: ${messageId}`);
+            return;
+        }
+
+        // 前回の投稿中にプロセスが停止した場合、投稿されたかどうか判断できないため再投稿しない
+        if (this.ledger.has(messageId, 'publishing')) {
+            const draft = this.ledger.get(messageId, 'drafted');
+            this.logger.error(`投稿結果が不明なため再投稿しません [${messageId}]。ブログと下書き ${draft ? draft.filepath : ''} を確認してください`);
+            return;
+        }
+
+        await this.ledger.record(messageId, 'publishing');
+
+        try {
+            const result = await this.publishToBlog(blogPost, blog);
+            await this.ledger.record(messageId, 'published', {
+                blog: blog,
+                entryId: result.id,
+                url: result.url
+            });
+            this.logger.info('ブログ記事を自動投稿しました');
+
+            // 下書き側にも投稿済みを記録して drafts publish での二重投稿を防ぐ
+            const draft = this.ledger.get(messageId, 'drafted');
+            if (draft && draft.draftId) {
+                await this.draftStore.setStatus(draft.draftId, 'published', {
+                    entryId: result.id,
+                    url: result.url,
+                    publishedAt: new Date().toISOString()
+                });
+            }
+        } catch (error) {
+            await this.ledger.record(messageId, 'publish_failed', { error: error.message });
+            throw error;
+        }
+    }
+
+    // 投稿先への投稿（結果を稼働状態・メトリクスに記録）
+    // 秘匿化のプレースホルダー（下書きで元に戻さなかったもの）はタイトル・タグ・要約を含めて取り除いてから投稿する
+    async publishToBlog(blogPost, blog = this.router.defaultBlog) {
+        const labels = { platform: blog };
+        const post = this.redactor.strip(blogPost);
+        try {
+            const result = await this.track('blog', () => this.publisherOf(blog).publishPost(post));
+            metrics.postsPublished.inc(labels);
+            return result;
+        } catch (error) {
+            metrics.postsFailed.inc(labels);
+            throw error;
+        }
+    }
+
+    // 処理台帳に記録された最新の記事（リンク・画像の埋め込み後、なければ生成時の記事）
+    articleOf(itemId) {
+        const stage = ['links', 'media', 'generated'].find(name => this.ledger.has(itemId, name));
+        return stage ? this.ledger.get(itemId, stage).blogPost : undefined;
+    }
+
+    // 投稿先の名前（blog.platform または blog.blogs のキー）から Publisher を返す
+    publisherOf(blog) {
+        if (!this.publishers.has(blog)) {
+            const blogConfig = (config.blog.blogs || {})[blog];
+            if (!blogConfig) {
+                throw new Error(`投稿先のブログが定義されていません: ${blog}`);
+            }
+            // language は記事の言語（PostRouter が使う）で、Publisher の設定ではない
+            const { platform, language, ...options } = blogConfig;
+            this.publishers.set(blog, createPublisher(platform, options));
+        }
+        return this.publishers.get(blog);
+    }
+
+    async completeEmail(messageId) {
+        await this.mailSource.markAsProcessed(messageId);
+        await this.ledger.record(messageId, 'completed');
+    }
+
+    // 秘匿化した投稿は、秘匿化の内容（元の値は含まない）を下書きのフロントマター redaction に記録する
+    async saveDraft(blogPost, postData, messageId = null, extra = {}, redaction = null) {
+        const fields = messageId ? { messageId, ...extra } : { ...extra };
+        let post = blogPost;
+        
+        if (redaction && redaction.report.items.length > 0) {
+            const restored = this.redactor.restoreInDrafts && Object.keys(redaction.mapping).length > 0;
+            if (restored) {
+                post = this.redactor.restore(blogPost, redaction.mapping);
+                postData = this.redactor.restorePostData(postData, redaction.mapping);
+            }
+            fields.redaction = { ...redaction.report, restored };
+        }
+        
+        return await this.draftStore.save(post, postData, fields);
+    }
+
+    // 下書きを承認（投稿可能にする）
+    async approveDraft(draftId) {
+        const draft = await this.getEditableDraft(draftId);
+        return await this.draftStore.setStatus(draft.id, 'approved', { approvedAt: new Date().toISOString() });
+    }
+
+    // 下書きを却下（投稿キューに入っていれば取り消す）
+    async rejectDraft(draftId) {
+        const draft = await this.getEditableDraft(draftId);
+        const rejected = await this.draftStore.setStatus(draft.id, 'rejected', { rejectedAt: new Date().toISOString() });
+        
+        if (draft.meta.messageId && this.publishQueue.enabled) {
+            await this.publishQueue.setStatus(draft.meta.messageId, 'cancelled', '下書きが却下されました');
+        }
+        return rejected;
+    }
+
+    /**
+     * 下書きのフロントマター（DRAFT_FIELDS）と本文を変更する
+     * scheduledAt は publishQueue.timezone の現地時刻として解釈できる値のみ受け付ける。
+     */
+    async updateDraft(draftId, fields = {}, content = null) {
+        const draft = await this.getEditableDraft(draftId);
+        const changes = { ...fields };
+        const unknown = Object.keys(changes).filter(key => !DRAFT_FIELDS.includes(key));
+        
+        if (unknown.length > 0) {
+            throw new Error(`変更できない項目です: ${unknown.join(', ')}`);
+        }
+        if (changes.tags !== undefined && !Array.isArray(changes.tags)) {
+            changes.tags = String(changes.tags).split(',').map(tag => tag.trim()).filter(Boolean);
+        }
+        if (changes.scheduledAt) {
+            this.publishQueue.parseTime(changes.scheduledAt);
+        }
+        if (content !== null && typeof content !== 'string') {
+            throw new Error('本文は文字列で指定してください');
+        }
+        
+        const updated = await this.draftStore.update(draft.id, changes, content);
+        this.logger.info(`下書きを更新しました: ${draft.id}`);
+        return updated;
+    }
+
+    async getEditableDraft(draftId) {
+        const draft = await this.draftStore.get(draftId);
+        
+        if (['published', 'publishing'].includes(draft.status)) {
+            throw new Error(`投稿済みの下書きは変更できません: ${draft.id}`);
+        }
+        return draft;
+    }
+
+    // 保存済みの下書きを投稿（承認済みのもののみ。force指定時は未承認でも投稿）
+    async publishDraft(draftId, options = {}) {
+        const draft = await this.draftStore.get(draftId);
+        const messageId = draft.meta.messageId;
+        await this.ledger.load();
+
+        if (draft.status === 'published' || (messageId && this.ledger.has(messageId, 'published'))) {
+            throw new Error(`投稿済みの下書きです: ${draft.id}`);
+        }
+        if (draft.status === 'rejected') {
+            throw new Error(`却下された下書きです: ${draft.id}`);
+        }
+        if (draft.status === 'publishing' && !options.force) {
+            throw new Error(`前回の投稿結果が不明です。ブログを確認のうえ --force で再投稿してください: ${draft.id}`);
+        }
+        if (draft.status === 'draft' && !options.force) {
+            throw new Error(`未承認の下書きです。先に drafts approve を実行してください: ${draft.id}`);
+        }
+
+        const previousStatus = draft.status;
+        await this.draftStore.setStatus(draft.id, 'publishing');
+
+        try {
+            const result = await this.publishToBlog(this.draftStore.toBlogPost(draft), draft.meta.blog || this.router.defaultBlog);
+
+            await this.draftStore.setStatus(draft.id, 'published', {
+                entryId: result.id,
+                url: result.url,
+                publishedAt: new Date().toISOString()
+            });
+            if (messageId) {
+                await this.ledger.record(messageId, 'published', { entryId: result.id, url: result.url });
+                // 常駐プロセスの投稿キューから再投稿されないようにする
+                if (this.publishQueue.enabled) {
+                    await this.publishQueue.markPublished(messageId, { url: result.url });
+                }
+            }
+
+            this.logger.info(`下書きを投稿しました: ${draft.id}`);
+            return result;
+        } catch (error) {
+            await this.draftStore.setStatus(draft.id, previousStatus === 'publishing' ? 'approved' : previousStatus, {
+                lastError: error.message
+            });
+            throw error;
+        }
     }
 
     async start() {
         this.logger.info('Facebook→ブログ自動化システム開始');
+        const interval = this.getPollInterval();
+        this.startedAt = new Date().toISOString();
+        
+        // 稼働状態の記録（health.statePath）と管理API・ダッシュボード（admin.port）
+        await this.health.start({ pollInterval: interval });
+        this.adminServer = this.adminServer || new AdminServer({ automation: this });
+        await this.adminServer.start();
         
         const initialized = await this.initialize();
         if (!initialized) {
             this.logger.error('初期化に失敗しました');
+            await this.stop();
             return;
         }
         
         // 初回実行
         await this.processNewEmails();
         
-        // 定期実行設定（5分毎）
-        cron.schedule('*/5 * * * *', () => {
+        // 定期実行設定（MONITOR_INTERVAL または monitoring.interval ミリ秒毎）
+        this.pollTimer = setInterval(() => {
             this.processNewEmails();
-        });
+        }, interval);
+        
+        // 投稿キューの処理（publishQueue.drainInterval ミリ秒毎）
+        // キューの読み込みや設定（quietHours など）の誤りで常駐プロセスが停止しないよう、エラーは記録して次回に再試行する
+        if (this.router.autoPostEnabled && this.publishQueue.enabled) {
+            const drain = () => this.drainPublishQueue().catch(error => {
+                this.logger.error('投稿キュー処理エラー:', error);
+            });
+            await drain();
+            this.queueTimer = setInterval(drain, this.publishQueue.drainInterval);
+            this.logger.info(`投稿キュー: ${this.publishQueue.timezone} / ${Math.round(this.publishQueue.drainInterval / 1000)}秒毎に確認`);
+        }
+        
+        // ダイジェストのまとめ記事作成（digest.schedule）
+        // バッファの読み込みなどのエラーで常駐プロセスが停止しないよう、エラーは記録して次回に再試行する
+        if (this.digestService.enabled) {
+            this.digestTask = cron.schedule(this.digestService.schedule, () => {
+                return this.flushDigests({ force: true }).catch(error => {
+                    this.logger.error('ダイジェスト処理エラー:', error);
+                });
+            });
+            this.logger.info(`ダイジェストモード: ${this.digestService.groupBy}単位 / スケジュール ${this.digestService.schedule}`);
+        }
         
         this.logger.info('システムが正常に開始されました');
-        this.logger.info('5分毎にFacebook通知をチェックします');
+        this.logger.info(`${Math.round(interval / 1000)}秒毎にFacebook通知をチェックします`);
+    }
+
+    // 管理APIの status で返す稼働状況
+    async getStatus() {
+        const drafts = {};
+        (await this.draftStore.list()).forEach(draft => {
+            drafts[draft.status] = (drafts[draft.status] || 0) + 1;
+        });
+        
+        const queued = this.publishQueue.enabled ? await this.publishQueue.list() : [];
+        
+        return {
+            startedAt: this.startedAt,
+            uptime: this.startedAt ? Math.round((Date.now() - new Date(this.startedAt).getTime()) / 1000) : 0,
+            isRunning: this.isRunning,
+            pollInterval: this.getPollInterval(),
+            mailSource: process.env.MAIL_SOURCE || config.monitoring.source,
+            platform: config.blog.platform,
+            autoPost: this.router.autoPostEnabled,
+            blogs: this.router.blogs,
+            lastRun: this.runs[0] || null,
+            drafts: drafts,
+            queue: {
+                queued: queued.length,
+                nextPlannedAt: queued.length > 0 ? queued[0].plannedAt : null
+            }
+        };
+    }
+
+    getPollInterval() {
+        const interval = parseInt(process.env.MONITOR_INTERVAL || config.monitoring.interval, 10);
+        if (!interval || interval < 1000) {
+            throw new Error(`監視間隔が不正です: ${process.env.MONITOR_INTERVAL || config.monitoring.interval}（ミリ秒で1000以上を指定してください）`);
+        }
+        return interval;
     }
 
     async stop() {
         this.logger.info('システム停止中...');
-        // クリーンアップ処理
+        // 定期実行を停止
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        if (this.queueTimer) {
+            clearInterval(this.queueTimer);
+            this.queueTimer = null;
+        }
+        if (this.digestTask) {
+            this.digestTask.stop();
+            this.digestTask = null;
+        }
+        if (this.adminServer) {
+            await this.adminServer.stop();
+        }
+        await this.health.stop();
         this.logger.info('システムが停止されました');
     }
 }
 
+// ルーティングの結果のうち記事生成に使う設定（BlogGenerator.generatePost の options）
+function generationOptionsOf(route) {
+    return {
+        language: route.language || undefined,
+        template: route.template || undefined,
+        titlePrefix: route.titlePrefix,
+        category: route.category || undefined,
+        tags: route.tags
+    };
+}
+
 // メイン実行
 if (require.main === module) {
     const automation = new FacebookBlogAutomation();
@@ -1,142 +1,286 @@
-const OpenAI = require('openai');
+const { createLLMProvider } = require('./LLMProvider');
 const { Logger } = require('../utils/Logger');
+const { parseArticleJson, validateArticle, renderArticleMarkdown, describeArticleSchema } = require('../utils/ArticleSchema');
+const { PromptTemplates } = require('../utils/PromptTemplates');
+const { metrics } = require('../utils/Metrics');
+const { detectLanguage, outputLanguages, stringsOf, templateOf, systemPromptOf } = require('../utils/Language');
 const config = require('../../config/config.json');
 
 class BlogGenerator {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
-        this.openai = new OpenAI({
-            apiKey: process.env.OPENAI_API_KEY
-        });
+        // 言語モデルは config.ai.provider で選択（openai / azure / compatible / stub）
+        this.llm = options.llm || createLLMProvider(options.provider);
+        this.templates = options.templates || new PromptTemplates();
+        // 直近の記事生成で言語モデルが失敗した場合のエラー（フォールバック記事を返したとき）
+        this.lastError = null;
     }
 
-    async generatePost(postData) {
+    /**
+     * options.language で出力言語を指定（source / ja / en / bilingual。省略時は config.blog.language）
+     * options.template・titlePrefix・category・tags で投稿ごとのテンプレートと体裁を指定（ルーティング）
+     * options.templatePost はテンプレートの選択に使う投稿データ（投稿者名を秘匿化する前の解析結果）
+     */
+    async generatePost(postData, options = {}) {
+        const localization = this.localize(postData, options.language);
+        
         try {
-            this.logger.info(`ブログ記事生成開始: ${postData.author}`);
-            
-            // AI用プロンプトを構築
-            const prompt = this.buildPrompt(postData);
-            
-            // OpenAI APIでブログ記事生成
-            const response = await this.openai.chat.completions.create({
-                model: config.ai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: config.ai.systemPrompt
-                    },
-                    {
-                        role: 'user',
-                        content: prompt
-                    }
-                ],
-                max_tokens: config.ai.maxTokens,
-                temperature: config.ai.temperature
-            });
-            
-            const generatedContent = response.choices[0].message.content;
+            this.logger.info(`ブログ記事生成開始: ${postData.author} (${localization.sourceLanguage} → ${localization.languages.join(', ')})`);
             
-            // ブログ記事を構築
-            const blogPost = this.buildBlogPost(postData, generatedContent);
+            // 投稿タイプ・投稿者に応じたテンプレートで記事を生成
+            const blogPost = await this.generateWithTemplate(postData, options.template || this.templates.resolve(options.templatePost || postData), localization, options);
             
             this.logger.info('ブログ記事生成完了');
+            this.lastError = null;
             return blogPost;
             
         } catch (error) {
             this.logger.error('ブログ記事生成エラー:', error);
+            this.lastError = error;
             
             // フォールバック: シンプルな記事生成
-            return this.generateFallbackPost(postData);
+            return this.generateFallbackPost(postData, localization.languages[0], options);
         }
     }
 
-    buildPrompt(postData) {
-        const prompt = `
-Facebook投稿情報:
-- 投稿者: ${postData.author}
-- 投稿タイプ: ${postData.postType}
-- 投稿日時: ${new Date(postData.date).toLocaleString('ja-JP')}
-- 投稿内容: "${postData.content}"
-
-${postData.images.length > 0 ? `- 画像: ${postData.images.length}枚` : ''}
-${postData.links.length > 0 ? `- リンク: ${postData.links.map(l => l.url).join(', ')}` : ''}
-
-上記のFacebook投稿を元に、以下の要件でブログ記事を作成してください:
-
-1. 投稿内容を分析し、読者にとって興味深いポイントを見つけてください
-2. 適切なタイトルを付けてください（50文字以内）
-3. 導入部分で投稿の背景や重要性を説明してください
-4. 投稿内容を引用形式で紹介してください
-5. 投稿に対する考察や分析を加えてください
-6. 読者への問いかけや関連する話題で締めくくってください
-7. 適切な見出しを使って読みやすく構成してください
-
-記事の長さ: 800-1200文字程度
-トーン: 親しみやすく、かつ情報価値のある文章
+    // 指定したテンプレート（templates/ 内の名前またはファイルパス）で記事を生成
+    async generateWithTemplate(postData, templateName, localization = this.localize(postData), options = {}) {
+        // AI用プロンプトを構築
+        const prompt = this.buildPrompt(postData, templateName, localization.languages[0]);
+        this.logger.debug(`プロンプトテンプレート: ${templateName}`);
+        
+        // 言語モデルで構造化記事（JSON）を生成し、2言語の場合はもう一方の言語に翻訳
+        const article = await this.generateArticle(prompt, { language: localization.languages[0] });
+        const translations = await this.translateArticles(article, localization.languages.slice(1));
+        
+        // ブログ記事を構築
+        const blogPost = this.buildBlogPost(postData, article, { ...localization, translations }, options);
+        blogPost.metadata.template = templateName;
+        
+        return blogPost;
+    }
+
+    buildPrompt(postData, templateName = this.templates.resolve(postData), language = this.localize(postData).languages[0]) {
+        return this.templates.render(templateName, postData, { language });
+    }
+
+    // 投稿の言語を判定し、出力言語（先頭が主言語）を決める
+    localize(postData, mode = config.blog.language) {
+        const sourceLanguage = detectLanguage(postData.content);
+        return { sourceLanguage, languages: outputLanguages(mode, sourceLanguage) };
+    }
+
+    // 構造化記事を他の言語に翻訳（見出しの数・順序は元の記事と同じ）
+    async translateArticles(article, languages) {
+        const translations = [];
+        
+        for (const language of languages) {
+            const name = stringsOf(language).name;
+            const prompt = `次の構造化記事を${name}に翻訳してください。
+セクションの数と順序、Markdownの書式は変えず、title・tags・summary・metaDescription を含むすべての項目を${name}にしてください。
+
+出力は次の形式のJSONオブジェクトのみとし、前置きやコードブロックは付けないでください:
+${describeArticleSchema(this.getCategories())}
+
+翻訳する記事:
+${JSON.stringify(article, null, 2)}
 `;
+            translations.push({
+                language,
+                article: await this.generateArticle(prompt, { sectionCount: article.sections.length, language })
+            });
+        }
+        
+        return translations;
+    }
 
-        return prompt;
+    getCategories() {
+        return config.blog.categories || [];
     }
 
-    buildBlogPost(postData, generatedContent) {
-        // タイトルと本文を分離
-        const lines = generatedContent.split('\n').filter(line => line.trim());
-        let title = lines[0] || this.generateTitle(postData);
-        let content = lines.slice(1).join('\n').trim();
+    /**
+     * 構造化記事を生成して検証する
+     * JSONが壊れている・スキーマに合わない場合は、理由と前回の出力を添えて修正を依頼する。
+     * options.language は記事の言語（システムプロンプトの選択に使用）、options.sectionCount は必要なセクション数。
+     */
+    async generateArticle(prompt, options = {}) {
+        const maxAttempts = (config.ai.maxRetries !== undefined ? config.ai.maxRetries : 2) + 1;
+        let request = prompt;
+        let errors = [];
         
-        // タイトルのプレフィックスを適用
-        if (config.blog.titlePrefix) {
-            title = config.blog.titlePrefix + title.replace(/^#+\s*/, '');
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            const output = await metrics.time(metrics.llmDuration, { model: this.llm.modelName }, () => this.llm.complete({
+                system: systemPromptOf(options.language || 'ja'),
+                user: request,
+                maxTokens: config.ai.maxTokens,
+                temperature: config.ai.temperature,
+                responseFormat: 'json',
+                sectionCount: options.sectionCount
+            }));
+            
+            let data = null;
+            try {
+                data = parseArticleJson(output);
+                const result = validateArticle(data, { categories: this.getCategories(), sectionCount: options.sectionCount });
+                if (result.valid) {
+                    return result.article;
+                }
+                errors = result.errors;
+            } catch (error) {
+                errors = [error.message];
+            }
+            
+            this.logger.warn(`構造化記事の検証に失敗しました (${attempt}/${maxAttempts}): ${errors.join(' / ')}`);
+            request = this.buildRepairPrompt(prompt, output, errors);
         }
         
-        // テンプレートを適用
-        const template = config.blog.template;
-        const fullContent = `${template.header}${content}${template.footer}`;
+        throw new Error(`構造化記事の生成に失敗しました: ${errors.join(' / ')}`);
+    }
+
+    // 複数の投稿を1本のまとめ記事にする（セクションは投稿ごとに1つ）
+    async generateDigest(digest, postData, options = {}) {
+        const localization = this.localize(postData, options.language);
+        
+        try {
+            this.logger.info(`ダイジェスト記事生成開始: ${digest.label} (${digest.posts.length}件)`);
+            
+            const prompt = this.templates.render('digest', postData, {
+                posts: digest.posts,
+                period: digest.period.text,
+                language: localization.languages[0]
+            });
+            const article = await this.generateArticle(prompt, { sectionCount: digest.posts.length, language: localization.languages[0] });
+            const translations = await this.translateArticles(article, localization.languages.slice(1));
+            
+            const blogPost = this.buildBlogPost(postData, article, { ...localization, translations }, options);
+            blogPost.tags = [...new Set([
+                ...localization.languages.flatMap(language => this.generateDigestTags(digest, language)),
+                ...article.tags,
+                ...translations.flatMap(translation => translation.article.tags),
+                ...(options.tags || [])
+            ])];
+            blogPost.metadata.template = 'digest';
+            blogPost.metadata.digest = postData.digest;
+            
+            this.logger.info('ダイジェスト記事生成完了');
+            this.lastError = null;
+            return blogPost;
+            
+        } catch (error) {
+            this.logger.error('ダイジェスト記事生成エラー:', error);
+            this.lastError = error;
+            return this.generateFallbackDigest(digest, postData, localization.languages[0], options);
+        }
+    }
+
+    generateDigestTags(digest, language = 'ja') {
+        return [...new Set([...digest.posts.flatMap(post => this.generateTags(post, language)), stringsOf(language).digestTag])];
+    }
+
+    generateFallbackDigest(digest, postData, language = 'ja', options = {}) {
+        this.logger.info('フォールバックダイジェスト記事生成');
+        
+        const strings = stringsOf(language);
+        const sections = digest.posts.map(post => `## ${strings.digest.section(new Date(post.date).toLocaleDateString(strings.dateLocale), post.author)}
+
+> ${post.content}`);
+        const content = `
+# ${strings.digest.heading(digest.label)}
+
+${strings.digest.intro(digest.period.text, digest.posts.length)}
+
+${sections.join('\n\n')}
+${templateOf(language).footer}
+`;
+        const summary = strings.digest.summary(digest.label, digest.period.text, digest.posts.length);
+        
+        return {
+            title: `${titlePrefixOf(options)}${strings.digest.title(digest.label, digest.period.text)}`,
+            content: content,
+            category: options.category || config.blog.defaultCategory,
+            tags: [...new Set([...this.generateDigestTags(digest, language), ...(options.tags || [])])],
+            summary: summary,
+            metaDescription: summary,
+            publishedAt: new Date().toISOString(),
+            metadata: {
+                sourceAuthor: postData.author,
+                sourceDate: postData.date,
+                postType: 'digest',
+                digest: postData.digest,
+                language: language,
+                fallback: true,
+                generatedAt: new Date().toISOString()
+            }
+        };
+    }
+
+    buildRepairPrompt(prompt, output, errors) {
+        return `${prompt}
+前回の出力は次の理由で不正でした:
+${errors.map(error => `- ${error}`).join('\n')}
+
+前回の出力:
+${String(output || '').substring(0, 4000)}
+
+指摘を修正し、指定の形式のJSONオブジェクトのみを出力してください。`;
+    }
+
+    /**
+     * 構造化記事からブログ記事を構築
+     * localization.translations（他の言語の記事）がある場合は、言語ごとにヘッダー・本文・フッターを並べる。
+     * options.titlePrefix・category・tags はルーティングで指定した体裁（省略時は config.blog）。
+     */
+    buildBlogPost(postData, article, localization = {}, options = {}) {
+        const language = localization.languages ? localization.languages[0] : 'ja';
+        const versions = [{ language, article }, ...(localization.translations || [])];
+        let title = versions.map(version => version.article.title).join(' / ');
+        
+        // タイトルのプレフィックスを適用
+        title = titlePrefixOf(options) + title;
+        
+        // 言語ごとのヘッダー・フッターを適用
+        const fullContent = versions.map(version => {
+            const template = templateOf(version.language);
+            return `${template.header}${renderArticleMarkdown(version.article)}${template.footer}`;
+        }).join('\n\n');
         
         return {
             title: title,
             content: fullContent,
-            category: config.blog.defaultCategory,
-            tags: this.generateTags(postData),
+            category: options.category || article.category || config.blog.defaultCategory,
+            // 投稿者・投稿タイプ由来のタグに、モデルが提案したタグとルーティングのタグを加える
+            tags: [...new Set([
+                ...versions.flatMap(version => [...this.generateTags(postData, version.language), ...version.article.tags]),
+                ...(options.tags || [])
+            ])],
+            summary: article.summary,
+            metaDescription: article.metaDescription,
+            article: article,
             publishedAt: new Date().toISOString(),
             metadata: {
                 sourceAuthor: postData.author,
                 sourceDate: postData.date,
                 postType: postData.postType,
                 importance: this.calculateImportance(postData),
+                language: language,
+                languages: versions.map(version => version.language),
+                sourceLanguage: localization.sourceLanguage || detectLanguage(postData.content),
+                model: this.llm.modelName,
                 generatedAt: new Date().toISOString()
             }
         };
     }
 
-    generateTitle(postData) {
-        const templates = {
-            'photo': `${postData.author}さんの写真投稿より`,
-            'status': `${postData.author}さんの近況報告`,
-            'shared': `${postData.author}さんがシェアした投稿について`,
-            'video': `${postData.author}さんの動画投稿`,
-            'link': `${postData.author}さんが紹介したリンク`,
-            'group': `${postData.author}さんのグループ投稿`,
-            'page': `${postData.author}さんのページ投稿`,
-            'post': `${postData.author}さんの投稿より`
-        };
-        
-        return templates[postData.postType] || templates['post'];
+    generateTitle(postData, language = 'ja') {
+        const titles = stringsOf(language).titles;
+        return (titles[postData.postType] || titles['post'])(postData.author);
     }
 
-    generateTags(postData) {
+    generateTags(postData, language = 'ja') {
         const tags = ['Facebook', postData.author];
         
-        // 投稿タイプに応じたタグ
-        const typeTagMap = {
-            'photo': '写真',
-            'status': '近況',
-            'shared': 'シェア',
-            'video': '動画',
-            'link': 'リンク',
-            'group': 'グループ',
-            'page': 'ページ'
-        };
+        // 投稿タイプに応じたタグ（出力言語の表記）
+        const typeTagMap = stringsOf(language).typeTags;
         
         if (typeTagMap[postData.postType]) {
             tags.push(typeTagMap[postData.postType]);
@@ -182,77 +326,56 @@ ${postData.links.length > 0 ? `- リンク: ${postData.links.map(l => l.url).joi
         return Math.min(score, 10); // 最大10点
     }
 
-    generateFallbackPost(postData) {
+    generateFallbackPost(postData, language = 'ja', options = {}) {
         this.logger.info('フォールバック記事生成');
         
-        const title = this.generateTitle(postData);
+        const strings = stringsOf(language);
+        const title = this.generateTitle(postData, language);
+        // 画像処理が有効な場合は MediaService が画像そのものを埋め込む
+        const mediaEnabled = !config.media || config.media.enabled !== false;
         const content = `
-# ${postData.author}さんの投稿より
+# ${strings.fallback.heading(postData.author)}
 
-${new Date(postData.date).toLocaleDateString('ja-JP')}に${postData.author}さんがFacebookに投稿された内容をご紹介します。
+${strings.fallback.intro(new Date(postData.date).toLocaleDateString(strings.dateLocale), postData.author)}
 
-## 投稿内容
+## ${strings.fallback.content}
 
 > ${postData.content}
 
-${postData.images.length > 0 ? `\n※ この投稿には${postData.images.length}枚の画像が含まれています。\n` : ''}
-${postData.links.length > 0 ? `\n※ この投稿には関連リンクが含まれています。\n` : ''}
-
-## 所感
+${postData.images.length > 0 && !mediaEnabled ? `\n${strings.fallback.images(postData.images.length)}\n` : ''}
+${postData.links.length > 0 ? `\n${strings.fallback.links}\n` : ''}
 
-興味深い投稿ですね。詳細は元の投稿をご確認ください。
+## ${strings.fallback.remarks}
 
----
-
-*この記事はFacebook投稿から自動生成されました*
+${strings.fallback.remarksBody}
+${templateOf(language).footer}
 `;
         
+        const summary = Array.from(postData.content).slice(0, 100).join('');
+        
         return {
-            title: config.blog.titlePrefix + title,
+            title: titlePrefixOf(options) + title,
             content: content,
-            category: config.blog.defaultCategory,
-            tags: this.generateTags(postData),
+            category: options.category || config.blog.defaultCategory,
+            tags: [...new Set([...this.generateTags(postData, language), ...(options.tags || [])])],
+            summary: summary,
+            metaDescription: summary,
             publishedAt: new Date().toISOString(),
             metadata: {
                 sourceAuthor: postData.author,
                 sourceDate: postData.date,
                 postType: postData.postType,
+                language: language,
                 fallback: true,
                 generatedAt: new Date().toISOString()
             }
         };
     }
+}
 
-    // カスタムテンプレートでの記事生成
-    async generateWithTemplate(postData, template) {
-        try {
-            const customPrompt = template.replace(/\{(\w+)\}/g, (match, key) => {
-                return postData[key] || match;
-            });
-            
-            const response = await this.openai.chat.completions.create({
-                model: config.ai.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'あなたは指定されたテンプレートに従ってブログ記事を作成します。'
-                    },
-                    {
-                        role: 'user',
-                        content: customPrompt
-                    }
-                ],
-                max_tokens: config.ai.maxTokens,
-                temperature: config.ai.temperature
-            });
-            
-            return response.choices[0].message.content;
-            
-        } catch (error) {
-            this.logger.error('カスタムテンプレート生成エラー:', error);
-            return null;
-        }
-    }
+// タイトルのプレフィックス（ルーティングで指定がなければ config.blog.titlePrefix）
+function titlePrefixOf(options = {}) {
+    return typeof options.titlePrefix === 'string' ? options.titlePrefix : (config.blog.titlePrefix || '');
 }
 
 module.exports = { BlogGenerator };
\ No newline at end of file
@@ -0,0 +1,280 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const { Logger } = require('../utils/Logger');
+const { stringsOf } = require('../utils/Language');
+const config = require('../../config/config.json');
+
+/**
+ * 複数のFacebook投稿を1本のまとめ記事にするダイジェストの保留バッファ
+ *
+ * 解析済みの投稿を投稿者・グループ・全体のいずれかの単位（digest.groupBy）で保留し、
+ * スケジュール実行時または件数が digest.threshold に達したときにまとめ記事の対象として取り出す。
+ *
+ * 取り出した投稿の組み合わせは digests に記録し、収録する投稿から決まるダイジェストIDを付ける。
+ * 記事の生成・投稿が途中で失敗しても、再実行時は同じ組み合わせ・同じIDで処理を再開する。
+ *
+ * バッファ（data/digest-buffer.json）:
+ *   { posts: { <messageId>: { key, label, postData, addedAt } },
+ *     digests: { <digestId>: { key, label, messageIds, createdAt } } }
+ */
+class DigestService {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const digestConfig = config.digest || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : Boolean(digestConfig.enabled);
+        this.groupBy = options.groupBy || digestConfig.groupBy || 'author';
+        this.threshold = options.threshold !== undefined ? options.threshold : (digestConfig.threshold || 0);
+        this.minPosts = options.minPosts || digestConfig.minPosts || 1;
+        this.maxPosts = options.maxPosts || digestConfig.maxPosts || 10;
+        this.schedule = options.schedule || digestConfig.schedule || '0 21 * * *';
+        this.bufferPath = options.bufferPath || digestConfig.bufferPath || './data/digest-buffer.json';
+        this.queue = Promise.resolve();
+
+        if (!['author', 'group', 'all'].includes(this.groupBy)) {
+            throw new Error(`未対応のダイジェスト単位です: ${this.groupBy}（author | group | all）`);
+        }
+    }
+
+    // まとめる単位のキーと表示名（バッファ・ログ用の日本語の表示名）
+    keyOf(postData) {
+        let key;
+        switch (this.groupBy) {
+            case 'group':
+                key = `group:${postData.group || ''}`;
+                break;
+            case 'all':
+                key = 'all';
+                break;
+            default:
+                key = `author:${postData.author}`;
+        }
+        return { key, label: this.labelOf(key) };
+    }
+
+    // キーの表示名（記事の言語の文言）
+    labelOf(key, language = 'ja') {
+        const labels = stringsOf(language).digest.labels;
+        if (key.startsWith('author:')) {
+            return labels.author(key.substring('author:'.length));
+        }
+        if (key.startsWith('group:')) {
+            return key.substring('group:'.length) || labels.noGroup;
+        }
+        return labels.all;
+    }
+
+    // 表示名を記事の言語にしたダイジェスト
+    localize(digest, language) {
+        return { ...digest, label: this.labelOf(digest.key, language) };
+    }
+
+    // 投稿を保留する（同じメールを二度追加しても1件として扱う）
+    async add(messageId, postData) {
+        return await this.update(buffer => {
+            const { key, label } = this.keyOf(postData);
+
+            if (!buffer.posts[messageId]) {
+                buffer.posts[messageId] = { key, label, postData, addedAt: new Date().toISOString() };
+                this.logger.info(`ダイジェストに保留: ${label} (${messageId})`);
+            }
+
+            return buffer.posts[messageId].key;
+        });
+    }
+
+    /**
+     * 重複と判定した投稿の画像・リンクを保留中の元の投稿に追加する
+     * 元の投稿が保留中でない（まとめ記事に取り出し済みを含む）場合は false を返す。
+     */
+    async merge(messageId, postData) {
+        return await this.update(buffer => {
+            const item = buffer.posts[messageId];
+            const inDigest = Object.values(buffer.digests).some(digest => digest.messageIds.includes(messageId));
+            if (!item || inDigest) return false;
+
+            item.postData.images = mergeByUrl(item.postData.images, postData.images);
+            item.postData.links = mergeByUrl(item.postData.links, postData.links);
+            return true;
+        });
+    }
+
+    // 保留中の投稿の件数（キーごと）。未完了のダイジェストも含める
+    async status() {
+        const buffer = await this.read();
+        const groups = new Map();
+
+        for (const [messageId, item] of Object.entries(buffer.posts)) {
+            const group = groups.get(item.key) || { key: item.key, label: item.label, count: 0, oldest: null, newest: null, pendingDigest: null };
+            const date = item.postData.date;
+            group.count++;
+            if (!group.oldest || date < group.oldest) group.oldest = date;
+            if (!group.newest || date > group.newest) group.newest = date;
+            groups.set(item.key, group);
+        }
+
+        for (const [digestId, digest] of Object.entries(buffer.digests)) {
+            const group = groups.get(digest.key);
+            if (group) group.pendingDigest = digestId;
+        }
+
+        return [...groups.values()];
+    }
+
+    /**
+     * まとめ記事にするキーの一覧
+     * force（スケジュール実行・手動実行）の場合は minPosts 件以上、それ以外は threshold 件以上のキー
+     */
+    async dueKeys(options = {}) {
+        const groups = await this.status();
+
+        return groups
+            .filter(group => group.pendingDigest ||
+                (options.force ? group.count >= this.minPosts : this.threshold > 0 && group.count >= this.threshold))
+            .map(group => group.key);
+    }
+
+    /**
+     * キーの投稿をダイジェストとして取り出す
+     * 未完了のダイジェストがあればそれを返し、なければ保留中の投稿から新しく作る。
+     */
+    async prepare(key, options = {}) {
+        return await this.update(buffer => {
+            const pending = Object.entries(buffer.digests).find(([, digest]) => digest.key === key);
+            if (pending) {
+                return this.toDigest(buffer, pending[0], pending[1]);
+            }
+
+            const items = Object.entries(buffer.posts)
+                .filter(([, item]) => item.key === key)
+                .sort(([, a], [, b]) => String(a.postData.date).localeCompare(String(b.postData.date)))
+                .slice(0, this.maxPosts);
+
+            const required = options.force ? this.minPosts : Math.max(this.threshold, this.minPosts);
+            if (items.length === 0 || items.length < required) {
+                return null;
+            }
+
+            const messageIds = items.map(([messageId]) => messageId);
+            const digestId = this.digestIdOf(key, messageIds);
+            const digest = { key, label: items[0][1].label, messageIds, createdAt: new Date().toISOString() };
+            buffer.digests[digestId] = digest;
+
+            this.logger.info(`ダイジェスト作成: ${digestId} (${digest.label} / ${messageIds.length}件)`);
+            return this.toDigest(buffer, digestId, digest);
+        });
+    }
+
+    // まとめ記事の処理が完了したダイジェストと収録済みの投稿をバッファから削除
+    async complete(digestId) {
+        await this.update(buffer => {
+            const digest = buffer.digests[digestId];
+            if (!digest) return;
+
+            digest.messageIds.forEach(messageId => delete buffer.posts[messageId]);
+            delete buffer.digests[digestId];
+        });
+    }
+
+    // 収録する投稿が同じなら常に同じIDになる（再実行時の二重生成を防ぐ）
+    digestIdOf(key, messageIds) {
+        const hash = crypto
+            .createHash('sha1')
+            .update(`${key}\n${[...messageIds].sort().join('\n')}`)
+            .digest('hex')
+            .substring(0, 12);
+
+        return `digest_${hash}`;
+    }
+
+    toDigest(buffer, digestId, digest) {
+        const posts = digest.messageIds
+            .filter(messageId => buffer.posts[messageId])
+            .map(messageId => ({ messageId, ...buffer.posts[messageId].postData }));
+        const dates = posts.map(post => post.date).sort();
+
+        return {
+            id: digestId,
+            key: digest.key,
+            label: digest.label,
+            messageIds: digest.messageIds,
+            posts: posts,
+            period: {
+                from: dates[0],
+                to: dates[dates.length - 1],
+                text: formatPeriod(dates[0], dates[dates.length - 1])
+            }
+        };
+    }
+
+    // まとめ記事全体を1件の投稿データとして表す（下書き・画像処理・タグ生成用）
+    toPostData(digest) {
+        const posts = digest.posts;
+
+        return {
+            author: digest.label,
+            content: posts.map(post => post.content).join('\n'),
+            postType: 'digest',
+            group: this.groupBy === 'group' ? posts[0].group : null,
+            date: digest.period.to,
+            images: posts.flatMap(post => post.images || []),
+            links: posts.flatMap(post => post.links || []),
+            digest: {
+                id: digest.id,
+                label: digest.label,
+                period: digest.period.text,
+                messageIds: digest.messageIds
+            }
+        };
+    }
+
+    /**
+     * ルーティング（PostRouter.resolve）用の投稿データ
+     * toPostData の author は表示名（〇〇さん）のため、収録した投稿に共通の投稿者・グループに置き換える
+     * （投稿者が複数のまとめ記事では投稿者の条件に一致しない）
+     */
+    toRoutingData(digest, postData = this.toPostData(digest)) {
+        const commonValueOf = field => {
+            const values = new Set(digest.posts.map(post => post[field] || ''));
+            return values.size === 1 ? [...values][0] : '';
+        };
+
+        return { ...postData, author: commonValueOf('author'), group: commonValueOf('group') || null };
+    }
+
+    async read() {
+        const buffer = await fs.pathExists(this.bufferPath)
+            ? await fs.readJson(this.bufferPath)
+            : {};
+
+        return { posts: buffer.posts || {}, digests: buffer.digests || {} };
+    }
+
+    // 読み込み → 変更 → 保存 を直列に実行（同じプロセス内の同時更新で変更が失われないように）
+    async update(mutate) {
+        const run = this.queue.then(async () => {
+            const buffer = await this.read();
+            const result = mutate(buffer);
+            await fs.ensureDir(path.dirname(this.bufferPath));
+            await fs.writeJson(this.bufferPath, buffer, { spaces: 2 });
+            return result;
+        });
+
+        this.queue = run.catch(() => {});
+        return await run;
+    }
+}
+
+function mergeByUrl(items = [], additions = []) {
+    const urls = new Set(items.map(item => item.url));
+    return [...items, ...additions.filter(item => !urls.has(item.url))];
+}
+
+function formatPeriod(from, to) {
+    const start = moment(from).format('YYYY/MM/DD');
+    const end = moment(to).format('YYYY/MM/DD');
+    return start === end ? start : `${start}〜${end}`;
+}
+
+module.exports = { DigestService };
@@ -1,10 +1,16 @@
 const cheerio = require('cheerio');
 const { Logger } = require('../utils/Logger');
+const { LocalePatterns } = require('../utils/LocalePatterns');
+const { LinkProcessor } = require('../utils/LinkProcessor');
 const config = require('../../config/config.json');
 
 class FacebookParser {
-    constructor() {
+    constructor(options = {}) {
         this.logger = new Logger();
+        // 件名・定型文のパターンは通知メールのロケールごとに切り替える
+        this.locales = options.locales || new LocalePatterns();
+        // リダイレクトの展開・トラッキング用パラメーターの除去・Facebook内リンクの除外
+        this.linkProcessor = options.linkProcessor || new LinkProcessor();
     }
 
     async extractPostData(email) {
@@ -13,12 +19,16 @@ class FacebookParser {
             
             // HTMLメール本文を解析
             const $ = cheerio.load(email.body);
+            const locale = this.locales.detect(email, $);
+            const pack = this.locales.get(locale);
             
             // Facebook投稿データを抽出
             const postData = {
-                author: this.extractAuthor(email.subject, $),
-                content: this.extractContent($),
-                postType: this.extractPostType(email.subject, $),
+                author: this.extractAuthor(email.subject, $, pack),
+                content: this.extractContent($, pack, email.subject),
+                postType: this.extractPostType(email.subject, $, pack),
+                group: this.extractGroup(email.subject, pack),
+                locale: locale,
                 date: this.parseDate(email.date),
                 images: this.extractImages($),
                 links: this.extractLinks($),
@@ -44,17 +54,9 @@ class FacebookParser {
         }
     }
 
-    extractAuthor(subject, $) {
+    extractAuthor(subject, $, pack = this.locales.get()) {
         // 件名から投稿者名を抽出
-        const patterns = [
-            /(.+?) posted in/,
-            /(.+?) shared a post/,
-            /(.+?) added a new photo/,
-            /(.+?) updated their status/,
-            /(.+?) wrote a new post/
-        ];
-        
-        for (const pattern of patterns) {
+        for (const pattern of pack.author) {
             const match = subject.match(pattern);
             if (match) {
                 return match[1].trim();
@@ -67,18 +69,33 @@ class FacebookParser {
             return authorElements.first().text().trim();
         }
         
-        // その他のパターンを試行
-        const textContent = $.text();
-        const authorMatch = textContent.match(/(?:Posted by|From|By)\s+([^\n\r]+)/i);
-        if (authorMatch) {
-            return authorMatch[1].trim();
+        // その他のパターンを試行（フッターの「from Meta」などを拾わないようフッター行は除く）
+        const textContent = $.text().split('\n')
+            .filter(line => !this.isSystemMessage(line.trim(), pack))
+            .join('\n');
+        for (const pattern of pack.authorText) {
+            const authorMatch = textContent.match(pattern);
+            if (authorMatch) {
+                return authorMatch[1].trim();
+            }
         }
         
         this.logger.debug('投稿者名を抽出できませんでした');
         return null;
     }
 
-    extractContent($) {
+    // グループ投稿の場合はグループ名（ダイジェストのグループ単位のまとめに使用）
+    extractGroup(subject, pack = this.locales.get()) {
+        for (const pattern of pack.group) {
+            const match = subject.match(pattern);
+            if (match) {
+                return match[1].trim();
+            }
+        }
+        return null;
+    }
+
+    extractContent($, pack = this.locales.get(), subject = '') {
         // 投稿内容を抽出する優先順位
         const selectors = [
             '[data-testid="post_message"]',
@@ -96,9 +113,9 @@ class FacebookParser {
                 let content = elements.first().text().trim();
                 
                 // "wrote:" などの不要なプレフィックスを除去
-                content = content.replace(/^.+?wrote:\s*/i, '');
-                content = content.replace(/^.+?said:\s*/i, '');
-                content = content.replace(/^.+?posted:\s*/i, '');
+                for (const prefix of pack.contentPrefixes) {
+                    content = content.replace(prefix, '');
+                }
                 
                 if (content.length > 10) { // 最小文字数チェック
                     return this.cleanContent(content);
@@ -109,19 +126,21 @@ class FacebookParser {
         // フォールバック: メール本文全体から投稿内容を推測
         const fullText = $.text();
         const lines = fullText.split('\n').filter(line => line.trim().length > 0);
+        // 件名と同じ見出し行（「○○さんが写真を追加しました。」など）は投稿内容ではない
+        const headline = normalizeHeadline(subject);
         
         // 意味のある行を見つける
         for (let i = 0; i < lines.length; i++) {
             const line = lines[i].trim();
             
             // Facebook投稿らしい行を検出
-            if (this.isPostContent(line)) {
+            if (this.isPostContent(line, pack) && normalizeHeadline(line) !== headline) {
                 let content = line;
                 
                 // 続く行も投稿内容に含める
                 for (let j = i + 1; j < Math.min(i + 5, lines.length); j++) {
                     const nextLine = lines[j].trim();
-                    if (this.isPostContent(nextLine) && !this.isSystemMessage(nextLine)) {
+                    if (this.isPostContent(nextLine, pack) && !this.isSystemMessage(nextLine, pack)) {
                         content += '\n' + nextLine;
                     } else {
                         break;
@@ -138,11 +157,10 @@ class FacebookParser {
         return null;
     }
 
-    isPostContent(text) {
+    isPostContent(text, pack = this.locales.get()) {
         // システムメッセージではない実際の投稿内容かどうかを判定
         const systemPatterns = [
-            /^(To help keep|You're receiving|This message was sent|Facebook|Copyright|Privacy|Terms)/i,
-            /^(View|Reply|Like|Comment|Share|Unsubscribe)/i,
+            ...pack.systemLines,
             /^(http|www\.)/i,
             /^[0-9\s\-:]+$/, // 日付のみ
             /^.{0,5}$/ // 短すぎる
@@ -151,17 +169,8 @@ class FacebookParser {
         return !systemPatterns.some(pattern => pattern.test(text));
     }
 
-    isSystemMessage(text) {
-        const systemPatterns = [
-            /facebook\.com/i,
-            /unsubscribe/i,
-            /privacy policy/i,
-            /terms of service/i,
-            /help center/i,
-            /view on facebook/i
-        ];
-        
-        return systemPatterns.some(pattern => pattern.test(text));
+    isSystemMessage(text, pack = this.locales.get()) {
+        return pack.footer.some(pattern => pattern.test(text));
     }
 
     cleanContent(content) {
@@ -172,19 +181,9 @@ class FacebookParser {
             .trim();
     }
 
-    extractPostType(subject, $) {
-        const typePatterns = {
-            'photo': /added a new photo|posted a photo|shared .*photo/i,
-            'status': /updated their status|wrote on their timeline/i,
-            'shared': /shared a post|shared .*link|shared a video/i,
-            'video': /posted a video|shared a video/i,
-            'link': /shared a link|posted a link/i,
-            'group': /posted in .*group/i,
-            'page': /posted on .*page/i
-        };
-        
-        for (const [type, pattern] of Object.entries(typePatterns)) {
-            if (pattern.test(subject)) {
+    extractPostType(subject, $, pack = this.locales.get()) {
+        for (const [type, patterns] of Object.entries(pack.postTypes)) {
+            if (patterns.some(pattern => pattern.test(subject))) {
                 return type;
             }
         }
@@ -209,9 +208,14 @@ class FacebookParser {
             const alt = $(elem).attr('alt') || '';
             
             if (src && !src.includes('facebook.com/tr/') && !src.includes('pixel')) {
+                // アイコン等の除外に使うため表示サイズも保持（MediaService で選別）
+                // トラッキングピクセルは属性ではなく style でサイズを指定していることがある
+                const style = $(elem).attr('style') || '';
                 images.push({
                     url: src,
-                    alt: alt
+                    alt: alt,
+                    width: $(elem).attr('width') || styleSizeOf(style, 'width'),
+                    height: $(elem).attr('height') || styleSizeOf(style, 'height')
                 });
             }
         });
@@ -226,7 +230,7 @@ class FacebookParser {
             const href = $(elem).attr('href');
             const text = $(elem).text().trim();
             
-            if (href && !href.includes('facebook.com/help') && !href.includes('unsubscribe')) {
+            if (href) {
                 links.push({
                     url: href,
                     text: text
@@ -234,7 +238,7 @@ class FacebookParser {
             }
         });
         
-        return links;
+        return this.linkProcessor.process(links);
     }
 
     // Facebook投稿の重要度を判定
@@ -259,4 +263,15 @@ class FacebookParser {
     }
 }
 
+// 見出し行と件名を比較するため、末尾の句点と空白の違いをならす
+function normalizeHeadline(text) {
+    return String(text || '').replace(/\s+/g, ' ').replace(/[。.]\s*$/, '').trim().toLowerCase();
+}
+
+// style 属性の width / height（px 指定のみ。なければ null）
+function styleSizeOf(style, property) {
+    const match = style.match(new RegExp(`(?:^|;)\\s*${property}\\s*:\\s*(\\d+)(?:px)?\\s*(?:;|$)`, 'i'));
+    return match ? match[1] : null;
+}
+
 module.exports = { FacebookParser };
@@ -0,0 +1,101 @@
+const axios = require('axios');
+const { loadHatenaCredentials, createHatenaAuthCandidates } = require('./HatenaAuth');
+const { Logger } = require('../utils/Logger');
+const { metrics } = require('../utils/Metrics');
+const { parseFotolifeEntry } = require('../utils/AtomParser');
+const config = require('../../config/config.json');
+
+/**
+ * はてなフォトライフ AtomPub API（Atom 0.3）への画像アップロード
+ *
+ * 認証ははてなブログと同じ認証情報・認証方式（HatenaAuth）を使用する。
+ * アップロード結果の syntax（f:id:...:image）を記事に埋め込む。
+ */
+class FotolifeService {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const fotolifeConfig = (config.media && config.media.fotolife) || {};
+        this.credentials = loadHatenaCredentials(options);
+        this.authStrategy = options.auth || process.env.HATENA_AUTH || (config.blog.hatena && config.blog.hatena.auth) || 'auto';
+        this.endpoint = (options.endpoint || process.env.HATENA_FOTOLIFE_URL || fotolifeConfig.endpoint || 'https://f.hatena.ne.jp/atom').replace(/\/+$/, '');
+        this.folder = options.folder !== undefined ? options.folder : fotolifeConfig.folder;
+        this.auth = null;
+    }
+
+    getAuthCandidates() {
+        const candidates = createHatenaAuthCandidates(this.authStrategy, this.credentials);
+
+        if (candidates.length === 0) {
+            throw new Error(`はてなフォトライフの認証情報が不足しています（認証方式: ${this.authStrategy}）`);
+        }
+
+        return candidates;
+    }
+
+    // { data: Buffer, contentType, title } をアップロードし { id, syntax, imageUrl, url } を返す
+    async uploadImage(image) {
+        try {
+            this.logger.info(`フォトライフへアップロード開始: ${image.title}`);
+
+            const url = `${this.endpoint}/post`;
+            const body = this.buildAtomEntry(image);
+            const headers = { 'Content-Type': 'application/atom+xml; charset=utf-8' };
+
+            // 一度成功した認証方式を使い続ける。未確定の間は候補を順に試す
+            const candidates = this.auth ? [this.auth] : this.getAuthCandidates();
+            let lastError = null;
+
+            for (const auth of candidates) {
+                try {
+                    const response = await metrics.timeHttp(metrics.hatenaDuration, { api: 'fotolife', method: 'POST' }, () => axios.post(url, body, {
+                        headers: {
+                            ...auth.getHeaders({ method: 'POST', url, body, contentType: headers['Content-Type'] }),
+                            'User-Agent': 'FacebookBlogAutomation/1.0',
+                            ...headers
+                        },
+                        maxBodyLength: Infinity
+                    }));
+
+                    this.auth = auth;
+                    const entry = parseFotolifeEntry(response.data);
+                    this.logger.info(`フォトライフへアップロード完了: ${entry.syntax}`);
+                    return entry;
+                } catch (error) {
+                    lastError = error;
+                    const status = error.response && error.response.status;
+                    if (status !== 401 && status !== 403) break;
+                    this.logger.warn(`フォトライフ認証失敗 (${auth.name}): ${error.message}`);
+                }
+            }
+
+            throw lastError;
+        } catch (error) {
+            this.logger.error('フォトライフアップロードエラー:', error);
+            throw error;
+        }
+    }
+
+    buildAtomEntry(image) {
+        const folder = this.folder
+            ? `\n  <dc:subject>${this.escapeXml(this.folder)}</dc:subject>`
+            : '';
+
+        return `<?xml version="1.0" encoding="utf-8"?>
+<entry xmlns="http://purl.org/atom/ns#" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <title>${this.escapeXml(image.title || 'image')}</title>
+  <content mode="base64" type="${this.escapeXml(image.contentType)}">${image.data.toString('base64')}</content>${folder}
+  <generator>FacebookBlogAutomation</generator>
+</entry>`;
+    }
+
+    escapeXml(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&apos;');
+    }
+}
+
+module.exports = { FotolifeService };
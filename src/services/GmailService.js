@@ -0,0 +1,306 @@
+const { google } = require('googleapis');
+const fs = require('fs-extra');
+const path = require('path');
+const { MailSource, parseRawEmail, matchesSenderQuery } = require('./MailSource');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+// 差分同期で取得しないメール
+const EXCLUDED_LABELS = ['SPAM', 'TRASH', 'DRAFT', 'SENT'];
+
+/**
+ * Gmail API のメールソース
+ *
+ * 初回（または履歴の期限切れ後）は検索クエリで全件検索し、そのときの historyId を保存する。
+ * 以降は history.list で historyId 以降に追加されたメールだけを取得する（差分同期）。
+ * 差分同期では検索クエリを使えないため、クエリの from: 条件だけを取得したメールに適用する。
+ *
+ * 同期状態（gmail.syncStatePath）:
+ *   { historyId, fullSyncAt, pending: [未処理のメールID], deferred: [未取得のメールID] }
+ * 取得したが処理済みになっていないメールは pending に残し、次回も取得する。
+ * 1回の実行で取得するメールは monitoring.maxResults 件までとし、残りは deferred に残して次回以降に取得する。
+ */
+class GmailService extends MailSource {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        this.credentialsPath = options.credentialsPath || config.gmail.credentialsPath;
+        this.tokenPath = options.tokenPath || config.gmail.tokenPath;
+        this.query = options.query || config.monitoring.query;
+        this.maxResults = options.maxResults || config.monitoring.maxResults;
+        this.processedLabelName = config.monitoring.labels.processed;
+        this.processedLabelId = null;
+        this.syncStatePath = options.syncStatePath || config.gmail.syncStatePath || './data/gmail-sync.json';
+        this.rootUrl = options.rootUrl || process.env.GMAIL_API_URL || undefined;
+        this.auth = options.auth || null;
+        this.gmail = null;
+    }
+
+    async authenticate() {
+        try {
+            if (!this.auth) {
+                this.auth = await this.createOAuthClient();
+            }
+
+            this.gmail = google.gmail({ version: 'v1', auth: this.auth, rootUrl: this.rootUrl });
+
+            // 接続確認
+            const profile = await this.gmail.users.getProfile({ userId: 'me' });
+            this.logger.gmailLog('info', `Gmail API認証成功: ${profile.data.emailAddress}`);
+
+            // 処理済みラベルを準備
+            this.processedLabelId = await this.ensureLabel(this.processedLabelName);
+            return true;
+        } catch (error) {
+            this.logger.error('Gmail API認証エラー:', error);
+            throw error;
+        }
+    }
+
+    async createOAuthClient() {
+        if (!await fs.pathExists(this.credentialsPath)) {
+            throw new Error(`${this.credentialsPath}が見つかりません。npm run setup を実行してください`);
+        }
+        if (!await fs.pathExists(this.tokenPath)) {
+            throw new Error(`${this.tokenPath}が見つかりません。npm run setup を実行してください`);
+        }
+
+        const credentials = await fs.readJson(this.credentialsPath);
+        const { client_secret, client_id, redirect_uris } = credentials.installed || credentials.web;
+
+        const oAuth2Client = new google.auth.OAuth2(
+            client_id,
+            client_secret,
+            redirect_uris[0]
+        );
+        oAuth2Client.setCredentials(await fs.readJson(this.tokenPath));
+
+        // アクセストークン更新時はトークンファイルも更新
+        oAuth2Client.on('tokens', async (tokens) => {
+            try {
+                const current = await fs.readJson(this.tokenPath);
+                await fs.writeJson(this.tokenPath, { ...current, ...tokens });
+                this.logger.gmailLog('debug', 'Gmailアクセストークンを更新しました');
+            } catch (error) {
+                this.logger.error('Gmailトークン保存エラー:', error);
+            }
+        });
+
+        return oAuth2Client;
+    }
+
+    async ensureLabel(name) {
+        const response = await this.gmail.users.labels.list({ userId: 'me' });
+        const existing = (response.data.labels || []).find(label => label.name === name);
+
+        if (existing) {
+            return existing.id;
+        }
+
+        const created = await this.gmail.users.labels.create({
+            userId: 'me',
+            requestBody: {
+                name: name,
+                labelListVisibility: 'labelShow',
+                messageListVisibility: 'show'
+            }
+        });
+
+        this.logger.gmailLog('info', `Gmailラベルを作成しました: ${name}`);
+        return created.data.id;
+    }
+
+    buildQuery() {
+        // 処理済みラベルが付いたメールは除外
+        return `(${this.query}) -label:${this.processedLabelName}`;
+    }
+
+    async getFacebookNotifications() {
+        this.ensureAuthenticated();
+
+        try {
+            const state = await this.loadSyncState();
+
+            // 差分同期（履歴が期限切れの場合は null）
+            let sync = state.historyId ? await this.listAddedMessages(state.historyId) : null;
+            if (!sync) {
+                sync = await this.searchMessages();
+                state.fullSyncAt = new Date().toISOString();
+            }
+
+            const emails = [];
+            const pending = [];
+            const searched = new Set(sync.searched ? sync.messageIds : []);
+            const messageIds = [...new Set([...state.pending, ...state.deferred, ...sync.messageIds])];
+            const deferred = messageIds.slice(this.maxResults);
+
+            for (const messageId of messageIds.slice(0, this.maxResults)) {
+                try {
+                    const email = await this.getMessage(messageId);
+
+                    // 差分同期で追加されたメール・前回から持ち越したメールは検索クエリの送信者条件で絞り込む
+                    if (!searched.has(messageId) && !state.pending.includes(messageId) && !matchesSenderQuery(this.query, email)) {
+                        continue;
+                    }
+
+                    emails.push(email);
+                    pending.push(messageId);
+                } catch (error) {
+                    if (isNotFound(error)) {
+                        this.logger.gmailLog('debug', `削除されたメールをスキップ: ${messageId}`);
+                        continue;
+                    }
+                    this.logger.error(`メール取得エラー [${messageId}]:`, error);
+                    pending.push(messageId);
+                }
+            }
+
+            await this.saveSyncState({ ...state, historyId: sync.historyId, pending, deferred });
+
+            this.logger.gmailLog('info', `${emails.length}件のメールを取得しました（${sync.searched ? '全件検索' : '差分同期'}）`);
+            if (deferred.length > 0) {
+                this.logger.gmailLog('info', `残り${deferred.length}件のメールは次回以降に取得します（上限: ${this.maxResults}件）`);
+            }
+            return emails;
+        } catch (error) {
+            this.logger.error('Facebook通知取得エラー:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * 検索クエリによる全件検索。検索前の historyId を次回の差分同期の起点にする
+     * 起点より前のメールは差分同期で取得できないため、メールIDは maxResults 件ずつ最後のページまで取得する
+     */
+    async searchMessages() {
+        const profile = await this.gmail.users.getProfile({ userId: 'me' });
+        const query = this.buildQuery();
+        this.logger.gmailLog('debug', `Gmail検索: ${query}`);
+
+        const messageIds = [];
+        let pageToken;
+        do {
+            const response = await this.gmail.users.messages.list({
+                userId: 'me',
+                q: query,
+                maxResults: this.maxResults,
+                pageToken: pageToken
+            });
+
+            messageIds.push(...(response.data.messages || []).map(message => message.id));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return {
+            searched: true,
+            historyId: profile.data.historyId,
+            messageIds: [...new Set(messageIds)]
+        };
+    }
+
+    /**
+     * historyId 以降に追加されたメールのID
+     * 履歴の有効期限が切れている（404）場合は null を返す
+     */
+    async listAddedMessages(startHistoryId) {
+        const messageIds = [];
+        let historyId = startHistoryId;
+        let pageToken;
+
+        try {
+            do {
+                const response = await this.gmail.users.history.list({
+                    userId: 'me',
+                    startHistoryId: startHistoryId,
+                    historyTypes: ['messageAdded'],
+                    pageToken: pageToken
+                });
+
+                for (const record of response.data.history || []) {
+                    for (const { message } of record.messagesAdded || []) {
+                        const labelIds = message.labelIds || [];
+                        if (labelIds.some(labelId => EXCLUDED_LABELS.includes(labelId) || labelId === this.processedLabelId)) {
+                            continue;
+                        }
+                        messageIds.push(message.id);
+                    }
+                }
+
+                historyId = response.data.historyId || historyId;
+                pageToken = response.data.nextPageToken;
+            } while (pageToken);
+        } catch (error) {
+            if (isNotFound(error)) {
+                this.logger.gmailLog('warn', `Gmailの履歴が期限切れのため全件検索します (historyId: ${startHistoryId})`);
+                return null;
+            }
+            throw error;
+        }
+
+        this.logger.gmailLog('debug', `差分同期: historyId ${startHistoryId} → ${historyId}（${messageIds.length}件追加）`);
+        return { searched: false, historyId, messageIds: [...new Set(messageIds)] };
+    }
+
+    async loadSyncState() {
+        const state = await fs.pathExists(this.syncStatePath) ? await fs.readJson(this.syncStatePath) : {};
+        return {
+            historyId: state.historyId || null,
+            fullSyncAt: state.fullSyncAt || null,
+            pending: state.pending || [],
+            deferred: state.deferred || []
+        };
+    }
+
+    async saveSyncState(state) {
+        await fs.ensureDir(path.dirname(this.syncStatePath));
+        await fs.writeJson(this.syncStatePath, state, { spaces: 2 });
+    }
+
+    async getMessage(messageId) {
+        const response = await this.gmail.users.messages.get({
+            userId: 'me',
+            id: messageId,
+            format: 'raw'
+        });
+
+        const raw = Buffer.from(response.data.raw, 'base64url');
+        return await parseRawEmail(raw, messageId);
+    }
+
+    async markAsProcessed(messageId) {
+        this.ensureAuthenticated();
+
+        try {
+            await this.gmail.users.messages.modify({
+                userId: 'me',
+                id: messageId,
+                requestBody: {
+                    addLabelIds: [this.processedLabelId],
+                    removeLabelIds: ['UNREAD']
+                }
+            });
+
+            this.logger.gmailLog('debug', `処理済みラベルを付与: ${messageId}`);
+
+            const state = await this.loadSyncState();
+            if (state.pending.includes(messageId)) {
+                await this.saveSyncState({ ...state, pending: state.pending.filter(id => id !== messageId) });
+            }
+        } catch (error) {
+            this.logger.error(`処理済みマークエラー [${messageId}]:`, error);
+            throw error;
+        }
+    }
+
+    ensureAuthenticated() {
+        if (!this.gmail) {
+            throw new Error('Gmail APIが認証されていません。authenticate()を先に呼び出してください');
+        }
+    }
+}
+
+function isNotFound(error) {
+    return error.code === 404 || error.code === '404' || (error.response && error.response.status === 404);
+}
+
+module.exports = { GmailService };
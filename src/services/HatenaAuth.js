@@ -0,0 +1,268 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const config = require('../../config/config.json');
+
+/**
+ * はてなAtomPub APIの認証方式
+ *
+ * - wsse:  WSSE (UsernameToken)。パスワードはブログ詳細設定の「APIキー」
+ * - basic: Basic認証。パスワードは同じく「APIキー」
+ * - oauth: OAuth 1.0a（3-legged）。コンシューマーキーとアクセストークンで署名
+ *
+ * 各方式は getHeaders({ method, url, body, contentType }) でリクエストに付与するヘッダーを返す。
+ */
+const AUTH_STRATEGIES = ['oauth', 'wsse', 'basic'];
+
+const OAUTH_ENDPOINTS = {
+    initiate: 'https://www.hatena.com/oauth/initiate',
+    authorize: 'https://www.hatena.ne.jp/oauth/authorize',
+    token: 'https://www.hatena.com/oauth/token'
+};
+
+// ブログの閲覧・投稿（下書き含む）に必要なスコープ
+const OAUTH_SCOPES = ['read_public', 'write_public', 'read_private', 'write_private'];
+
+class WsseAuth {
+    constructor(credentials) {
+        this.name = 'wsse';
+        this.username = credentials.username;
+        this.apiKey = credentials.apiKey;
+    }
+
+    isConfigured() {
+        return Boolean(this.username && this.apiKey);
+    }
+
+    getHeaders() {
+        return {
+            'Authorization': 'WSSE profile="UsernameToken"',
+            'X-WSSE': createWsseToken(this.username, this.apiKey)
+        };
+    }
+}
+
+class BasicAuth {
+    constructor(credentials) {
+        this.name = 'basic';
+        this.username = credentials.username;
+        this.apiKey = credentials.apiKey;
+    }
+
+    isConfigured() {
+        return Boolean(this.username && this.apiKey);
+    }
+
+    getHeaders() {
+        const token = Buffer.from(`${this.username}:${this.apiKey}`).toString('base64');
+        return { 'Authorization': `Basic ${token}` };
+    }
+}
+
+class OAuthAuth {
+    constructor(credentials) {
+        this.name = 'oauth';
+        this.consumerKey = credentials.consumerKey;
+        this.consumerSecret = credentials.consumerSecret;
+        this.accessToken = credentials.accessToken;
+        this.accessTokenSecret = credentials.accessTokenSecret;
+    }
+
+    isConfigured() {
+        return Boolean(this.consumerKey && this.consumerSecret && this.accessToken && this.accessTokenSecret);
+    }
+
+    getHeaders(request) {
+        return {
+            'Authorization': buildOAuthHeader({
+                ...request,
+                consumerKey: this.consumerKey,
+                consumerSecret: this.consumerSecret,
+                token: this.accessToken,
+                tokenSecret: this.accessTokenSecret
+            })
+        };
+    }
+}
+
+// 環境変数・トークンファイルから認証情報を読み込む
+function loadHatenaCredentials(options = {}) {
+    const hatenaConfig = config.blog.hatena || {};
+    const tokenPath = options.tokenPath || hatenaConfig.tokenPath || 'hatena_token.json';
+    const savedToken = fs.existsSync(tokenPath) ? fs.readJsonSync(tokenPath) : {};
+
+    return {
+        username: options.username || process.env.HATENA_USERNAME,
+        apiKey: options.apiKey || process.env.HATENA_API_KEY,
+        consumerKey: options.consumerKey || process.env.HATENA_CONSUMER_KEY,
+        consumerSecret: options.consumerSecret || process.env.HATENA_CONSUMER_SECRET,
+        accessToken: options.accessToken || process.env.HATENA_ACCESS_TOKEN || savedToken.oauth_token,
+        accessTokenSecret: options.accessTokenSecret || process.env.HATENA_ACCESS_TOKEN_SECRET || savedToken.oauth_token_secret
+    };
+}
+
+// 設定された認証方式の候補を優先順に返す（auto の場合は設定済みの方式すべて）
+function createHatenaAuthCandidates(strategy, credentials) {
+    const factories = {
+        oauth: () => new OAuthAuth(credentials),
+        wsse: () => new WsseAuth(credentials),
+        basic: () => new BasicAuth(credentials)
+    };
+
+    if (strategy === 'auto') {
+        return AUTH_STRATEGIES.map(name => factories[name]()).filter(auth => auth.isConfigured());
+    }
+
+    if (!factories[strategy]) {
+        throw new Error(`未対応のはてな認証方式です: ${strategy}（${AUTH_STRATEGIES.join(' | ')} | auto）`);
+    }
+
+    const auth = factories[strategy]();
+    return auth.isConfigured() ? [auth] : [];
+}
+
+function createWsseToken(username, password, nonce = crypto.randomBytes(16), created = new Date().toISOString()) {
+    const digest = crypto
+        .createHash('sha1')
+        .update(Buffer.concat([nonce, Buffer.from(created + password)]))
+        .digest('base64');
+
+    return `UsernameToken Username="${username}", PasswordDigest="${digest}", Nonce="${nonce.toString('base64')}", Created="${created}"`;
+}
+
+// RFC 3986 のパーセントエンコーディング（OAuth署名用）
+function percentEncode(value) {
+    return encodeURIComponent(String(value))
+        .replace(/[!'()*]/g, c => '%' + c.charCodeAt(0).toString(16).toUpperCase());
+}
+
+/**
+ * OAuth 1.0a の HMAC-SHA1 署名を計算する
+ * クエリ文字列と、フォーム形式のボディを署名対象に含める。
+ * XMLなどフォーム以外のボディは oauth_body_hash（Body Hash拡張）として含める。
+ */
+function signOAuthRequest({ method, url, body, contentType, oauthParams, consumerSecret, tokenSecret }) {
+    const parsedUrl = new URL(url);
+    const params = [];
+
+    for (const [key, value] of Object.entries(oauthParams)) {
+        if (key !== 'oauth_signature') params.push([key, value]);
+    }
+    for (const [key, value] of parsedUrl.searchParams) {
+        params.push([key, value]);
+    }
+    if (body && isFormContent(contentType)) {
+        for (const [key, value] of new URLSearchParams(body)) {
+            params.push([key, value]);
+        }
+    }
+
+    const normalizedParams = params
+        .map(([key, value]) => [percentEncode(key), percentEncode(value)])
+        .sort((a, b) => (a[0] === b[0] ? (a[1] < b[1] ? -1 : 1) : (a[0] < b[0] ? -1 : 1)))
+        .map(([key, value]) => `${key}=${value}`)
+        .join('&');
+
+    // スキームとホストは小文字、既定ポートは含めない（URL.host は既定ポートを省略する）
+    const baseUrl = `${parsedUrl.protocol}//${parsedUrl.host}`.toLowerCase() + parsedUrl.pathname;
+
+    const signatureBaseString = [
+        method.toUpperCase(),
+        percentEncode(baseUrl),
+        percentEncode(normalizedParams)
+    ].join('&');
+
+    const signingKey = `${percentEncode(consumerSecret)}&${percentEncode(tokenSecret || '')}`;
+
+    return crypto
+        .createHmac('sha1', signingKey)
+        .update(signatureBaseString)
+        .digest('base64');
+}
+
+function buildOAuthHeader({ method, url, body, contentType, consumerKey, consumerSecret, token, tokenSecret, extraParams = {} }) {
+    const oauthParams = {
+        oauth_consumer_key: consumerKey,
+        oauth_nonce: crypto.randomBytes(16).toString('hex'),
+        oauth_signature_method: 'HMAC-SHA1',
+        oauth_timestamp: Math.floor(Date.now() / 1000),
+        oauth_version: '1.0',
+        ...extraParams
+    };
+
+    if (token) {
+        oauthParams.oauth_token = token;
+    }
+    if (body && !isFormContent(contentType)) {
+        oauthParams.oauth_body_hash = crypto.createHash('sha1').update(body).digest('base64');
+    }
+
+    oauthParams.oauth_signature = signOAuthRequest({
+        method, url, body, contentType, oauthParams, consumerSecret, tokenSecret
+    });
+
+    const authParams = Object.keys(oauthParams)
+        .map(key => `${percentEncode(key)}="${percentEncode(oauthParams[key])}"`)
+        .join(', ');
+
+    return `OAuth ${authParams}`;
+}
+
+// OAuthフロー: リクエストトークンを取得し、ユーザーが開く認可URLを返す
+async function getRequestToken(consumerKey, consumerSecret) {
+    const body = `scope=${percentEncode(OAUTH_SCOPES.join(','))}`;
+    const credentials = await postOAuthForm(OAUTH_ENDPOINTS.initiate, body, {
+        consumerKey,
+        consumerSecret,
+        extraParams: { oauth_callback: 'oob' }
+    });
+
+    return {
+        ...credentials,
+        authorizeUrl: `${OAUTH_ENDPOINTS.authorize}?oauth_token=${percentEncode(credentials.oauth_token)}`
+    };
+}
+
+// OAuthフロー: 認可後に表示された verifier でアクセストークンを取得
+async function getAccessToken(consumerKey, consumerSecret, requestToken, verifier) {
+    return await postOAuthForm(OAUTH_ENDPOINTS.token, '', {
+        consumerKey,
+        consumerSecret,
+        token: requestToken.oauth_token,
+        tokenSecret: requestToken.oauth_token_secret,
+        extraParams: { oauth_verifier: verifier }
+    });
+}
+
+async function postOAuthForm(url, body, signing) {
+    const contentType = 'application/x-www-form-urlencoded';
+
+    const response = await axios.post(url, body, {
+        headers: {
+            'Authorization': buildOAuthHeader({ method: 'POST', url, body, contentType, ...signing }),
+            'Content-Type': contentType
+        },
+        responseType: 'text'
+    });
+
+    return Object.fromEntries(new URLSearchParams(response.data));
+}
+
+function isFormContent(contentType) {
+    return Boolean(contentType) && contentType.startsWith('application/x-www-form-urlencoded');
+}
+
+module.exports = {
+    AUTH_STRATEGIES,
+    WsseAuth,
+    BasicAuth,
+    OAuthAuth,
+    loadHatenaCredentials,
+    createHatenaAuthCandidates,
+    createWsseToken,
+    buildOAuthHeader,
+    signOAuthRequest,
+    percentEncode,
+    getRequestToken,
+    getAccessToken
+};
@@ -1,31 +1,60 @@
 const axios = require('axios');
-const crypto = require('crypto');
+const { Publisher } = require('./Publisher');
+const { loadHatenaCredentials, createHatenaAuthCandidates } = require('./HatenaAuth');
 const { Logger } = require('../utils/Logger');
+const { metrics } = require('../utils/Metrics');
+const { parseAtomEntry, parseAtomFeed, parseAtomCategories } = require('../utils/AtomParser');
+const config = require('../../config/config.json');
 
-class HatenaBlogService {
-    constructor() {
+class HatenaBlogService extends Publisher {
+    constructor(options = {}) {
+        super();
         this.logger = new Logger();
-        this.apiKey = process.env.HATENA_API_KEY;
-        this.apiSecret = process.env.HATENA_API_SECRET;
-        this.username = process.env.HATENA_USERNAME;
-        this.blogId = process.env.HATENA_BLOG_ID;
-        this.baseUrl = `https://blog.hatena.ne.jp/${this.username}/${this.blogId}/atom`;
+        this.credentials = loadHatenaCredentials(options);
+        this.username = this.credentials.username;
+        this.blogId = options.blogId || process.env.HATENA_BLOG_ID;
+        // 認証方式: oauth | wsse | basic | auto（設定済みの方式を順に試す）
+        this.authStrategy = options.auth || process.env.HATENA_AUTH || (config.blog.hatena && config.blog.hatena.auth) || 'auto';
+        this.auth = null;
+        // テスト用のAtomPubサーバーなどに向ける場合は HATENA_BASE_URL で上書き
+        const apiRoot = (options.baseUrl || process.env.HATENA_BASE_URL || 'https://blog.hatena.ne.jp').replace(/\/+$/, '');
+        this.baseUrl = `${apiRoot}/${this.username}/${this.blogId}/atom`;
     }
 
+    getAuthCandidates() {
+        const candidates = createHatenaAuthCandidates(this.authStrategy, this.credentials);
+        
+        if (candidates.length === 0) {
+            throw new Error(`はてなブログAPIの認証情報が不足しています（認証方式: ${this.authStrategy}）`);
+        }
+        
+        return candidates;
+    }
+
+    // 認証方式を順に試し、成功した方式名（oauth / wsse / basic）を返す
     async authenticate() {
-        if (!this.apiKey || !this.apiSecret || !this.username || !this.blogId) {
-            throw new Error('はてなブログAPIの認証情報が不足しています');
+        if (!this.username || !this.blogId) {
+            throw new Error('はてなブログのユーザー名またはブログIDが設定されていません');
         }
         
-        try {
-            // 認証テスト
-            const response = await this.makeRequest('GET', '/entry');
-            this.logger.info('はてなブログAPI認証成功');
-            return true;
-        } catch (error) {
-            this.logger.error('はてなブログAPI認証エラー:', error);
-            throw error;
+        const candidates = this.getAuthCandidates();
+        let lastError = null;
+        
+        for (const auth of candidates) {
+            try {
+                this.auth = auth;
+                await this.makeRequest('GET', '/entry');
+                this.logger.info(`はてなブログAPI認証成功 (${auth.name})`);
+                return auth.name;
+            } catch (error) {
+                lastError = error;
+                this.logger.warn(`はてなブログAPI認証失敗 (${auth.name}): ${error.message}`);
+            }
         }
+        
+        this.auth = null;
+        this.logger.error('はてなブログAPI認証エラー:', lastError);
+        throw lastError;
     }
 
     async publishPost(blogPost) {
@@ -75,7 +104,8 @@ class HatenaBlogService {
     }
 
     buildAtomEntry(blogPost, isDraft = false) {
-        const categories = blogPost.tags || [];
+        // はてなブログにはカテゴリとタグの区別がないため、記事のカテゴリもタグと同じ category にする
+        const categories = [...new Set([blogPost.category, ...(blogPost.tags || [])].filter(Boolean))];
         const categoryElements = categories.map(tag => 
             `<category term="${this.escapeXml(tag)}" />`
         ).join('\n  ');
@@ -84,7 +114,7 @@ class HatenaBlogService {
 <entry xmlns="http://www.w3.org/2005/Atom"
        xmlns:app="http://www.w3.org/2007/app">
   <title>${this.escapeXml(blogPost.title)}</title>
-  <author><n>${this.escapeXml(this.username)}</n></author>
+  <author><name>${this.escapeXml(this.username)}</name></author>
   <content type="text/x-markdown">${this.escapeXml(blogPost.content)}</content>
   ${categoryElements}
   <app:control>
@@ -105,106 +135,104 @@ class HatenaBlogService {
     }
 
     async makeRequest(method, path, data = null, headers = {}) {
-        const url = this.baseUrl + path;
-        const timestamp = Math.floor(Date.now() / 1000);
-        const nonce = crypto.randomBytes(16).toString('hex');
+        // rel="next" などの絶対URLはそのまま使用
+        const url = /^https?:\/\//.test(path) ? path : this.baseUrl + path;
+        const body = data && (method === 'POST' || method === 'PUT') ? data : null;
         
-        // OAuth 1.0a署名生成
-        const signature = this.generateSignature(method, url, timestamp, nonce, data);
+        // 認証前に呼ばれた場合は設定済みの最優先の方式を使用
+        if (!this.auth) {
+            this.auth = this.getAuthCandidates()[0];
+        }
         
-        const authHeader = this.buildAuthHeader(timestamp, nonce, signature);
+        const authHeaders = this.auth.getHeaders({
+            method: method,
+            url: url,
+            body: body,
+            contentType: headers['Content-Type']
+        });
         
-        const config = {
+        const requestConfig = {
             method: method,
             url: url,
             headers: {
-                'Authorization': authHeader,
+                ...authHeaders,
                 'User-Agent': 'FacebookBlogAutomation/1.0',
                 ...headers
             }
         };
         
-        if (data && (method === 'POST' || method === 'PUT')) {
-            config.data = data;
+        if (body) {
+            requestConfig.data = body;
         }
         
-        return await axios(config);
-    }
-
-    generateSignature(method, url, timestamp, nonce, data) {
-        const params = {
-            oauth_consumer_key: this.apiKey,
-            oauth_nonce: nonce,
-            oauth_signature_method: 'HMAC-SHA1',
-            oauth_timestamp: timestamp,
-            oauth_version: '1.0'
-        };
-        
-        // パラメーターを正規化
-        const sortedParams = Object.keys(params)
-            .sort()
-            .map(key => `${encodeURIComponent(key)}=${encodeURIComponent(params[key])}`)
-            .join('&');
-        
-        // 署名ベース文字列を構築
-        const signatureBaseString = [
-            method.toUpperCase(),
-            encodeURIComponent(url),
-            encodeURIComponent(sortedParams)
-        ].join('&');
-        
-        // 署名キーを構築
-        const signingKey = encodeURIComponent(this.apiSecret) + '&';
-        
-        // HMAC-SHA1署名を生成
-        const signature = crypto
-            .createHmac('sha1', signingKey)
-            .update(signatureBaseString)
-            .digest('base64');
-        
-        return signature;
-    }
-
-    buildAuthHeader(timestamp, nonce, signature) {
-        const params = {
-            oauth_consumer_key: this.apiKey,
-            oauth_nonce: nonce,
-            oauth_signature: signature,
-            oauth_signature_method: 'HMAC-SHA1',
-            oauth_timestamp: timestamp,
-            oauth_version: '1.0'
-        };
-        
-        const authParams = Object.keys(params)
-            .map(key => `${encodeURIComponent(key)}="${encodeURIComponent(params[key])}"`)
-            .join(', ');
-        
-        return `OAuth ${authParams}`;
+        return await metrics.timeHttp(metrics.hatenaDuration, { api: 'blog', method: method }, () => axios(requestConfig));
     }
 
     parseEntryResponse(responseData) {
-        // Atom XMLをパースして記事情報を抽出
-        // 簡易実装（実際はXMLパーサーを使用することを推奨）
-        const urlMatch = responseData.match(/<link rel="alternate" href="([^"]+)"/);
-        const idMatch = responseData.match(/<id>([^<]+)<\/id>/);
-        
+        const entry = parseAtomEntry(responseData);
+
         return {
-            url: urlMatch ? urlMatch[1] : null,
-            id: idMatch ? idMatch[1] : null,
+            ...entry,
             success: true
         };
     }
 
-    async getEntries(limit = 10) {
+    // 記事一覧を取得（rel="next" を辿って全ページを走査）
+    // options: { drafts: 下書きのみ, since: この日時以降に公開された記事のみ, limit: 最大件数 }
+    async getEntries(options = {}) {
+        if (typeof options === 'number') {
+            options = { limit: options };
+        }
+
+        const limit = options.limit || Infinity;
+        const since = options.since ? new Date(options.since) : null;
+        const maxPages = options.maxPages || 100;
+        const entries = [];
+
         try {
-            const response = await this.makeRequest('GET', `/entry?page=1&limit=${limit}`);
-            return response.data;
+            let nextUrl = '/entry';
+
+            for (let page = 1; nextUrl && page <= maxPages && entries.length < limit; page++) {
+                const response = await this.makeRequest('GET', nextUrl);
+                const feed = parseAtomFeed(response.data);
+
+                for (const entry of feed.entries) {
+                    if (Boolean(options.drafts) !== entry.draft) continue;
+                    if (since && new Date(entry.published || entry.updated) < since) continue;
+                    entries.push(entry);
+                }
+
+                // 新しい順に並ぶため、ページ内がすべて since より古ければ以降は不要
+                const reachedSince = since && feed.entries.length > 0 && feed.entries.every(entry =>
+                    new Date(entry.published || entry.updated) < since
+                );
+
+                nextUrl = reachedSince ? null : feed.nextUrl;
+                this.logger.debug(`記事一覧取得: ${page}ページ目 (${feed.entries.length}件)`);
+            }
+
+            return entries.slice(0, limit);
         } catch (error) {
             this.logger.error('記事一覧取得エラー:', error);
             throw error;
         }
     }
 
+    async getEntry(entryId) {
+        const response = await this.makeRequest('GET', `/entry/${entryId}`);
+        return parseAtomEntry(response.data);
+    }
+
+    async getCategories() {
+        try {
+            const response = await this.makeRequest('GET', '/category');
+            return parseAtomCategories(response.data);
+        } catch (error) {
+            this.logger.error('カテゴリ一覧取得エラー:', error);
+            throw error;
+        }
+    }
+
     async updateEntry(entryId, blogPost) {
         try {
             this.logger.info(`記事更新開始: ${entryId}`);
@@ -251,15 +279,13 @@ class HatenaBlogService {
     async getPostStats(entryId) {
         try {
             // 基本的な記事情報のみ取得可能
-            const response = await this.makeRequest('GET', `/entry/${entryId}`);
-            
-            // XMLから基本情報を抽出
-            const publishedMatch = response.data.match(/<published>([^<]+)<\/published>/);
-            const updatedMatch = response.data.match(/<updated>([^<]+)<\/updated>/);
+            const entry = await this.getEntry(entryId);
             
             return {
-                published: publishedMatch ? publishedMatch[1] : null,
-                updated: updatedMatch ? updatedMatch[1] : null,
+                published: entry.published,
+                updated: entry.updated,
+                draft: entry.draft,
+                categories: entry.categories
                 // はてなブログAPIではPV数などは取得できない
             };
             
@@ -0,0 +1,247 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+/**
+ * 常駐プロセスの稼働状態（/healthz・/readyz・health コマンド）
+ *
+ * 常駐中は次の状態を health.statePath（data/health.json）に書き出し、
+ * 別プロセスの health コマンドからも同じ基準で判定できるようにする。
+ *   heartbeatAt           health.heartbeatInterval ミリ秒毎に更新（イベントループの応答）
+ *   run                   実行中の新着メール処理 { startedAt }
+ *   lastSuccessfulPollAt  最後にメール処理が正常に終わった時刻
+ *   services              mail / llm / blog ごとの最終成功・最終エラー
+ *
+ * 判定項目は live（生存: 止まっていないか）と ready（準備: 外部サービスを使えるか）に分かれる。
+ * /healthz は live のみ、/readyz と health コマンドはすべての項目で判定する。
+ */
+const SERVICES = {
+    mail: 'メールソース',
+    llm: 'AIプロバイダー',
+    blog: 'ブログ投稿先'
+};
+
+// 認証情報の失効・取り消しを示すエラー
+const AUTH_ERROR = /invalid_grant|invalid_token|unauthori[sz]ed|401|認証/i;
+
+class HealthMonitor {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const healthConfig = config.health || {};
+        this.statePath = options.statePath || healthConfig.statePath || './data/health.json';
+        this.heartbeatInterval = options.heartbeatInterval || healthConfig.heartbeatInterval || 30000;
+        this.stuckAfterMinutes = options.stuckAfterMinutes || healthConfig.stuckAfterMinutes || 30;
+        this.staleAfterPolls = options.staleAfterPolls || healthConfig.staleAfterPolls || 3;
+        this.mailSource = options.mailSource || process.env.MAIL_SOURCE || config.monitoring.source;
+        this.gmailTokenPath = options.gmailTokenPath || config.gmail.tokenPath;
+        this.state = emptyState();
+        // 状態ファイルに書き出すのは常駐プロセス（start 後）のみ
+        this.persistent = false;
+        this.timer = null;
+        this.queue = Promise.resolve();
+    }
+
+    async start({ pollInterval }) {
+        this.state = { ...emptyState(), pid: process.pid, startedAt: new Date().toISOString(), pollInterval };
+        this.persistent = true;
+        this.state.heartbeatAt = new Date().toISOString();
+        await this.save();
+
+        this.timer = setInterval(() => {
+            this.state.heartbeatAt = new Date().toISOString();
+            this.save();
+        }, this.heartbeatInterval);
+        this.timer.unref();
+    }
+
+    async stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+        }
+        if (this.persistent) {
+            this.state.stoppedAt = new Date().toISOString();
+            await this.save();
+            this.persistent = false;
+        }
+    }
+
+    markInitialized(initialized) {
+        this.state.initialized = initialized;
+        this.save();
+    }
+
+    runStarted() {
+        this.state.run = { startedAt: new Date().toISOString() };
+        this.save();
+    }
+
+    runFinished(error = null) {
+        const now = new Date().toISOString();
+        this.state.run = null;
+        this.state.lastPollAt = now;
+        if (!error) {
+            this.state.lastSuccessfulPollAt = now;
+        }
+        this.save();
+    }
+
+    recordSuccess(service) {
+        this.serviceOf(service).lastSuccessAt = new Date().toISOString();
+        this.save();
+    }
+
+    recordError(service, error) {
+        const state = this.serviceOf(service);
+        state.lastErrorAt = new Date().toISOString();
+        state.lastError = error && error.message ? error.message : String(error);
+        this.save();
+    }
+
+    serviceOf(service) {
+        if (!SERVICES[service]) {
+            throw new Error(`不明なサービスです: ${service}`);
+        }
+        this.state.services[service] = this.state.services[service] || {};
+        return this.state.services[service];
+    }
+
+    /**
+     * 稼働状態を判定する
+     * 戻り値: { live, ready, checkedAt, checks: [{ name, kind: live|ready, ok, message }] }
+     */
+    async evaluate(now = new Date()) {
+        const state = this.state;
+        const checks = [];
+        const add = (name, kind, ok, message) => checks.push({ name, kind, ok, message });
+        const ageOf = value => (value ? (now.getTime() - new Date(value).getTime()) / 1000 : Infinity);
+
+        if (!state.startedAt || state.stoppedAt) {
+            add('process', 'live', false, state.stoppedAt ? `停止しています（${state.stoppedAt}）` : '常駐プロセスが起動していません');
+            return summarize(checks, now);
+        }
+
+        // イベントループが止まっていないか（別プロセスから確認する場合）
+        const heartbeatAge = ageOf(state.heartbeatAt);
+        add('heartbeat', 'live', heartbeatAge <= (this.heartbeatInterval / 1000) * 3,
+            `最終応答 ${formatAge(heartbeatAge)}前`);
+
+        // 新着メール処理が終わらない（isRunning のまま）
+        if (state.run) {
+            const runAge = ageOf(state.run.startedAt);
+            add('poller', 'live', runAge <= this.stuckAfterMinutes * 60,
+                `新着メール処理を${formatAge(runAge)}実行中${runAge > this.stuckAfterMinutes * 60 ? `（${this.stuckAfterMinutes}分を超えています）` : ''}`);
+        } else {
+            add('poller', 'live', true, state.lastPollAt ? `最終実行 ${formatAge(ageOf(state.lastPollAt))}前` : '未実行');
+        }
+
+        // 監視間隔 × staleAfterPolls 以上メール処理が成功していない
+        const staleAfter = (state.pollInterval / 1000) * this.staleAfterPolls;
+        const successAge = ageOf(state.lastSuccessfulPollAt || state.startedAt);
+        add('lastPoll', 'live', successAge <= staleAfter + this.stuckAfterMinutes * 60,
+            state.lastSuccessfulPollAt ? `最終成功 ${formatAge(successAge)}前` : `起動から${formatAge(successAge)}成功なし`);
+
+        add('initialized', 'ready', state.initialized === true,
+            state.initialized === true ? '初期化済み' : state.initialized === false ? '初期化に失敗しました' : '初期化中');
+
+        // 外部サービスの最後の結果がエラー
+        for (const [service, label] of Object.entries(SERVICES)) {
+            const result = state.services[service] || {};
+            const failing = result.lastErrorAt && (!result.lastSuccessAt || result.lastErrorAt > result.lastSuccessAt);
+            add(service, 'ready', !failing, failing
+                ? `${label}のエラー（${result.lastErrorAt}）: ${result.lastError}`
+                : result.lastSuccessAt ? `${label} 正常（${result.lastSuccessAt}）` : `${label} 未使用`);
+        }
+
+        const token = await this.checkGmailToken(now);
+        if (token) {
+            add('gmailToken', 'ready', token.ok, token.message);
+        }
+
+        return summarize(checks, now);
+    }
+
+    // Gmail のトークン（token.json）の有効期限・更新可否
+    async checkGmailToken(now) {
+        if (this.mailSource !== 'gmail') {
+            return null;
+        }
+        if (!await fs.pathExists(this.gmailTokenPath)) {
+            return { ok: false, message: `${this.gmailTokenPath}が見つかりません。npm run setup を実行してください` };
+        }
+
+        // 直近のGmailエラーが認証エラー（リフレッシュトークンの取り消しなど）
+        const mail = this.state.services.mail || {};
+        const mailFailing = mail.lastErrorAt && (!mail.lastSuccessAt || mail.lastErrorAt > mail.lastSuccessAt);
+        if (mailFailing && AUTH_ERROR.test(mail.lastError)) {
+            return { ok: false, message: `Gmailのトークンが失効しています。npm run setup で再認証してください（${mail.lastError}）` };
+        }
+
+        const token = await fs.readJson(this.gmailTokenPath);
+        if (token.refresh_token) {
+            return { ok: true, message: 'リフレッシュトークンあり' };
+        }
+        if (token.expiry_date && token.expiry_date <= now.getTime()) {
+            return { ok: false, message: `アクセストークンの有効期限が切れています（${new Date(token.expiry_date).toISOString()}）。npm run setup で再認証してください` };
+        }
+        return { ok: true, message: token.expiry_date ? `有効期限 ${new Date(token.expiry_date).toISOString()}` : '有効期限なし' };
+    }
+
+    // 常駐プロセスが書き出した状態を読み込む（health コマンド）
+    async load() {
+        this.state = await fs.pathExists(this.statePath)
+            ? { ...emptyState(), ...await fs.readJson(this.statePath) }
+            : emptyState();
+        return this.state;
+    }
+
+    save() {
+        if (!this.persistent) {
+            return this.queue;
+        }
+
+        const snapshot = JSON.parse(JSON.stringify(this.state));
+        this.queue = this.queue.then(async () => {
+            await fs.ensureDir(path.dirname(this.statePath));
+            await fs.writeJson(this.statePath, snapshot, { spaces: 2 });
+        }).catch(error => {
+            this.logger.error('稼働状態の保存エラー:', error);
+        });
+        return this.queue;
+    }
+}
+
+function emptyState() {
+    return {
+        pid: null,
+        startedAt: null,
+        stoppedAt: null,
+        heartbeatAt: null,
+        pollInterval: null,
+        initialized: null,
+        run: null,
+        lastPollAt: null,
+        lastSuccessfulPollAt: null,
+        services: {}
+    };
+}
+
+function summarize(checks, now) {
+    return {
+        live: checks.filter(check => check.kind === 'live').every(check => check.ok),
+        ready: checks.every(check => check.ok),
+        checkedAt: now.toISOString(),
+        checks: checks
+    };
+}
+
+// 秒数を「3分」「2時間」のような表記に
+function formatAge(seconds) {
+    if (!Number.isFinite(seconds)) return '-';
+    if (seconds < 60) return `${Math.max(Math.round(seconds), 0)}秒`;
+    if (seconds < 3600) return `${Math.round(seconds / 60)}分`;
+    return `${Math.round(seconds / 3600)}時間`;
+}
+
+module.exports = { HealthMonitor };
@@ -0,0 +1,47 @@
+const config = require('../../config/config.json');
+
+/**
+ * 記事生成に使う言語モデルの共通インターフェース
+ * BlogGenerator はこのインターフェースだけを通して文章を生成する
+ *
+ * complete({ system, user, maxTokens, temperature, responseFormat }) は生成されたテキストを返す。
+ * responseFormat が 'json' の場合はJSONオブジェクトのみを返すよう指示する。
+ * sectionCount は記事に必要なセクションの数（プロンプトにも明記する。スタブの応答に使用）。
+ */
+class LLMProvider {
+    // 表示・ログ用のモデル名
+    get modelName() {
+        return this.model || this.constructor.name;
+    }
+
+    // テキスト生成
+    async complete(request) {
+        throw new Error(`${this.constructor.name}.complete() が実装されていません`);
+    }
+}
+
+// config.ai.provider（または AI_PROVIDER）に応じて言語モデルを生成
+function createLLMProvider(provider = process.env.AI_PROVIDER || config.ai.provider || 'openai', options = {}) {
+    switch (provider) {
+        case 'openai': {
+            const { OpenAIProvider } = require('./OpenAIProvider');
+            return new OpenAIProvider(options);
+        }
+        case 'azure': {
+            const { AzureOpenAIProvider } = require('./OpenAIProvider');
+            return new AzureOpenAIProvider(options);
+        }
+        case 'compatible': {
+            const { OpenAICompatibleProvider } = require('./OpenAIProvider');
+            return new OpenAICompatibleProvider(options);
+        }
+        case 'stub': {
+            const { StubLLMProvider } = require('./StubLLMProvider');
+            return new StubLLMProvider(options);
+        }
+        default:
+            throw new Error(`未対応のAIプロバイダーです: ${provider}`);
+    }
+}
+
+module.exports = { LLMProvider, createLLMProvider };
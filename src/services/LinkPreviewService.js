@@ -0,0 +1,253 @@
+const axios = require('axios');
+const cheerio = require('cheerio');
+const fs = require('fs-extra');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+// 取得に失敗したURLを再取得するまでの時間
+const FAILURE_TTL = 60 * 60 * 1000;
+
+const STYLES = ['auto', 'embed', 'card', 'link'];
+
+/**
+ * 投稿内のリンクのプレビュー（OGP）を取得し、記事にリンクカードとして埋め込む
+ *
+ * 表示形式（links.previews.style）:
+ *   auto   はてなブログでは embed、それ以外では card
+ *   embed  はてなブログの埋め込み記法 [URL:embed:cite]
+ *   card   タイトル・説明・画像の Markdown の引用
+ *   link   Markdown のリンクのみ
+ * OGP が取得できなかったリンクは Markdown のリンクにする。
+ * 取得結果はURL単位で data/link-previews.json にキャッシュする（cacheTtlHours、失敗は1時間）。
+ */
+class LinkPreviewService {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const previewConfig = (config.links || {}).previews || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : previewConfig.enabled !== false;
+        this.platform = options.platform || config.blog.platform;
+        this.style = options.style || previewConfig.style || 'auto';
+        this.cachePath = options.cachePath || previewConfig.cachePath || './data/link-previews.json';
+        this.cacheTtl = (options.cacheTtlHours || previewConfig.cacheTtlHours || 168) * 60 * 60 * 1000;
+        this.maxLinks = options.maxLinks || previewConfig.maxLinks || 3;
+        this.maxBytes = previewConfig.maxBytes || 2 * 1024 * 1024;
+        this.timeout = options.timeout || previewConfig.timeout || 10000;
+
+        if (!STYLES.includes(this.style)) {
+            throw new Error(`未対応のリンクの表示形式です: ${this.style}（${STYLES.join(' | ')}）`);
+        }
+
+        this.cache = null;
+    }
+
+    // 記事にリンクカードを埋め込み { blogPost, links } を返す（platform は投稿先のプラットフォーム）
+    async embedLinks(blogPost, postData, options = {}) {
+        if (!this.enabled || !postData.links || postData.links.length === 0) {
+            return { blogPost, links: [] };
+        }
+
+        try {
+            const content = String(blogPost.content || '');
+            const style = this.styleOf(options.platform || this.platform);
+            // 記事本文に埋め込み済みのリンクは対象外
+            const links = postData.links
+                .filter(link => /^https?:\/\//i.test(link.url) && !content.includes(`[${link.url}:embed`))
+                .slice(0, this.maxLinks);
+
+            if (links.length === 0) {
+                return { blogPost, links: [] };
+            }
+
+            const previews = await this.fetchPreviews(links);
+            const snippets = previews.map(preview => this.renderLink(preview, style));
+            this.logger.info(`${previews.length}件のリンクを記事に埋め込みました`);
+
+            return {
+                blogPost: {
+                    ...blogPost,
+                    content: this.insertLinks(content, snippets, {
+                        bilingual: ((blogPost.metadata || {}).languages || []).length > 1
+                    }),
+                    links: previews
+                },
+                links: previews
+            };
+        } catch (error) {
+            // リンクの問題で記事生成全体を止めない
+            this.logger.error('リンクプレビュー処理エラー:', error);
+            return { blogPost, links: [] };
+        }
+    }
+
+    styleOf(platform) {
+        if (this.style !== 'auto') {
+            return this.style;
+        }
+        return platform === 'hatena' ? 'embed' : 'card';
+    }
+
+    async fetchPreviews(links) {
+        await this.loadCache();
+
+        const previews = [];
+        for (const link of links) {
+            const preview = await this.fetchPreview(link.url);
+            previews.push({ ...preview, text: link.text || '' });
+        }
+        return previews;
+    }
+
+    // URLのプレビュー { url, title, description, image, siteName }（失敗時は { url, error }）
+    async fetchPreview(url) {
+        await this.loadCache();
+
+        const cached = this.cache.previews[url];
+        const ttl = cached && cached.error ? Math.min(FAILURE_TTL, this.cacheTtl) : this.cacheTtl;
+        if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < ttl) {
+            this.logger.debug(`リンクプレビューのキャッシュを使用: ${url}`);
+            return { url, ...cached };
+        }
+
+        let preview;
+        try {
+            preview = await this.fetchPage(url);
+        } catch (error) {
+            this.logger.warn(`リンクプレビューを取得できませんでした: ${url} (${error.message})`);
+            preview = { error: error.message };
+        }
+
+        await this.remember(url, { ...preview, fetchedAt: new Date().toISOString() });
+        return { url, ...preview };
+    }
+
+    async fetchPage(url) {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: this.maxBytes,
+            headers: {
+                'User-Agent': 'FacebookBlogAutomation/1.0',
+                'Accept': 'text/html,application/xhtml+xml'
+            }
+        });
+
+        const contentType = String(response.headers['content-type'] || '');
+        if (!/html/i.test(contentType)) {
+            throw new Error(`HTMLではありません: ${contentType || '不明な形式'}`);
+        }
+
+        // リダイレクト後のURL（相対パスの画像URLの解決に使用）
+        const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+        return this.parsePreview(decodeHtml(Buffer.from(response.data), contentType), finalUrl);
+    }
+
+    // OGP（なければ Twitter カード・<title>・meta description）からプレビューを取り出す
+    parsePreview(html, url) {
+        const $ = cheerio.load(html);
+        const meta = (...names) => {
+            for (const name of names) {
+                const value = $(`meta[property="${name}"], meta[name="${name}"]`).first().attr('content');
+                if (value && value.trim()) return value.replace(/\s+/g, ' ').trim();
+            }
+            return null;
+        };
+
+        const image = meta('og:image:secure_url', 'og:image', 'twitter:image');
+        let imageUrl = null;
+        if (image) {
+            try {
+                imageUrl = new URL(image, url).toString();
+            } catch (error) {
+                imageUrl = null;
+            }
+        }
+
+        return {
+            title: meta('og:title', 'twitter:title') || $('title').first().text().replace(/\s+/g, ' ').trim() || null,
+            description: meta('og:description', 'twitter:description', 'description'),
+            image: imageUrl,
+            siteName: meta('og:site_name') || new URL(url).hostname
+        };
+    }
+
+    renderLink(preview, style) {
+        const label = escapeLabel(preview.title || preview.text || preview.url);
+
+        // 取得できなかったリンクは埋め込まない（リンク切れの可能性があるため）
+        if (style === 'embed' && !preview.error) {
+            return `[${preview.url}:embed:cite]`;
+        }
+        if (style === 'link' || preview.error || !preview.title) {
+            return `[${label}](${preview.url})`;
+        }
+
+        const lines = [];
+        if (preview.image) {
+            lines.push(`[![${label}](${preview.image})](${preview.url})`);
+        }
+        lines.push(`**[${label}](${preview.url})**`);
+        if (preview.description) {
+            lines.push(truncate(preview.description, 120));
+        }
+        if (preview.siteName) {
+            lines.push(preview.siteName);
+        }
+        // 行末の空白2つで改行する
+        return lines.map(line => `> ${line}`).join('  \n');
+    }
+
+    /**
+     * リンクをフッター（---）の前にまとめて配置する
+     * 2言語の記事では、最初の言語の本文（最初のフッターまで）に配置する。
+     */
+    insertLinks(content, snippets, options = {}) {
+        const blocks = String(content || '').split(/\n{2,}/);
+        const footerIndexes = blocks
+            .map((block, i) => (i > 0 && block.trim() === '---' ? i : -1))
+            .filter(i => i >= 0);
+        let footerIndex = footerIndexes.length > 0 ? footerIndexes[footerIndexes.length - 1] : blocks.length;
+        if (options.bilingual && footerIndexes.length > 0) {
+            footerIndex = footerIndexes[0];
+        }
+
+        return [...blocks.slice(0, footerIndex), ...snippets, ...blocks.slice(footerIndex)].join('\n\n');
+    }
+
+    async loadCache() {
+        if (this.cache) return;
+
+        this.cache = await fs.pathExists(this.cachePath)
+            ? await fs.readJson(this.cachePath)
+            : {};
+        this.cache.previews = this.cache.previews || {};
+    }
+
+    async remember(url, value) {
+        this.cache.previews[url] = value;
+        await fs.ensureDir(path.dirname(this.cachePath));
+        await fs.writeJson(this.cachePath, this.cache, { spaces: 2 });
+    }
+}
+
+// Content-Type または <meta charset> の文字コードでHTMLを文字列にする（Shift_JIS などのページ用）
+function decodeHtml(data, contentType) {
+    const head = data.subarray(0, 2048).toString('latin1');
+    const match = contentType.match(/charset=["']?([\w-]+)/i) || head.match(/<meta[^>]+charset=["']?([\w-]+)/i);
+
+    try {
+        return new TextDecoder(match ? match[1] : 'utf-8').decode(data);
+    } catch (error) {
+        return data.toString('utf8');
+    }
+}
+
+function escapeLabel(text) {
+    return String(text).replace(/[[\]]/g, '').trim();
+}
+
+function truncate(text, length) {
+    return text.length > length ? `${text.substring(0, length - 1)}…` : text;
+}
+
+module.exports = { LinkPreviewService };
@@ -0,0 +1,116 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { MailSource, parseRawEmail, matchesSenderQuery } = require('./MailSource');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+/**
+ * ローカルディレクトリからFacebook通知メールを読み込むメールソース
+ * - .emlファイルを並べたディレクトリ
+ * - Maildir（new/ と cur/ を持つディレクトリ）
+ * Google APIに接続せずに保存済みの通知を処理できる
+ *
+ * Gmail と同じく検索クエリ（monitoring.query）の from: 条件で送信者を絞り込み、
+ * 一致しないメールは処理済みとして記録して次回から読み込まない。
+ */
+class LocalMailService extends MailSource {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        const localConfig = config.monitoring.local || {};
+        this.mailDir = options.mailDir || process.env.LOCAL_MAIL_DIR || localConfig.path || './mailbox';
+        this.statePath = options.statePath || localConfig.statePath || path.join(this.mailDir, '.processed.json');
+        this.maxResults = options.maxResults || config.monitoring.maxResults;
+        this.query = options.query || config.monitoring.query;
+        this.processed = new Set();
+    }
+
+    async authenticate() {
+        if (!await fs.pathExists(this.mailDir)) {
+            throw new Error(`メールディレクトリが見つかりません: ${this.mailDir}`);
+        }
+
+        if (await fs.pathExists(this.statePath)) {
+            const state = await fs.readJson(this.statePath);
+            this.processed = new Set(state.processed || []);
+        }
+
+        this.logger.info(`ローカルメールソース: ${this.mailDir} (${this.isMaildir() ? 'Maildir' : '.eml'})`);
+        return true;
+    }
+
+    isMaildir() {
+        return fs.existsSync(path.join(this.mailDir, 'new')) ||
+            fs.existsSync(path.join(this.mailDir, 'cur'));
+    }
+
+    async listMessageFiles() {
+        if (this.isMaildir()) {
+            const files = [];
+            for (const sub of ['new', 'cur']) {
+                const dir = path.join(this.mailDir, sub);
+                if (!await fs.pathExists(dir)) continue;
+
+                for (const file of await fs.readdir(dir)) {
+                    if (file.startsWith('.')) continue;
+                    // Maildirのファイル名は "一意名:2,フラグ" 形式
+                    files.push({ id: file.split(':')[0], filepath: path.join(dir, file) });
+                }
+            }
+            return files;
+        }
+
+        const files = await fs.readdir(this.mailDir);
+        return files
+            .filter(file => path.extname(file).toLowerCase() === '.eml')
+            .map(file => ({ id: path.basename(file, path.extname(file)), filepath: path.join(this.mailDir, file) }));
+    }
+
+    async getFacebookNotifications() {
+        try {
+            const files = (await this.listMessageFiles())
+                .filter(file => !this.processed.has(file.id))
+                .sort((a, b) => a.id.localeCompare(b.id))
+                .slice(0, this.maxResults);
+
+            const emails = [];
+
+            for (const file of files) {
+                try {
+                    const raw = await fs.readFile(file.filepath);
+                    const email = await parseRawEmail(raw, file.id);
+
+                    if (!matchesSenderQuery(this.query, email)) {
+                        this.logger.debug(`検索クエリの送信者に一致しないためスキップ: ${file.id} (${email.from})`);
+                        await this.markAsProcessed(file.id);
+                        continue;
+                    }
+
+                    emails.push(email);
+                } catch (error) {
+                    this.logger.error(`メール読み込みエラー [${file.filepath}]:`, error);
+                }
+            }
+
+            this.logger.info(`${emails.length}件のローカルメールを読み込みました`);
+            return emails;
+        } catch (error) {
+            this.logger.error('ローカルメール取得エラー:', error);
+            throw error;
+        }
+    }
+
+    async markAsProcessed(messageId) {
+        this.processed.add(messageId);
+
+        await fs.ensureDir(path.dirname(this.statePath));
+        await fs.writeJson(this.statePath, {
+            processed: [...this.processed],
+            updatedAt: new Date().toISOString()
+        }, { spaces: 2 });
+
+        this.logger.debug(`処理済みとして記録: ${messageId}`);
+    }
+}
+
+module.exports = { LocalMailService };
@@ -0,0 +1,121 @@
+const { simpleParser } = require('mailparser');
+const fs = require('fs-extra');
+const path = require('path');
+const config = require('../../config/config.json');
+
+/**
+ * メールソースの共通インターフェース
+ * FacebookBlogAutomation はこのインターフェースだけを通して通知メールを扱う
+ *
+ * 各実装が返すメールオブジェクトの形式:
+ *   { id, subject, from, date, body, headers }
+ */
+class MailSource {
+    // 認証・接続確認
+    async authenticate() {
+        throw new Error(`${this.constructor.name}.authenticate() が実装されていません`);
+    }
+
+    // 未処理のFacebook通知メールを取得
+    async getFacebookNotifications() {
+        throw new Error(`${this.constructor.name}.getFacebookNotifications() が実装されていません`);
+    }
+
+    // メールを処理済みとして記録
+    async markAsProcessed(messageId) {
+        throw new Error(`${this.constructor.name}.markAsProcessed() が実装されていません`);
+    }
+}
+
+// RFC822形式の生メールをメールオブジェクトに変換
+async function parseRawEmail(raw, id) {
+    const parsed = await simpleParser(raw);
+
+    const headers = {};
+    for (const [key, value] of parsed.headers) {
+        headers[key] = normalizeHeaderValue(value);
+    }
+
+    return {
+        id: id,
+        subject: parsed.subject || '',
+        from: parsed.from ? parsed.from.text : '',
+        date: parsed.date ? parsed.date.toISOString() : null,
+        // HTML本文を優先し、なければテキスト本文を使用
+        body: parsed.html || parsed.textAsHtml || parsed.text || '',
+        headers: headers
+    };
+}
+
+/**
+ * 保存したメール（.eml）またはHTML本文（.html）をメールオブジェクトとして読み込む
+ * HTMLには件名・日時がないため、options.subject（省略時は <title>）と options.date を使う
+ */
+async function readEmailFile(filepath, options = {}) {
+    const id = path.basename(filepath, path.extname(filepath));
+    const raw = await fs.readFile(filepath);
+
+    if (['.html', '.htm'].includes(path.extname(filepath).toLowerCase())) {
+        const html = raw.toString('utf8');
+        const title = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
+
+        return {
+            id: id,
+            subject: options.subject || (title ? title[1].trim() : ''),
+            from: options.from || '',
+            date: options.date ? new Date(options.date).toISOString() : null,
+            body: html,
+            headers: {}
+        };
+    }
+
+    const email = await parseRawEmail(raw, id);
+    return {
+        ...email,
+        subject: options.subject || email.subject,
+        date: options.date ? new Date(options.date).toISOString() : email.date
+    };
+}
+
+// 検索クエリの from: 条件（* はワイルドカード）に送信者が一致するか（from: 条件がなければ一致とする）
+function matchesSenderQuery(query, email) {
+    const senders = [...String(query || '').matchAll(/(?:^|[\s(])from:(\S+?)(?=[\s)]|$)/g)]
+        .map(match => new RegExp(match[1].split('*').map(escapeRegExp).join('.*'), 'i'));
+
+    return senders.length === 0 || senders.some(pattern => pattern.test(email.from));
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function normalizeHeaderValue(value) {
+    if (value instanceof Date) {
+        return value.toISOString();
+    }
+    if (value && typeof value === 'object') {
+        // アドレスヘッダーは text、構造化ヘッダー（Content-Type等）は value を使用
+        return value.text || value.value || '';
+    }
+    return value;
+}
+
+// 設定（または環境変数）に応じてメールソースを生成
+function createMailSource(options = {}) {
+    const type = options.source || process.env.MAIL_SOURCE || config.monitoring.source || 'gmail';
+
+    switch (type) {
+        case 'gmail': {
+            const { GmailService } = require('./GmailService');
+            return new GmailService(options);
+        }
+        case 'local': {
+            const { LocalMailService } = require('./LocalMailService');
+            return new LocalMailService(options);
+        }
+        default:
+            throw new Error(`未対応のメールソースです: ${type}`);
+    }
+}
+
+module.exports = { MailSource, parseRawEmail, readEmailFile, matchesSenderQuery, createMailSource };
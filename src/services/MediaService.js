@@ -0,0 +1,342 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { FotolifeService } = require('./FotolifeService');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+// アバター・アイコン・トラッキングピクセルなど投稿画像ではないURL
+const NON_CONTENT_PATTERNS = [
+    /facebook\.com\/tr[/?]/i,
+    /\/email_open_log_pic\.php/i,   // 通知メールの開封確認
+    /\/rsrc\.php\//i,
+    /static\.xx\.fbcdn\.net/i,
+    /\/emoji\.php\//i,
+    /[/_.-](?:pixel|spacer|blank|beacon|open)\.(?:gif|png)/i,
+    /[/_](?:avatar|profile|icon|logo)s?[/_.-]/i,
+    /\/[cps]\d+x\d+\//i,            // プロフィール画像のサイズ指定（p50x50 など）
+    /\/t1\.\d+-1\//i,               // プロフィール画像のアセット種別
+    /\/safe_image\.php/i            // リンクプレビューのサムネイル
+];
+
+/**
+ * 投稿画像の処理（選別 → ダウンロード → アップロード → 記事への埋め込み）
+ *
+ * - はてなブログではフォトライフへアップロードし [f:id:...:image] で埋め込む
+ * - それ以外の投稿先では元画像URLの Markdown 画像として埋め込む
+ * - 投稿先は記事ごとに振り分けられるため、アップロード先と埋め込み方は呼び出し毎に決める
+ * - アップロード結果は画像内容のハッシュ単位でキャッシュし、同じ画像を二度アップロードしない
+ */
+class MediaService {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const mediaConfig = config.media || {};
+        const fotolifeConfig = mediaConfig.fotolife || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : mediaConfig.enabled !== false;
+        this.platform = options.platform || config.blog.platform;
+        this.cachePath = options.cachePath || mediaConfig.cachePath || './data/media-cache.json';
+        this.minSize = options.minSize || mediaConfig.minSize || 200;
+        this.maxImages = options.maxImages || mediaConfig.maxImages || 10;
+        this.maxBytes = mediaConfig.maxBytes || 10 * 1024 * 1024;
+        this.timeout = mediaConfig.timeout || 15000;
+        this.fotolifeEnabled = fotolifeConfig.enabled !== false;
+        this.options = options;
+
+        // options.uploader を指定した場合はフォトライフの代わりにその uploader を使う
+        this.uploader = options.uploader;
+        this.fotolife = null;
+
+        this.cache = null;
+    }
+
+    // 記事に投稿画像を埋め込み { blogPost, images } を返す（platform は投稿先のプラットフォーム）
+    async embedImages(blogPost, postData, options = {}) {
+        if (!this.enabled || !postData.images || postData.images.length === 0) {
+            return { blogPost, images: [] };
+        }
+
+        const platform = options.platform || this.platform;
+
+        try {
+            const images = await this.processImages(postData.images, this.uploaderFor(platform));
+
+            if (images.length === 0) {
+                this.logger.info('埋め込み対象の投稿画像はありませんでした');
+                return { blogPost, images: [] };
+            }
+
+            const snippets = images.map(image => this.renderImage(image, postData, platform));
+            this.logger.info(`${images.length}枚の画像を記事に埋め込みました`);
+
+            return {
+                blogPost: {
+                    ...blogPost,
+                    content: this.insertImages(blogPost.content, snippets, {
+                        bilingual: ((blogPost.metadata || {}).languages || []).length > 1
+                    }),
+                    images: images
+                },
+                images: images
+            };
+        } catch (error) {
+            // 画像の問題で記事生成全体を止めない
+            this.logger.error('画像処理エラー:', error);
+            return { blogPost, images: [] };
+        }
+    }
+
+    // はてなブログの記事だけフォトライフへアップロードする
+    uploaderFor(platform) {
+        if (platform !== 'hatena') {
+            return null;
+        }
+        if (this.uploader !== undefined) {
+            return this.uploader;
+        }
+        if (!this.fotolifeEnabled) {
+            return null;
+        }
+        if (!this.fotolife) {
+            this.fotolife = new FotolifeService(this.options);
+        }
+        return this.fotolife;
+    }
+
+    async processImages(candidates, uploader) {
+        await this.loadCache();
+
+        const images = [];
+        const seen = new Set();
+
+        for (const candidate of this.filterCandidates(candidates)) {
+            if (images.length >= this.maxImages) break;
+
+            try {
+                const image = await this.processImage(candidate, uploader);
+                if (image && !seen.has(image.hash)) {
+                    seen.add(image.hash);
+                    images.push(image);
+                }
+            } catch (error) {
+                this.logger.warn(`画像をスキップしました: ${candidate.url} (${error.message})`);
+            }
+        }
+
+        return images;
+    }
+
+    // URLと属性の幅・高さで明らかに投稿画像ではないものを除外
+    filterCandidates(candidates) {
+        const urls = new Set();
+
+        return candidates.filter(candidate => {
+            if (!candidate.url || !/^https?:\/\//i.test(candidate.url) || urls.has(candidate.url)) {
+                return false;
+            }
+            urls.add(candidate.url);
+
+            if (NON_CONTENT_PATTERNS.some(pattern => pattern.test(candidate.url))) {
+                this.logger.debug(`投稿画像ではないため除外: ${candidate.url}`);
+                return false;
+            }
+
+            const width = parseInt(candidate.width, 10);
+            const height = parseInt(candidate.height, 10);
+            if ((width && width < this.minSize) || (height && height < this.minSize)) {
+                this.logger.debug(`小さい画像のため除外: ${candidate.url} (${width || '?'}x${height || '?'})`);
+                return false;
+            }
+
+            return true;
+        });
+    }
+
+    async processImage(candidate, uploader) {
+        const known = this.cache.urls[candidate.url];
+        if (known && known.skipped) {
+            return null;
+        }
+
+        let image = known && this.cache.images[known.hash];
+        let data = null;
+
+        if (image) {
+            this.logger.debug(`画像キャッシュを使用: ${candidate.url}`);
+        } else {
+            data = await this.download(candidate.url);
+            const size = detectImageSize(data);
+
+            if (!size) {
+                await this.rememberUrl(candidate.url, { skipped: 'not_image' });
+                return null;
+            }
+            if (size.width < this.minSize || size.height < this.minSize) {
+                this.logger.debug(`小さい画像のため除外: ${candidate.url} (${size.width}x${size.height})`);
+                await this.rememberUrl(candidate.url, { skipped: 'too_small' });
+                return null;
+            }
+
+            // 署名付きURLは変わるため、画像の内容で同一性を判定する
+            const hash = crypto.createHash('sha256').update(data).digest('hex');
+            image = this.cache.images[hash] || {
+                hash: hash,
+                sourceUrl: candidate.url,
+                alt: candidate.alt || '',
+                contentType: `image/${size.type}`,
+                width: size.width,
+                height: size.height,
+                syntax: null,
+                imageUrl: null
+            };
+            this.cache.images[hash] = image;
+        }
+
+        // 投稿先の変更などで未アップロードの場合のみアップロードする
+        if (uploader && !image.syntax) {
+            const uploaded = await uploader.uploadImage({
+                data: data || await this.download(candidate.url),
+                contentType: image.contentType,
+                title: image.alt || `facebook_${image.hash.substring(0, 12)}`
+            });
+            image.syntax = uploaded.syntax;
+            image.imageUrl = uploaded.imageUrl;
+            image.uploadedAt = new Date().toISOString();
+        }
+
+        await this.rememberUrl(candidate.url, { hash: image.hash });
+        return image;
+    }
+
+    async download(url) {
+        const response = await axios.get(url, {
+            responseType: 'arraybuffer',
+            timeout: this.timeout,
+            maxContentLength: this.maxBytes,
+            headers: { 'User-Agent': 'FacebookBlogAutomation/1.0' }
+        });
+
+        return Buffer.from(response.data);
+    }
+
+    // はてな記法はほかの投稿先では表示されないため、アップロード済みでも画像URLで埋め込む
+    renderImage(image, postData, platform) {
+        if (image.syntax && platform === 'hatena') {
+            return `[${image.syntax}]`;
+        }
+
+        const alt = (image.alt || `${postData.author}さんの投稿画像`).replace(/[[\]]/g, '');
+        return `![${alt}](${image.imageUrl || image.sourceUrl})`;
+    }
+
+    /**
+     * 画像を記事の区切りに挿入する
+     * 1枚目は投稿の引用（なければ導入の段落）の直後、以降は各セクションの末尾、
+     * 残りはフッター（---）の前にまとめて配置する。
+     * 2言語の記事では、最初の言語の本文（最初のフッターまで）に配置する。
+     */
+    insertImages(content, snippets, options = {}) {
+        const blocks = String(content || '').split(/\n{2,}/);
+        const isHeading = block => /^#{1,6}\s/.test(block.trim());
+
+        const footerIndexes = blocks
+            .map((block, i) => (i > 0 && block.trim() === '---' ? i : -1))
+            .filter(i => i >= 0);
+        let footerIndex = footerIndexes.length > 0 ? footerIndexes[footerIndexes.length - 1] : blocks.length;
+        if (options.bilingual && footerIndexes.length > 0) {
+            footerIndex = footerIndexes[0];
+        }
+
+        const quoteIndex = blocks.findIndex((block, i) => i < footerIndex && block.trim().startsWith('>'));
+        const paragraphIndex = blocks.findIndex((block, i) => i < footerIndex && block.trim() && !isHeading(block));
+        const first = quoteIndex >= 0 ? quoteIndex + 1 : paragraphIndex + 1;
+
+        // 挿入位置（この位置のブロックの前に挿入）
+        const positions = [first];
+        for (let i = first + 1; i < footerIndex; i++) {
+            if (isHeading(blocks[i])) positions.push(i);
+        }
+        positions.push(footerIndex);
+
+        const inserts = new Map();
+        snippets.forEach((snippet, i) => {
+            const position = positions[Math.min(i, positions.length - 1)];
+            inserts.set(position, [...(inserts.get(position) || []), snippet]);
+        });
+
+        const result = [];
+        blocks.forEach((block, i) => {
+            if (inserts.has(i)) result.push(...inserts.get(i));
+            result.push(block);
+        });
+        if (inserts.has(blocks.length)) result.push(...inserts.get(blocks.length));
+
+        return result.join('\n\n');
+    }
+
+    async loadCache() {
+        if (this.cache) return;
+
+        this.cache = await fs.pathExists(this.cachePath)
+            ? await fs.readJson(this.cachePath)
+            : {};
+        this.cache.urls = this.cache.urls || {};
+        this.cache.images = this.cache.images || {};
+    }
+
+    async rememberUrl(url, value) {
+        this.cache.urls[url] = value;
+        await fs.ensureDir(path.dirname(this.cachePath));
+        await fs.writeJson(this.cachePath, this.cache, { spaces: 2 });
+    }
+}
+
+// 画像のバイト列から形式と幅・高さを判定（PNG / GIF / JPEG / WebP）
+function detectImageSize(data) {
+    if (!data || data.length < 24) {
+        return null;
+    }
+
+    if (data.readUInt32BE(0) === 0x89504e47) {
+        return { type: 'png', width: data.readUInt32BE(16), height: data.readUInt32BE(20) };
+    }
+
+    if (data.toString('ascii', 0, 3) === 'GIF') {
+        return { type: 'gif', width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+    }
+
+    if (data.toString('ascii', 0, 4) === 'RIFF' && data.toString('ascii', 8, 12) === 'WEBP') {
+        const chunk = data.toString('ascii', 12, 16);
+        if (chunk === 'VP8 ' && data.length >= 30) {
+            return { type: 'webp', width: data.readUInt16LE(26) & 0x3fff, height: data.readUInt16LE(28) & 0x3fff };
+        }
+        if (chunk === 'VP8L' && data.length >= 25) {
+            const bits = data.readUInt32LE(21);
+            return { type: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+        }
+        if (chunk === 'VP8X' && data.length >= 30) {
+            return { type: 'webp', width: data.readUIntLE(24, 3) + 1, height: data.readUIntLE(27, 3) + 1 };
+        }
+        return null;
+    }
+
+    if (data[0] === 0xff && data[1] === 0xd8) {
+        let offset = 2;
+        while (offset + 9 < data.length) {
+            if (data[offset] !== 0xff) {
+                offset++;
+                continue;
+            }
+            const marker = data[offset + 1];
+            // SOF0〜SOF15（DHT・JPG・DAC を除く）に画像サイズが入っている
+            if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+                return { type: 'jpeg', width: data.readUInt16BE(offset + 7), height: data.readUInt16BE(offset + 5) };
+            }
+            offset += 2 + data.readUInt16BE(offset + 2);
+        }
+    }
+
+    return null;
+}
+
+module.exports = { MediaService, detectImageSize };
@@ -0,0 +1,109 @@
+const { OpenAI, AzureOpenAI } = require('openai');
+const { LLMProvider } = require('./LLMProvider');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+/**
+ * OpenAI Chat Completions API を使う言語モデル
+ * クライアントは最初の生成時に作成する（APIキー未設定でも下書き操作などは行えるように）
+ */
+class OpenAIProvider extends LLMProvider {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        this.apiKey = options.apiKey || process.env.OPENAI_API_KEY;
+        this.model = options.model || process.env.AI_MODEL || config.ai.model;
+        this.client = options.client || null;
+    }
+
+    createClient() {
+        if (!this.apiKey) {
+            throw new Error('OPENAI_API_KEY が設定されていません');
+        }
+        return new OpenAI({ apiKey: this.apiKey });
+    }
+
+    async complete(request) {
+        if (!this.client) {
+            this.client = this.createClient();
+        }
+
+        const messages = [];
+        if (request.system) {
+            messages.push({ role: 'system', content: request.system });
+        }
+        messages.push({ role: 'user', content: request.user });
+
+        const params = {
+            model: this.model,
+            messages: messages,
+            max_tokens: request.maxTokens || config.ai.maxTokens,
+            temperature: request.temperature !== undefined ? request.temperature : config.ai.temperature
+        };
+
+        // JSONモード（対応していないサーバーでは config.ai.jsonMode を false にする）
+        if (request.responseFormat === 'json' && config.ai.jsonMode !== false) {
+            params.response_format = { type: 'json_object' };
+        }
+
+        const response = await this.client.chat.completions.create(params);
+
+        const content = response.choices[0] && response.choices[0].message.content;
+        if (!content) {
+            throw new Error(`${this.modelName} から空の応答が返されました`);
+        }
+
+        this.logger.debug(`生成完了 (${this.modelName}): ${response.usage ? response.usage.total_tokens : '?'} tokens`);
+        return content;
+    }
+}
+
+/**
+ * Azure OpenAI Service
+ * リクエストの model にはデプロイ名を指定する（config.ai.azure.deployment）
+ */
+class AzureOpenAIProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super(options);
+        const azureConfig = config.ai.azure || {};
+        this.apiKey = options.apiKey || process.env.AZURE_OPENAI_API_KEY;
+        this.endpoint = options.endpoint || process.env.AZURE_OPENAI_ENDPOINT || azureConfig.endpoint;
+        this.apiVersion = options.apiVersion || process.env.AZURE_OPENAI_API_VERSION || azureConfig.apiVersion;
+        this.model = options.deployment || process.env.AZURE_OPENAI_DEPLOYMENT || azureConfig.deployment;
+    }
+
+    createClient() {
+        if (!this.apiKey || !this.endpoint || !this.model) {
+            throw new Error('Azure OpenAI の設定が不足しています（AZURE_OPENAI_API_KEY / AZURE_OPENAI_ENDPOINT / AZURE_OPENAI_DEPLOYMENT）');
+        }
+        return new AzureOpenAI({
+            apiKey: this.apiKey,
+            endpoint: this.endpoint,
+            apiVersion: this.apiVersion || '2024-06-01',
+            deployment: this.model
+        });
+    }
+}
+
+/**
+ * OpenAI互換APIを提供するサーバー（Ollama / llama.cpp server / vLLM など）
+ * 多くのローカルサーバーはAPIキーを検証しないため未設定でもよい
+ */
+class OpenAICompatibleProvider extends OpenAIProvider {
+    constructor(options = {}) {
+        super(options);
+        const compatibleConfig = config.ai.compatible || {};
+        this.apiKey = options.apiKey || process.env.LLM_API_KEY || 'not-needed';
+        this.baseUrl = options.baseUrl || process.env.LLM_BASE_URL || compatibleConfig.baseUrl;
+        this.model = options.model || process.env.LLM_MODEL || compatibleConfig.model || config.ai.model;
+    }
+
+    createClient() {
+        if (!this.baseUrl) {
+            throw new Error('OpenAI互換サーバーのURLが設定されていません（LLM_BASE_URL）');
+        }
+        return new OpenAI({ apiKey: this.apiKey, baseURL: this.baseUrl });
+    }
+}
+
+module.exports = { OpenAIProvider, AzureOpenAIProvider, OpenAICompatibleProvider };
@@ -0,0 +1,299 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Logger } = require('../utils/Logger');
+const config = require('../../config/config.json');
+
+/**
+ * 自動投稿（blog.autoPost）の投稿待ちキュー
+ *
+ * 記事をすぐに投稿せずキューに入れ、ブログごとの制限に従って投稿時刻を割り当てる。
+ *   maxPerDay      1日（publishQueue.timezone の日付）あたりの最大投稿数
+ *   minGapMinutes  投稿の最小間隔（分）
+ *   quietHours     投稿しない時間帯（{ start: "22:00", end: "07:00" }）
+ * 下書きのフロントマター scheduledAt（または queue reschedule）で指定した時刻より前には投稿しない。
+ *
+ * キュー（data/publish-queue.json）:
+ *   { items: { <id>: { id, draftId, blog, title, scheduledAt, enqueuedAt, status, attempts, lastError, publishedAt, url } } }
+ * id はメールIDまたはダイジェストID。status: queued → published / held（投稿結果不明）/ cancelled
+ */
+const HISTORY_DAYS = 7;
+
+class PublishQueue {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const queueConfig = config.publishQueue || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : queueConfig.enabled !== false;
+        this.path = options.path || queueConfig.path || './data/publish-queue.json';
+        this.timezone = options.timezone || queueConfig.timezone || 'Asia/Tokyo';
+        this.drainInterval = options.drainInterval || queueConfig.drainInterval || 60000;
+        this.defaults = {
+            maxPerDay: queueConfig.maxPerDay || 0,
+            minGapMinutes: queueConfig.minGapMinutes || 0,
+            quietHours: queueConfig.quietHours || null,
+            ...(options.limits || {})
+        };
+        this.blogs = options.blogs || queueConfig.blogs || {};
+        this.queue = Promise.resolve();
+
+        try {
+            this.formatter = new Intl.DateTimeFormat('en-CA', {
+                timeZone: this.timezone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                second: '2-digit',
+                hourCycle: 'h23'
+            });
+        } catch (error) {
+            throw new Error(`不正なタイムゾーンです: ${this.timezone}`);
+        }
+    }
+
+    // ブログごとの制限（publishQueue.blogs.<blog> で上書き）
+    limitsOf(blog) {
+        return { ...this.defaults, ...(this.blogs[blog] || {}) };
+    }
+
+    // キューに追加（同じIDは1件として扱う）
+    async enqueue({ id, draftId = null, blog, title = '', scheduledAt = null }) {
+        await this.update(store => {
+            if (store.items[id]) return;
+
+            store.items[id] = {
+                id,
+                draftId,
+                blog,
+                title,
+                scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+                enqueuedAt: new Date().toISOString(),
+                status: 'queued',
+                attempts: 0
+            };
+        });
+
+        const item = (await this.list()).find(queued => queued.id === id);
+        if (item) {
+            this.logger.info(`投稿キューに追加: ${id}（投稿予定 ${this.formatTime(item.plannedAt)}）`);
+        }
+        return item;
+    }
+
+    /**
+     * 投稿待ちの記事と投稿予定時刻（plannedAt）
+     * ブログごとに、指定時刻・最小間隔・静穏時間・1日の上限を満たす最も早い時刻を順に割り当てる。
+     */
+    async list(now = new Date()) {
+        const store = await this.read();
+        const items = Object.values(store.items);
+        const planned = [];
+
+        for (const blog of new Set(items.map(item => item.blog))) {
+            const limits = this.limitsOf(blog);
+            const published = items
+                .filter(item => item.blog === blog && item.status === 'published' && item.publishedAt)
+                .map(item => new Date(item.publishedAt));
+            const dayCounts = new Map();
+            published.forEach(date => {
+                const day = this.localParts(date).date;
+                dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+            });
+            let last = published.length > 0 ? new Date(Math.max(...published)) : null;
+
+            const queued = items
+                .filter(item => item.blog === blog && item.status === 'queued')
+                .sort((a, b) => (a.scheduledAt || a.enqueuedAt).localeCompare(b.scheduledAt || b.enqueuedAt) ||
+                    a.enqueuedAt.localeCompare(b.enqueuedAt));
+
+            for (const item of queued) {
+                const earliest = [now, item.scheduledAt, item.retryAfter, last && new Date(last.getTime() + limits.minGapMinutes * 60000)]
+                    .filter(Boolean)
+                    .map(value => new Date(value));
+                const plannedAt = this.nextSlot(new Date(Math.max(...earliest)), limits, dayCounts);
+                const day = this.localParts(plannedAt).date;
+
+                dayCounts.set(day, (dayCounts.get(day) || 0) + 1);
+                last = plannedAt;
+                planned.push({ ...item, plannedAt: plannedAt.toISOString() });
+            }
+        }
+
+        return planned.sort((a, b) => a.plannedAt.localeCompare(b.plannedAt));
+    }
+
+    // 投稿予定時刻を過ぎた記事
+    async due(now = new Date()) {
+        return (await this.list(now)).filter(item => new Date(item.plannedAt) <= now);
+    }
+
+    // 静穏時間と1日の上限を避けた、from 以降で最も早い時刻
+    nextSlot(from, limits, dayCounts) {
+        let candidate = new Date(from);
+
+        for (let i = 0; i < 366 * 2; i++) {
+            const { date, minutes } = this.localParts(candidate);
+            const quiet = this.quietDelay(minutes, limits.quietHours);
+
+            if (quiet > 0) {
+                candidate = new Date(candidate.getTime() + quiet * 60000);
+            } else if (limits.maxPerDay > 0 && (dayCounts.get(date) || 0) >= limits.maxPerDay) {
+                // 翌日0時（現地時刻）へ
+                candidate = new Date(candidate.getTime() + (24 * 60 - minutes) * 60000);
+                candidate.setUTCSeconds(0, 0);
+            } else {
+                return candidate;
+            }
+        }
+
+        throw new Error('投稿可能な時刻が見つかりません。publishQueue の設定を確認してください');
+    }
+
+    // 静穏時間中であれば、終了までの分数
+    quietDelay(minutes, quietHours) {
+        if (!quietHours || !quietHours.start || !quietHours.end) return 0;
+
+        const start = parseClock(quietHours.start);
+        const end = parseClock(quietHours.end);
+        const inQuiet = start < end
+            ? minutes >= start && minutes < end
+            : minutes >= start || minutes < end;
+
+        return inQuiet ? (end - minutes + 24 * 60) % (24 * 60) : 0;
+    }
+
+    async reschedule(id, scheduledAt) {
+        return await this.update(store => {
+            const item = store.items[id];
+            if (!item || item.status === 'published') {
+                throw new Error(`投稿待ちの記事が見つかりません: ${id}`);
+            }
+
+            item.scheduledAt = scheduledAt ? new Date(scheduledAt).toISOString() : null;
+            item.status = 'queued';
+            delete item.retryAfter;
+            return item;
+        });
+    }
+
+    async markPublished(id, result = {}) {
+        await this.update(store => {
+            const item = store.items[id];
+            if (!item) return;
+
+            item.status = 'published';
+            item.publishedAt = result.at || new Date().toISOString();
+            item.url = result.url || null;
+        });
+    }
+
+    // 投稿失敗。最小間隔（最低1分）をあけて再試行する
+    async markFailed(id, error) {
+        await this.update(store => {
+            const item = store.items[id];
+            if (!item) return;
+
+            const gap = Math.max(this.limitsOf(item.blog).minGapMinutes, 1);
+            item.attempts = (item.attempts || 0) + 1;
+            item.lastError = error.message || String(error);
+            item.retryAfter = new Date(Date.now() + gap * 60000).toISOString();
+        });
+    }
+
+    // 自動では投稿しない状態にする（held: 投稿結果不明 / cancelled: 下書きの却下など）
+    async setStatus(id, status, reason) {
+        await this.update(store => {
+            const item = store.items[id];
+            if (!item) return;
+
+            item.status = status;
+            item.lastError = reason;
+        });
+    }
+
+    // 日時の文字列を解釈（タイムゾーンの指定がなければ publishQueue.timezone の現地時刻）
+    parseTime(text) {
+        const value = String(text || '').trim();
+        const local = value.match(/^(\d{4})-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2}))?$/);
+
+        if (local) {
+            const [, year, month, day, hour, minute, second] = local.map(Number);
+            const utc = Date.UTC(year, month - 1, day, hour, minute, second || 0);
+            // 現地時刻とUTCの差を2回補正（夏時間の切り替え付近）
+            let date = new Date(utc - this.offsetOf(new Date(utc)));
+            date = new Date(utc - this.offsetOf(date));
+            return date;
+        }
+
+        const date = new Date(value);
+        if (Number.isNaN(date.getTime())) {
+            throw new Error(`日時を解釈できません: ${text}（例: 2024-05-01 09:30）`);
+        }
+        return date;
+    }
+
+    // 表示用の現地時刻（YYYY-MM-DD HH:mm）
+    formatTime(value) {
+        if (!value) return '-';
+        const parts = this.parts(new Date(value));
+        return `${parts.year}-${parts.month}-${parts.day} ${parts.hour}:${parts.minute}`;
+    }
+
+    localParts(date) {
+        const parts = this.parts(date);
+        return {
+            date: `${parts.year}-${parts.month}-${parts.day}`,
+            minutes: Number(parts.hour) * 60 + Number(parts.minute)
+        };
+    }
+
+    parts(date) {
+        return Object.fromEntries(this.formatter.formatToParts(date).map(part => [part.type, part.value]));
+    }
+
+    // タイムゾーンのUTCからのずれ（ミリ秒）
+    offsetOf(date) {
+        const parts = this.parts(date);
+        const local = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+        return local - Math.floor(date.getTime() / 1000) * 1000;
+    }
+
+    async read() {
+        const store = await fs.pathExists(this.path) ? await fs.readJson(this.path) : {};
+        return { items: store.items || {} };
+    }
+
+    // 読み込み → 変更 → 保存 を直列に実行。古い投稿済み・取り消し済みの記録は削除する
+    async update(mutate) {
+        const run = this.queue.then(async () => {
+            const store = await this.read();
+            const result = mutate(store);
+
+            const cutoff = Date.now() - HISTORY_DAYS * 24 * 60 * 60 * 1000;
+            for (const [id, item] of Object.entries(store.items)) {
+                const finishedAt = item.publishedAt || item.enqueuedAt;
+                if (['published', 'cancelled'].includes(item.status) && new Date(finishedAt).getTime() < cutoff) {
+                    delete store.items[id];
+                }
+            }
+
+            await fs.ensureDir(path.dirname(this.path));
+            await fs.writeJson(this.path, store, { spaces: 2 });
+            return result;
+        });
+
+        this.queue = run.catch(() => {});
+        return await run;
+    }
+}
+
+// "22:30" → 1350（0時からの分数）
+function parseClock(value) {
+    const match = String(value).match(/^(\d{1,2}):(\d{2})$/);
+    if (!match) {
+        throw new Error(`時刻の形式が不正です: ${value}（例: 22:00）`);
+    }
+    return Number(match[1]) * 60 + Number(match[2]);
+}
+
+module.exports = { PublishQueue };
@@ -0,0 +1,64 @@
+const config = require('../../config/config.json');
+
+/**
+ * ブログ投稿先の共通インターフェース
+ * FacebookBlogAutomation はこのインターフェースだけを通して記事を投稿する
+ *
+ * publishPost / saveDraft / updateEntry は { id, url, success } を返す。
+ * getEntries は { id, url, title, categories, draft, published, updated } の配列を返す。
+ */
+class Publisher {
+    // 認証・接続確認
+    async authenticate() {
+        throw new Error(`${this.constructor.name}.authenticate() が実装されていません`);
+    }
+
+    // 記事を公開
+    async publishPost(blogPost) {
+        throw new Error(`${this.constructor.name}.publishPost() が実装されていません`);
+    }
+
+    // 記事を下書きとして保存
+    async saveDraft(blogPost) {
+        throw new Error(`${this.constructor.name}.saveDraft() が実装されていません`);
+    }
+
+    // 記事を更新
+    async updateEntry(entryId, blogPost) {
+        throw new Error(`${this.constructor.name}.updateEntry() が実装されていません`);
+    }
+
+    // 記事を削除
+    async deleteEntry(entryId) {
+        throw new Error(`${this.constructor.name}.deleteEntry() が実装されていません`);
+    }
+
+    // 記事一覧を取得
+    async getEntries(options = {}) {
+        throw new Error(`${this.constructor.name}.getEntries() が実装されていません`);
+    }
+}
+
+// config.blog.platform に応じて投稿先を生成
+function createPublisher(platform = config.blog.platform, options = {}) {
+    switch (platform) {
+        case 'hatena': {
+            const { HatenaBlogService } = require('./HatenaBlogService');
+            return new HatenaBlogService(options);
+        }
+        case 'wordpress': {
+            const { WordPressService } = require('./WordPressService');
+            return new WordPressService(options);
+        }
+        case 'hugo':
+        case 'jekyll':
+        case 'static': {
+            const { StaticSiteService } = require('./StaticSiteService');
+            return new StaticSiteService({ generator: platform === 'static' ? undefined : platform, ...options });
+        }
+        default:
+            throw new Error(`未対応のブログプラットフォームです: ${platform}`);
+    }
+}
+
+module.exports = { Publisher, createPublisher };
@@ -0,0 +1,244 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const moment = require('moment');
+const { Publisher } = require('./Publisher');
+const { Logger } = require('../utils/Logger');
+const { parseFrontMatter, stringifyFrontMatter } = require('../utils/DraftStore');
+const config = require('../../config/config.json');
+
+/**
+ * Hugo / Jekyll のコンテンツディレクトリにMarkdownを書き出す投稿先
+ *
+ * - Hugo:   <contentDir>/<slug>.md（下書きは draft: true）
+ * - Jekyll: <siteDir>/_posts/YYYY-MM-DD-<slug>.md（下書きは <siteDir>/_drafts/<slug>.md）
+ *
+ * 記事IDは拡張子を除いたファイル名
+ */
+class StaticSiteService extends Publisher {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        const siteConfig = config.blog.staticSite || {};
+        this.generator = options.generator || siteConfig.generator || 'hugo';
+        this.siteDir = options.siteDir || process.env.STATIC_SITE_DIR || siteConfig.siteDir || './site';
+        this.contentDir = options.contentDir || siteConfig.contentDir || path.join(this.siteDir, 'content', 'posts');
+        this.baseUrl = (options.baseUrl || siteConfig.baseUrl || '').replace(/\/+$/, '');
+
+        if (!['hugo', 'jekyll'].includes(this.generator)) {
+            throw new Error(`未対応の静的サイトジェネレーターです: ${this.generator}`);
+        }
+    }
+
+    async authenticate() {
+        const dirs = this.getDirectories();
+
+        for (const dir of dirs) {
+            await fs.ensureDir(dir);
+            await fs.access(dir, fs.constants.W_OK);
+        }
+
+        this.logger.info(`静的サイト出力先: ${dirs.join(', ')} (${this.generator})`);
+        return true;
+    }
+
+    getDirectories() {
+        if (this.generator === 'jekyll') {
+            return [path.join(this.siteDir, '_posts'), path.join(this.siteDir, '_drafts')];
+        }
+        return [this.contentDir];
+    }
+
+    async publishPost(blogPost) {
+        return await this.writeEntry(blogPost, false);
+    }
+
+    async saveDraft(blogPost) {
+        return await this.writeEntry(blogPost, true);
+    }
+
+    async writeEntry(blogPost, isDraft) {
+        try {
+            this.logger.info(`${isDraft ? '下書き保存' : 'ブログ記事投稿'}開始: ${blogPost.title}`);
+
+            const date = moment(blogPost.publishedAt || undefined);
+            const slug = await this.uniqueSlug(blogPost, date, isDraft);
+            const filepath = this.buildFilepath(slug, date, isDraft);
+
+            await fs.ensureDir(path.dirname(filepath));
+            await fs.writeFile(filepath, this.render(blogPost, date, isDraft), 'utf8');
+
+            this.logger.info(`記事ファイルを書き出しました: ${filepath}`);
+            return this.buildResult(filepath, slug, date);
+        } catch (error) {
+            this.logger.error('静的サイト記事書き出しエラー:', error);
+            throw error;
+        }
+    }
+
+    async updateEntry(entryId, blogPost) {
+        try {
+            this.logger.info(`記事更新開始: ${entryId}`);
+
+            const filepath = await this.findEntryFile(entryId);
+            const { meta } = parseFrontMatter(await fs.readFile(filepath, 'utf8'));
+            const date = moment(meta.date);
+            const isDraft = meta.draft === true || filepath.includes(`${path.sep}_drafts${path.sep}`);
+
+            await fs.writeFile(filepath, this.render(blogPost, date, isDraft), 'utf8');
+
+            this.logger.info('記事更新成功');
+            return this.buildResult(filepath, this.slugOf(entryId), date);
+        } catch (error) {
+            this.logger.error('記事更新エラー:', error);
+            throw error;
+        }
+    }
+
+    async deleteEntry(entryId) {
+        try {
+            this.logger.info(`記事削除開始: ${entryId}`);
+
+            await fs.remove(await this.findEntryFile(entryId));
+
+            this.logger.info('記事削除成功');
+            return true;
+        } catch (error) {
+            this.logger.error('記事削除エラー:', error);
+            throw error;
+        }
+    }
+
+    async getEntries(options = {}) {
+        const entries = [];
+
+        for (const dir of this.getDirectories()) {
+            if (!await fs.pathExists(dir)) continue;
+
+            for (const file of await fs.readdir(dir)) {
+                if (path.extname(file) !== '.md') continue;
+
+                const filepath = path.join(dir, file);
+                const { meta } = parseFrontMatter(await fs.readFile(filepath, 'utf8'));
+                const id = path.basename(file, '.md');
+                const isDraft = meta.draft === true || path.basename(dir) === '_drafts';
+
+                entries.push({
+                    id: id,
+                    url: this.buildUrl(this.slugOf(id), moment(meta.date)),
+                    title: meta.title || id,
+                    categories: [...(meta.categories || []), ...(meta.tags || [])],
+                    draft: isDraft,
+                    published: meta.date || null,
+                    updated: meta.lastmod || meta.date || null
+                });
+            }
+        }
+
+        return entries
+            .filter(entry => Boolean(options.drafts) === entry.draft)
+            .filter(entry => !options.since || new Date(entry.published) >= new Date(options.since))
+            .sort((a, b) => String(b.published).localeCompare(String(a.published)))
+            .slice(0, options.limit || Infinity);
+    }
+
+    render(blogPost, date, isDraft) {
+        const meta = {
+            title: blogPost.title,
+            date: date.format(),
+            lastmod: moment().format(),
+            categories: [blogPost.category].filter(Boolean),
+            tags: blogPost.tags || [],
+            description: blogPost.metaDescription || blogPost.summary
+        };
+
+        // Jekyllは _drafts ディレクトリで下書きを表すため draft フラグは Hugo のみ
+        if (this.generator === 'hugo') {
+            meta.draft = isDraft;
+        }
+
+        return stringifyFrontMatter(meta, blogPost.content || '');
+    }
+
+    generateSlug(blogPost, date) {
+        const ascii = String(blogPost.title || '')
+            .toLowerCase()
+            .replace(/[^a-z0-9]+/g, '-')
+            .replace(/^-+|-+$/g, '')
+            .substring(0, 60);
+
+        // 日本語タイトルなどASCIIで表せない場合は日時とハッシュで一意にする
+        if (ascii.length >= 3) {
+            return ascii;
+        }
+
+        const hash = crypto.createHash('sha1').update(`${blogPost.title}${blogPost.content}`).digest('hex').substring(0, 8);
+        return `${date.format('YYYYMMDD-HHmmss')}-${hash}`;
+    }
+
+    // 同じスラッグの記事がある場合は日付、それでも重複する場合は短いハッシュを付ける（既存の記事は上書きしない）
+    async uniqueSlug(blogPost, date, isDraft) {
+        const slug = this.generateSlug(blogPost, date);
+        // Jekyllの投稿ファイル名には日付が含まれるため、日付ではなくハッシュを付ける
+        const candidates = this.generator === 'jekyll' && !isDraft ? [slug] : [slug, `${slug}-${date.format('YYYYMMDD')}`];
+
+        for (let i = 0; ; i++) {
+            const candidate = i < candidates.length
+                ? candidates[i]
+                : `${slug}-${crypto.createHash('sha1').update(`${blogPost.title}${blogPost.content}${i}`).digest('hex').substring(0, 6)}`;
+
+            if (!await fs.pathExists(this.buildFilepath(candidate, date, isDraft))) {
+                if (candidate !== slug) {
+                    this.logger.warn(`同名の記事が既に存在するためスラッグを変更しました: ${slug} → ${candidate}`);
+                }
+                return candidate;
+            }
+        }
+    }
+
+    buildFilepath(slug, date, isDraft) {
+        if (this.generator === 'jekyll') {
+            return isDraft
+                ? path.join(this.siteDir, '_drafts', `${slug}.md`)
+                : path.join(this.siteDir, '_posts', `${date.format('YYYY-MM-DD')}-${slug}.md`);
+        }
+        return path.join(this.contentDir, `${slug}.md`);
+    }
+
+    slugOf(entryId) {
+        // Jekyllの投稿ファイル名は日付プレフィックス付き
+        return this.generator === 'jekyll' ? entryId.replace(/^\d{4}-\d{2}-\d{2}-/, '') : entryId;
+    }
+
+    buildUrl(slug, date) {
+        if (!this.baseUrl) {
+            return null;
+        }
+        if (this.generator === 'jekyll') {
+            return `${this.baseUrl}/${date.format('YYYY/MM/DD')}/${slug}.html`;
+        }
+        return `${this.baseUrl}/posts/${slug}/`;
+    }
+
+    buildResult(filepath, slug, date) {
+        return {
+            id: path.basename(filepath, '.md'),
+            url: this.buildUrl(slug, date),
+            filepath: filepath,
+            success: true
+        };
+    }
+
+    async findEntryFile(entryId) {
+        for (const dir of this.getDirectories()) {
+            const filepath = path.join(dir, `${entryId}.md`);
+            if (await fs.pathExists(filepath)) {
+                return filepath;
+            }
+        }
+
+        throw new Error(`記事が見つかりません: ${entryId}`);
+    }
+}
+
+module.exports = { StaticSiteService };
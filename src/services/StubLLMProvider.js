@@ -0,0 +1,85 @@
+const crypto = require('crypto');
+const { LLMProvider } = require('./LLMProvider');
+const { Logger } = require('../utils/Logger');
+const { renderArticleMarkdown } = require('../utils/ArticleSchema');
+
+// 定型の構造化記事（ArticleSchema の形式）
+const CANNED_ARTICLES = [
+    {
+        title: 'Facebook投稿から見えた日々の気づき',
+        lead: '今回は Facebook に投稿された内容をもとに、その背景と感じたことをまとめます。',
+        sections: [
+            { heading: '投稿の内容', body: '> 投稿では身近な出来事が率直な言葉で語られていました。\n\n短い文章の中にも、書き手の関心がよく表れています。' },
+            { heading: '考察', body: 'こうした日常の記録は、あとから振り返ったときに大切な手がかりになります。' },
+            { heading: 'おわりに', body: '皆さんは最近どんなことに気づきましたか？' }
+        ],
+        tags: ['日常', '気づき'],
+        summary: 'Facebook投稿をもとに日々の気づきをまとめた記事です。',
+        metaDescription: 'Facebookに投稿された身近な出来事を紹介し、その背景と感じたことをまとめました。'
+    },
+    {
+        title: 'シェアされた話題を深掘りする',
+        lead: 'Facebook でシェアされた話題について、ポイントを整理してご紹介します。',
+        sections: [
+            { heading: '注目したいポイント', body: '> 投稿では話題の要点が簡潔にまとめられていました。' },
+            { heading: '考察', body: '情報を受け取るだけでなく、自分なりに考えてみることで理解が深まります。' },
+            { heading: 'おわりに', body: 'この話題について、皆さんの意見もぜひ聞かせてください。' }
+        ],
+        tags: ['シェア', '考察'],
+        summary: 'Facebookでシェアされた話題のポイントを整理した記事です。',
+        metaDescription: 'Facebookでシェアされた話題の要点を整理し、考察を加えてご紹介します。'
+    }
+];
+
+/**
+ * 決定的な定型記事を返す言語モデル（ネットワーク不要）
+ * 同じプロンプトには常に同じ記事を返すため、パイプラインの確認やテストに使う。
+ * responseFormat が 'json' の場合はJSON、それ以外は1行目をタイトルとしたMarkdownを返す。
+ * options.responses に記事（または文字列）の配列か (request) => string を渡すと応答を差し替えられる。
+ */
+class StubLLMProvider extends LLMProvider {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        this.model = 'stub';
+        this.responses = options.responses || CANNED_ARTICLES;
+        this.calls = [];
+    }
+
+    async complete(request) {
+        this.calls.push(request);
+
+        if (typeof this.responses === 'function') {
+            return this.responses(request);
+        }
+
+        const digest = crypto
+            .createHash('sha1')
+            .update(`${request.system || ''}\n${request.user}`)
+            .digest();
+        const response = withSectionCount(this.responses[digest.readUInt32BE(0) % this.responses.length], request.sectionCount);
+
+        this.logger.debug(`スタブ応答を返しました (${this.calls.length}回目)`);
+        if (typeof response === 'string') {
+            return response;
+        }
+        return request.responseFormat === 'json'
+            ? JSON.stringify(response, null, 2)
+            : `${response.title}\n\n${renderArticleMarkdown(response)}`;
+    }
+}
+
+// セクション数の指定（ダイジェストは投稿ごとに1つ）に合わせて定型記事のセクションを増減する
+function withSectionCount(response, sectionCount) {
+    if (!sectionCount || typeof response === 'string' || response.sections.length === sectionCount) {
+        return response;
+    }
+
+    const sections = Array.from({ length: sectionCount }, (_, i) => {
+        const section = response.sections[i % response.sections.length];
+        return i < response.sections.length ? section : { ...section, heading: `${section.heading}（${i + 1}）` };
+    });
+    return { ...response, sections };
+}
+
+module.exports = { StubLLMProvider, CANNED_ARTICLES };
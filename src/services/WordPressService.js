@@ -0,0 +1,222 @@
+const axios = require('axios');
+const { marked } = require('marked');
+const { Publisher } = require('./Publisher');
+const { Logger } = require('../utils/Logger');
+
+/**
+ * WordPress REST API（/wp-json/wp/v2）への投稿
+ * 認証はアプリケーションパスワードによるBasic認証
+ */
+class WordPressService extends Publisher {
+    constructor(options = {}) {
+        super();
+        this.logger = new Logger();
+        this.siteUrl = (options.siteUrl || process.env.WORDPRESS_URL || '').replace(/\/+$/, '');
+        this.username = options.username || process.env.WORDPRESS_USERNAME;
+        this.appPassword = options.appPassword || process.env.WORDPRESS_APP_PASSWORD;
+        this.baseUrl = `${this.siteUrl}/wp-json/wp/v2`;
+        this.termCache = { categories: new Map(), tags: new Map() };
+    }
+
+    async authenticate() {
+        if (!this.siteUrl || !this.username || !this.appPassword) {
+            throw new Error('WordPress REST APIの認証情報が不足しています');
+        }
+
+        try {
+            const response = await this.makeRequest('GET', '/users/me', null, { context: 'edit' });
+            this.logger.info(`WordPress REST API認証成功: ${response.data.name}`);
+            return true;
+        } catch (error) {
+            this.logger.error('WordPress REST API認証エラー:', error);
+            throw error;
+        }
+    }
+
+    async publishPost(blogPost) {
+        try {
+            this.logger.info(`ブログ記事投稿開始: ${blogPost.title}`);
+
+            const response = await this.makeRequest('POST', '/posts', await this.buildPostBody(blogPost, 'publish'));
+
+            this.logger.info('ブログ記事投稿成功');
+            return this.parsePostResponse(response.data);
+        } catch (error) {
+            this.logger.error('ブログ記事投稿エラー:', error);
+            throw error;
+        }
+    }
+
+    async saveDraft(blogPost) {
+        try {
+            this.logger.info(`下書き保存開始: ${blogPost.title}`);
+
+            const response = await this.makeRequest('POST', '/posts', await this.buildPostBody(blogPost, 'draft'));
+
+            this.logger.info('下書き保存成功');
+            return this.parsePostResponse(response.data);
+        } catch (error) {
+            this.logger.error('下書き保存エラー:', error);
+            throw error;
+        }
+    }
+
+    async updateEntry(entryId, blogPost) {
+        try {
+            this.logger.info(`記事更新開始: ${entryId}`);
+
+            const body = await this.buildPostBody(blogPost);
+            const response = await this.makeRequest('POST', `/posts/${entryId}`, body);
+
+            this.logger.info('記事更新成功');
+            return this.parsePostResponse(response.data);
+        } catch (error) {
+            this.logger.error('記事更新エラー:', error);
+            throw error;
+        }
+    }
+
+    async deleteEntry(entryId) {
+        try {
+            this.logger.info(`記事削除開始: ${entryId}`);
+
+            // force指定なしのためゴミ箱へ移動（WordPress管理画面から復元可能）
+            await this.makeRequest('DELETE', `/posts/${entryId}`);
+
+            this.logger.info('記事削除成功');
+            return true;
+        } catch (error) {
+            this.logger.error('記事削除エラー:', error);
+            throw error;
+        }
+    }
+
+    async getEntries(options = {}) {
+        const limit = options.limit || Infinity;
+        const entries = [];
+
+        try {
+            for (let page = 1; entries.length < limit; page++) {
+                const params = {
+                    page: page,
+                    per_page: Math.min(100, limit === Infinity ? 100 : limit),
+                    status: options.drafts ? 'draft' : 'publish',
+                    context: 'edit'
+                };
+                if (options.since) {
+                    params.after = new Date(options.since).toISOString();
+                }
+
+                const response = await this.makeRequest('GET', '/posts', null, params);
+                entries.push(...response.data.map(post => this.toEntry(post)));
+
+                const totalPages = parseInt(response.headers['x-wp-totalpages'] || '1', 10);
+                if (page >= totalPages || response.data.length === 0) break;
+            }
+
+            return entries.slice(0, limit);
+        } catch (error) {
+            this.logger.error('記事一覧取得エラー:', error);
+            throw error;
+        }
+    }
+
+    async buildPostBody(blogPost, status) {
+        const body = {
+            title: blogPost.title,
+            // WordPressはHTMLで保存するためMarkdownを変換
+            content: marked.parse(blogPost.content || ''),
+            categories: await this.resolveTerms('categories', [blogPost.category].filter(Boolean)),
+            tags: await this.resolveTerms('tags', blogPost.tags || [])
+        };
+
+        if (status) {
+            body.status = status;
+        }
+        if (blogPost.summary) {
+            body.excerpt = blogPost.summary;
+        }
+
+        return body;
+    }
+
+    // カテゴリ・タグ名をIDに変換（存在しない場合は作成）
+    async resolveTerms(taxonomy, names) {
+        const ids = [];
+
+        for (const name of names) {
+            const cache = this.termCache[taxonomy];
+            if (cache.has(name)) {
+                ids.push(cache.get(name));
+                continue;
+            }
+
+            const found = await this.makeRequest('GET', `/${taxonomy}`, null, { search: name, per_page: 100 });
+            let term = found.data.find(item => decodeEntities(item.name) === name);
+
+            if (!term) {
+                const created = await this.makeRequest('POST', `/${taxonomy}`, { name: name });
+                term = created.data;
+                this.logger.debug(`WordPress ${taxonomy} を作成: ${name}`);
+            }
+
+            cache.set(name, term.id);
+            ids.push(term.id);
+        }
+
+        return ids;
+    }
+
+    parsePostResponse(post) {
+        return {
+            id: String(post.id),
+            url: post.link || null,
+            success: true
+        };
+    }
+
+    toEntry(post) {
+        return {
+            id: String(post.id),
+            url: post.link || null,
+            title: decodeEntities(post.title && (post.title.raw || post.title.rendered) || ''),
+            categories: post.categories || [],
+            draft: post.status !== 'publish',
+            published: post.date_gmt ? `${post.date_gmt}Z` : null,
+            updated: post.modified_gmt ? `${post.modified_gmt}Z` : null
+        };
+    }
+
+    async makeRequest(method, path, data = null, params = null) {
+        const token = Buffer.from(`${this.username}:${this.appPassword}`).toString('base64');
+
+        const requestConfig = {
+            method: method,
+            url: this.baseUrl + path,
+            headers: {
+                'Authorization': `Basic ${token}`,
+                'User-Agent': 'FacebookBlogAutomation/1.0'
+            }
+        };
+
+        if (params) {
+            requestConfig.params = params;
+        }
+        if (data) {
+            requestConfig.data = data;
+        }
+
+        return await axios(requestConfig);
+    }
+}
+
+function decodeEntities(text) {
+    return String(text)
+        .replace(/&amp;/g, '&')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&quot;/g, '"')
+        .replace(/&#0?39;/g, "'");
+}
+
+module.exports = { WordPressService };
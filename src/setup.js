@@ -4,6 +4,7 @@ const readline = require('readline');
 const fs = require('fs-extra');
 const path = require('path');
 const { Logger } = require('./utils/Logger');
+const { loadHatenaCredentials, getRequestToken, getAccessToken } = require('./services/HatenaAuth');
 const config = require('../config/config.json');
 
 class Setup {
@@ -24,10 +25,13 @@ class Setup {
             // 3. Gmail API認証設定
             await this.setupGmailAuth();
             
-            // 4. 設定ファイル確認
+            // 4. はてなブログAPI認証設定（OAuthの場合のみ対話的にトークンを取得）
+            await this.setupHatenaAuth();
+            
+            // 5. 設定ファイル確認
             await this.validateConfig();
             
-            // 5. システムテスト
+            // 6. システムテスト
             await this.runSystemTest();
             
             console.log('\n✅ セットアップが完了しました！');
@@ -56,13 +60,9 @@ class Setup {
         
         // 必要な環境変数チェック
         const requiredEnvVars = [
-            'GMAIL_CLIENT_ID',
-            'GMAIL_CLIENT_SECRET',
-            'HATENA_API_KEY',
-            'HATENA_API_SECRET',
-            'HATENA_USERNAME',
-            'HATENA_BLOG_ID',
-            'OPENAI_API_KEY'
+            ...(this.usesGmail() ? ['GMAIL_CLIENT_ID', 'GMAIL_CLIENT_SECRET'] : []),
+            ...this.getPlatformEnvVars(),
+            ...this.getAIEnvVars()
         ];
         
         const missingVars = requiredEnvVars.filter(varName => !process.env[varName]);
@@ -78,7 +78,7 @@ class Setup {
     async createDirectories() {
         console.log('📁 ディレクトリ作成中...');
         
-        const directories = ['logs', 'drafts', 'temp'];
+        const directories = ['logs', 'drafts', 'temp', 'data'];
         
         for (const dir of directories) {
             await fs.ensureDir(dir);
@@ -88,7 +88,38 @@ class Setup {
         console.log('✅ ディレクトリ作成完了\n');
     }
 
+    getPlatformEnvVars() {
+        const platformEnvVars = {
+            // OAuthのコンシューマーキーがあればOAuth、なければAPIキー（WSSE / Basic）を必須とする
+            hatena: ['HATENA_USERNAME', 'HATENA_BLOG_ID', process.env.HATENA_CONSUMER_KEY ? 'HATENA_CONSUMER_SECRET' : 'HATENA_API_KEY'],
+            wordpress: ['WORDPRESS_URL', 'WORDPRESS_USERNAME', 'WORDPRESS_APP_PASSWORD']
+        };
+        
+        // hugo / jekyll はローカルへの書き出しのみのため認証情報は不要
+        return platformEnvVars[config.blog.platform] || [];
+    }
+
+    getAIEnvVars() {
+        const providerEnvVars = {
+            openai: ['OPENAI_API_KEY'],
+            azure: ['AZURE_OPENAI_API_KEY', 'AZURE_OPENAI_ENDPOINT'],
+            compatible: config.ai.compatible && config.ai.compatible.baseUrl ? [] : ['LLM_BASE_URL']
+        };
+        
+        // stub はネットワークを使わないため設定不要
+        return providerEnvVars[process.env.AI_PROVIDER || config.ai.provider] || [];
+    }
+
+    usesGmail() {
+        return (process.env.MAIL_SOURCE || config.monitoring.source || 'gmail') === 'gmail';
+    }
+
     async setupGmailAuth() {
+        if (!this.usesGmail()) {
+            console.log('📂 ローカルメールソースを使用するためGmail API認証をスキップします\n');
+            return;
+        }
+
         console.log('🔐 Gmail API認証設定中...');
         
         const credentialsPath = config.gmail.credentialsPath;
@@ -148,14 +179,67 @@ class Setup {
         console.log('✅ 認証トークンを保存しました');
     }
 
-    async getAuthCode() {
+    async setupHatenaAuth() {
+        if (config.blog.platform !== 'hatena') {
+            return;
+        }
+        
+        console.log('🔐 はてなブログAPI認証設定中...');
+        
+        const strategy = process.env.HATENA_AUTH || config.blog.hatena.auth;
+        const credentials = loadHatenaCredentials();
+        const usesOAuth = strategy === 'oauth' ||
+            (strategy === 'auto' && credentials.consumerKey && credentials.consumerSecret);
+        
+        if (!usesOAuth) {
+            console.log(`✅ 認証方式: ${strategy}（APIキーを使用するため追加の設定は不要です）\n`);
+            return;
+        }
+        
+        if (credentials.accessToken && credentials.accessTokenSecret) {
+            console.log('✅ 既存のOAuthアクセストークンを発見しました\n');
+            return;
+        }
+        
+        if (!credentials.consumerKey || !credentials.consumerSecret) {
+            console.log('⚠️  HATENA_CONSUMER_KEY / HATENA_CONSUMER_SECRET が設定されていません');
+            console.log('📖 https://www.hatena.ne.jp/oauth/develop でOAuthアプリケーションを登録してください');
+            throw new Error('はてなOAuthのコンシューマーキーが必要です');
+        }
+        
+        await this.performHatenaOAuthFlow(credentials);
+        
+        console.log('✅ はてなブログAPI認証完了\n');
+    }
+
+    async performHatenaOAuthFlow(credentials) {
+        const { consumerKey, consumerSecret } = credentials;
+        
+        // リクエストトークン取得
+        const requestToken = await getRequestToken(consumerKey, consumerSecret);
+        
+        console.log('\n📱 以下のURLにアクセスして「許可する」を押してください:');
+        console.log(requestToken.authorizeUrl);
+        
+        // 表示された認証コード（oauth_verifier）を入力
+        const verifier = await this.getAuthCode('\n🔑 表示された認証コードを入力してください: ');
+        
+        // アクセストークン取得
+        const accessToken = await getAccessToken(consumerKey, consumerSecret, requestToken, verifier.trim());
+        
+        // トークン保存
+        await fs.writeJson(config.blog.hatena.tokenPath, accessToken, { spaces: 2 });
+        console.log(`✅ アクセストークンを保存しました (${config.blog.hatena.tokenPath})`);
+    }
+
+    async getAuthCode(question = '\n🔑 認証コードを入力してください: ') {
         return new Promise((resolve) => {
             const rl = readline.createInterface({
                 input: process.stdin,
                 output: process.stdout,
             });
             
-            rl.question('\n🔑 認証コードを入力してください: ', (code) => {
+            rl.question(question, (code) => {
                 rl.close();
                 resolve(code);
             });
@@ -183,22 +267,24 @@ class Setup {
         console.log('🧪 システムテスト実行中...');
         
         try {
-            // Gmail接続テスト
-            const { GmailService } = require('./services/GmailService');
-            const gmailService = new GmailService();
-            await gmailService.authenticate();
-            console.log('✅ Gmail API接続 - OK');
+            // メールソース接続テスト
+            const { createMailSource } = require('./services/MailSource');
+            const mailSource = createMailSource();
+            await mailSource.authenticate();
+            console.log(`✅ メールソース接続 (${mailSource.constructor.name}) - OK`);
             
-            // はてなブログ接続テスト
-            const { HatenaBlogService } = require('./services/HatenaBlogService');
-            const hatenaBlogService = new HatenaBlogService();
-            await hatenaBlogService.authenticate();
-            console.log('✅ はてなブログ API接続 - OK');
+            // ブログ投稿先接続テスト
+            const { createPublisher } = require('./services/Publisher');
+            const publisher = createPublisher();
+            const result = await publisher.authenticate();
+            const strategy = typeof result === 'string' ? ` / ${result}` : '';
+            console.log(`✅ ブログ投稿先接続 (${config.blog.platform}${strategy}) - OK`);
             
-            // OpenAI接続テスト（簡易）
-            if (process.env.OPENAI_API_KEY) {
-                console.log('✅ OpenAI API キー設定 - OK');
-            }
+            // AIプロバイダー接続テスト
+            const { createLLMProvider } = require('./services/LLMProvider');
+            const llm = createLLMProvider();
+            await llm.complete({ user: '「OK」とだけ返答してください。', maxTokens: 5, temperature: 0 });
+            console.log(`✅ AIプロバイダー接続 (${process.env.AI_PROVIDER || config.ai.provider} / ${llm.modelName}) - OK`);
             
         } catch (error) {
             console.log(`❌ システムテストエラー: ${error.message}`);
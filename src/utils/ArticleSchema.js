@@ -0,0 +1,172 @@
+/**
+ * 言語モデルが返す構造化記事（JSON）のスキーマと検証
+ *
+ * {
+ *   "title": "記事タイトル",
+ *   "lead": "導入文",
+ *   "sections": [{ "heading": "見出し", "body": "本文（Markdown）" }],
+ *   "tags": ["タグ"],
+ *   "category": "カテゴリ（候補がある場合のみ）",
+ *   "summary": "1行の要約",
+ *   "metaDescription": "検索結果向けの説明文"
+ * }
+ */
+const LIMITS = {
+    title: 60,
+    summary: 120,
+    metaDescription: 160,
+    tags: 10,
+    sections: 10
+};
+
+// プロンプトに埋め込むスキーマの説明
+function describeArticleSchema(categories = []) {
+    const category = categories.length > 0
+        ? `\n  "category": "次のいずれか1つ: ${categories.join(' / ')}",`
+        : '';
+
+    return `{
+  "title": "記事タイトル（${LIMITS.title}文字以内、記号や見出し記号なし）",
+  "lead": "導入文（投稿の背景や重要性を説明する1〜2段落）",
+  "sections": [
+    { "heading": "見出し", "body": "本文（Markdown、引用は > を使う）" }
+  ],
+  "tags": ["記事に関連するタグ（${LIMITS.tags}個以内）"],${category}
+  "summary": "記事の1行要約（${LIMITS.summary}文字以内）",
+  "metaDescription": "検索結果に表示する説明文（${LIMITS.metaDescription}文字以内）"
+}`;
+}
+
+/**
+ * モデルの応答テキストからJSONを取り出す
+ * コードブロックや前置きの文章、末尾のカンマなど、よくある崩れは修復して解析する。
+ */
+function parseArticleJson(text) {
+    const source = String(text || '').trim();
+
+    try {
+        return JSON.parse(source);
+    } catch {
+        // 修復して再解析
+    }
+
+    let candidate = source.replace(/^```(?:json)?\s*/i, '').replace(/\s*```\s*$/, '');
+    const start = candidate.indexOf('{');
+    const end = candidate.lastIndexOf('}');
+
+    if (start === -1 || end <= start) {
+        throw new Error('応答にJSONオブジェクトが含まれていません');
+    }
+
+    candidate = candidate
+        .substring(start, end + 1)
+        .replace(/[“”]/g, '"')
+        .replace(/,\s*([}\]])/g, '$1');
+
+    try {
+        return JSON.parse(candidate);
+    } catch (error) {
+        throw new Error(`JSONとして解析できません: ${error.message}`);
+    }
+}
+
+/**
+ * 構造化記事を検証し、正規化した記事を返す
+ * 型や必須項目の誤りは errors に、長すぎる文字列などは切り詰めて修復する。
+ */
+function validateArticle(data, options = {}) {
+    const errors = [];
+    const categories = options.categories || [];
+
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+        return { valid: false, errors: ['記事がJSONオブジェクトではありません'], article: null };
+    }
+
+    const requireString = (key) => {
+        if (typeof data[key] !== 'string' || !data[key].trim()) {
+            errors.push(`${key} は空でない文字列である必要があります`);
+            return '';
+        }
+        return data[key].trim();
+    };
+
+    const title = requireString('title').replace(/^#+\s*/, '').replace(/^["「]|["」]$/g, '');
+    const lead = requireString('lead');
+    const summary = requireString('summary').replace(/\s*\n\s*/g, ' ');
+    const metaDescription = requireString('metaDescription').replace(/\s*\n\s*/g, ' ');
+
+    let sections = [];
+    if (!Array.isArray(data.sections) || data.sections.length === 0) {
+        errors.push('sections は1つ以上の要素を持つ配列である必要があります');
+    } else {
+        sections = data.sections.slice(0, options.sectionCount || LIMITS.sections).map((section, i) => {
+            if (!section || typeof section.heading !== 'string' || typeof section.body !== 'string' ||
+                !section.heading.trim() || !section.body.trim()) {
+                errors.push(`sections[${i}] には空でない heading と body が必要です`);
+                return null;
+            }
+            return {
+                heading: section.heading.trim().replace(/^#+\s*/, ''),
+                body: section.body.trim()
+            };
+        }).filter(Boolean);
+
+        if (options.sectionCount && data.sections.length !== options.sectionCount) {
+            errors.push(`sections は ${options.sectionCount} 個（投稿ごとに1つ）必要です`);
+        }
+    }
+
+    let tags = [];
+    if (data.tags !== undefined) {
+        if (!Array.isArray(data.tags) || data.tags.some(tag => typeof tag !== 'string')) {
+            errors.push('tags は文字列の配列である必要があります');
+        } else {
+            tags = [...new Set(data.tags.map(tag => tag.trim().replace(/^#/, '')).filter(Boolean))].slice(0, LIMITS.tags);
+        }
+    }
+
+    let category = null;
+    if (categories.length > 0 && data.category !== undefined) {
+        if (!categories.includes(data.category)) {
+            errors.push(`category は ${categories.join(' / ')} のいずれかである必要があります`);
+        } else {
+            category = data.category;
+        }
+    }
+
+    if (errors.length > 0) {
+        return { valid: false, errors, article: null };
+    }
+
+    return {
+        valid: true,
+        errors: [],
+        article: {
+            title: truncate(title, LIMITS.title),
+            lead: lead,
+            sections: sections,
+            tags: tags,
+            category: category,
+            summary: truncate(summary, LIMITS.summary),
+            metaDescription: truncate(metaDescription, LIMITS.metaDescription)
+        }
+    };
+}
+
+// 構造化記事をMarkdown本文に変換
+function renderArticleMarkdown(article) {
+    const parts = [article.lead];
+
+    for (const section of article.sections) {
+        parts.push(`## ${section.heading}`, section.body);
+    }
+
+    return parts.join('\n\n');
+}
+
+function truncate(text, length) {
+    const chars = Array.from(text);
+    return chars.length > length ? chars.slice(0, length - 1).join('') + '…' : text;
+}
+
+module.exports = { LIMITS, describeArticleSchema, parseArticleJson, validateArticle, renderArticleMarkdown };
@@ -0,0 +1,100 @@
+const cheerio = require('cheerio');
+
+/**
+ * はてなブログ AtomPub のレスポンス（Atom Entry / Feed）を解析する
+ *
+ * エントリーモデル:
+ *   { id, atomId, editUrl, url, title, author, categories, draft,
+ *     published, updated, edited, summary, content, contentType }
+ *
+ * id は editUrl 末尾の記事ID（updateEntry / deleteEntry に渡す値）
+ */
+function parseAtomEntry(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entry = $('entry').first();
+
+    if (entry.length === 0) {
+        throw new Error('Atomエントリーが見つかりません');
+    }
+
+    return toEntry($, entry);
+}
+
+function parseAtomFeed(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const feed = $('feed').first();
+
+    if (feed.length === 0) {
+        throw new Error('Atomフィードが見つかりません');
+    }
+
+    return {
+        title: childText($, feed, 'title'),
+        nextUrl: linkHref($, feed, 'next'),
+        firstUrl: linkHref($, feed, 'first'),
+        entries: feed.children('entry').toArray().map(element => toEntry($, $(element)))
+    };
+}
+
+// app:categories ドキュメント（/category）からカテゴリ名一覧を取得
+function parseAtomCategories(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+
+    return $('atom\\:category, category').toArray()
+        .map(element => $(element).attr('term'))
+        .filter(Boolean);
+}
+
+// はてなフォトライフ（Atom 0.3）のアップロード結果
+function parseFotolifeEntry(xml) {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const entry = $('entry').first();
+
+    if (entry.length === 0) {
+        throw new Error('フォトライフのエントリーが見つかりません');
+    }
+
+    const editUrl = linkHref($, entry, 'service.edit');
+
+    return {
+        id: editUrl ? editUrl.split('/').pop() : null,
+        title: childText($, entry, 'title'),
+        syntax: childText($, entry, 'hatena\\:syntax'),
+        imageUrl: childText($, entry, 'hatena\\:imageurl'),
+        url: linkHref($, entry, 'alternate')
+    };
+}
+
+function toEntry($, entry) {
+    const editUrl = linkHref($, entry, 'edit');
+    const content = entry.children('content').first();
+
+    return {
+        id: editUrl ? editUrl.split('/').pop() : null,
+        atomId: childText($, entry, 'id'),
+        editUrl: editUrl,
+        url: linkHref($, entry, 'alternate'),
+        title: childText($, entry, 'title'),
+        author: childText($, entry.children('author').first(), 'name'),
+        categories: entry.children('category').toArray().map(element => $(element).attr('term')),
+        draft: entry.find('app\\:control > app\\:draft').first().text().trim() === 'yes',
+        published: childText($, entry, 'published'),
+        updated: childText($, entry, 'updated'),
+        edited: childText($, entry, 'app\\:edited'),
+        summary: childText($, entry, 'summary'),
+        content: content.length > 0 ? content.text() : null,
+        contentType: content.attr('type') || null
+    };
+}
+
+function childText($, parent, selector) {
+    const element = parent.children(selector).first();
+    return element.length > 0 ? element.text().trim() : null;
+}
+
+function linkHref($, parent, rel) {
+    const link = parent.children('link').filter((i, element) => $(element).attr('rel') === rel).first();
+    return link.length > 0 ? link.attr('href') : null;
+}
+
+module.exports = { parseAtomEntry, parseAtomFeed, parseAtomCategories, parseFotolifeEntry };
@@ -0,0 +1,187 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const { Logger } = require('./Logger');
+
+/**
+ * ./drafts/*.md に保存される下書きの読み書き
+ *
+ * 下書きはフロントマター付きのMarkdown。フロントマターの値はJSON形式で
+ * 書き出すため（YAMLとしても有効）、タイトルに記号が含まれていても復元できる。
+ *
+ * status: draft → approved / rejected → publishing → published
+ */
+const DRAFT_STATUSES = ['draft', 'approved', 'rejected', 'publishing', 'published'];
+
+class DraftStore {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.dir = options.dir || './drafts';
+    }
+
+    async save(blogPost, postData, extra = {}) {
+        await fs.ensureDir(this.dir);
+
+        const base = `draft_${moment().format('YYYYMMDD_HHmmss')}_${sanitizeFilename(postData.author)}`;
+        let id = base;
+        for (let i = 2; await fs.pathExists(this.filepathOf(id)); i++) {
+            id = `${base}_${i}`;
+        }
+
+        const meta = {
+            title: blogPost.title,
+            author: postData.author,
+            date: postData.date,
+            source: 'Facebook',
+            auto_generated: true,
+            status: 'draft',
+            category: blogPost.category,
+            tags: blogPost.tags || [],
+            ...extra
+        };
+
+        // 構造化記事の要約・説明文（静的サイトの description などに使う）
+        if (blogPost.summary) meta.summary = blogPost.summary;
+        if (blogPost.metaDescription) meta.description = blogPost.metaDescription;
+        // 記事の言語（2言語の記事は主言語）
+        if (blogPost.metadata && blogPost.metadata.language) meta.language = blogPost.metadata.language;
+
+        const filepath = this.filepathOf(id);
+        await fs.writeFile(filepath, stringifyFrontMatter(meta, blogPost.content), 'utf8');
+        this.logger.info(`下書き保存: ${filepath}`);
+
+        return { id, filepath };
+    }
+
+    filepathOf(id) {
+        // 下書きディレクトリの外を指すIDは受け付けない
+        if (!id || path.basename(id) !== id || id.startsWith('.')) {
+            throw new Error(`不正な下書きIDです: ${id}`);
+        }
+        return path.join(this.dir, `${id.replace(/\.md$/, '')}.md`);
+    }
+
+    async list() {
+        if (!await fs.pathExists(this.dir)) {
+            return [];
+        }
+
+        const files = (await fs.readdir(this.dir))
+            .filter(file => path.extname(file) === '.md')
+            .sort();
+
+        const drafts = [];
+        for (const file of files) {
+            try {
+                drafts.push(await this.get(path.basename(file, '.md')));
+            } catch (error) {
+                this.logger.warn(`下書きの読み込みに失敗しました: ${file} (${error.message})`);
+            }
+        }
+
+        return drafts;
+    }
+
+    async get(id) {
+        const filepath = this.filepathOf(id);
+
+        if (!await fs.pathExists(filepath)) {
+            throw new Error(`下書きが見つかりません: ${id}`);
+        }
+
+        const { meta, content } = parseFrontMatter(await fs.readFile(filepath, 'utf8'));
+
+        return {
+            id: path.basename(filepath, '.md'),
+            filepath: filepath,
+            status: meta.status || 'draft',
+            meta: meta,
+            content: content
+        };
+    }
+
+    async update(id, fields = {}, content = null) {
+        const draft = await this.get(id);
+        const meta = { ...draft.meta, ...fields, updatedAt: new Date().toISOString() };
+        const body = content === null ? draft.content : content;
+
+        await fs.writeFile(draft.filepath, stringifyFrontMatter(meta, body), 'utf8');
+        return { ...draft, status: meta.status || 'draft', meta: meta, content: body };
+    }
+
+    async setStatus(id, status, fields = {}) {
+        if (!DRAFT_STATUSES.includes(status)) {
+            throw new Error(`不明な下書きステータスです: ${status}`);
+        }
+
+        const draft = await this.update(id, { ...fields, status: status });
+        this.logger.info(`下書きステータス変更: ${id} → ${status}`);
+        return draft;
+    }
+
+    // 下書きを投稿用のブログ記事オブジェクトに戻す
+    toBlogPost(draft) {
+        const meta = draft.meta;
+
+        return {
+            title: meta.title,
+            content: draft.content,
+            category: meta.category,
+            tags: Array.isArray(meta.tags) ? meta.tags : [],
+            summary: meta.summary,
+            metaDescription: meta.description,
+            publishedAt: new Date().toISOString(),
+            metadata: {
+                sourceAuthor: meta.author,
+                sourceDate: meta.date,
+                draftId: draft.id,
+                messageId: meta.messageId || null,
+                language: meta.language || null
+            }
+        };
+    }
+}
+
+// ファイル名の無害化
+function sanitizeFilename(filename) {
+    return String(filename || 'unknown')
+        .replace(/[<>:"/\\|?*]/g, '_')
+        .replace(/\s+/g, '_')
+        .substring(0, 50);
+}
+
+function stringifyFrontMatter(meta, content) {
+    const lines = Object.entries(meta)
+        .filter(([, value]) => value !== undefined)
+        .map(([key, value]) => `${key}: ${JSON.stringify(value)}`);
+
+    return `---\n${lines.join('\n')}\n---\n\n${content.replace(/^\n+/, '')}\n`;
+}
+
+function parseFrontMatter(text) {
+    const match = text.match(/^---\r?\n([\s\S]*?)\r?\n---\r?\n?([\s\S]*)$/);
+
+    if (!match) {
+        return { meta: {}, content: text };
+    }
+
+    const meta = {};
+    for (const line of match[1].split(/\r?\n/)) {
+        const separator = line.indexOf(':');
+        if (separator <= 0) continue;
+
+        const key = line.slice(0, separator).trim();
+        const raw = line.slice(separator + 1).trim();
+
+        try {
+            meta[key] = JSON.parse(raw);
+        } catch {
+            // 旧形式（引用符なし）の値はそのまま文字列として扱う
+            meta[key] = raw;
+        }
+    }
+
+    return { meta, content: match[2].replace(/^\r?\n/, '').replace(/\n$/, '') };
+}
+
+module.exports = { DraftStore, DRAFT_STATUSES, parseFrontMatter, stringifyFrontMatter };
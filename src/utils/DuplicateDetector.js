@@ -0,0 +1,226 @@
+const fs = require('fs-extra');
+const path = require('path');
+const crypto = require('crypto');
+const { Logger } = require('./Logger');
+const config = require('../../config/config.json');
+
+/**
+ * 重複・ほぼ重複の投稿を検出する指紋ストア
+ *
+ * 同じ投稿が「posted in group」「shared a post」やハイライトメールとして複数回届くため、
+ * 処理済みの投稿本文から次の2つを記録して照合する。
+ *
+ * - 投稿者と正規化した本文のハッシュ（完全一致。別の人の「おめでとう！」のような短い定型文は別の投稿とする）
+ * - 文字 n-gram（シングル）の MinHash 署名（類似度の推定。LSH のバンドで候補を絞り込む）
+ *
+ * 正規化した本文が duplicates.minLength 文字未満の投稿は、ありふれた文面が似ているだけで
+ * 重複と判定しないよう、類似度では照合せず完全一致だけを見る。
+ *
+ * ストア（data/fingerprints.json）:
+ *   { entries: { <id>: { hash, signature, author, date, addedAt, duplicates: [{ id, similarity, at }] } } }
+ */
+class DuplicateDetector {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const duplicateConfig = config.duplicates || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : duplicateConfig.enabled !== false;
+        this.threshold = options.threshold || duplicateConfig.threshold || 0.8;
+        this.action = options.action || duplicateConfig.action || 'skip';
+        this.path = options.path || duplicateConfig.storePath || './data/fingerprints.json';
+        this.shingleSize = duplicateConfig.shingleSize || 3;
+        this.numHashes = duplicateConfig.numHashes || 64;
+        this.bands = duplicateConfig.bands || 16;
+        this.maxAgeDays = duplicateConfig.maxAgeDays || 90;
+        this.minLength = options.minLength !== undefined ? options.minLength
+            : duplicateConfig.minLength !== undefined ? duplicateConfig.minLength : 20;
+        this.entries = null;
+        this.buckets = new Map();
+
+        if (!['skip', 'merge'].includes(this.action)) {
+            throw new Error(`未対応の重複時の動作です: ${this.action}（skip | merge）`);
+        }
+        if (this.numHashes % this.bands !== 0) {
+            throw new Error('duplicates.numHashes は duplicates.bands で割り切れる必要があります');
+        }
+    }
+
+    async load() {
+        if (this.entries) return;
+
+        const store = await fs.pathExists(this.path) ? await fs.readJson(this.path) : {};
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+
+        // 古い指紋は照合対象から外す
+        this.entries = new Map(Object.entries(store.entries || {})
+            .filter(([, entry]) => new Date(entry.addedAt).getTime() >= cutoff));
+
+        this.buckets.clear();
+        for (const [id, entry] of this.entries) {
+            this.index(id, entry.signature);
+        }
+    }
+
+    /**
+     * 処理済みの投稿との照合
+     * しきい値以上に似た投稿があれば { id, similarity, exact } を返す（最も似ているもの）
+     */
+    async findMatch(postData, options = {}) {
+        await this.load();
+
+        const fingerprint = this.fingerprint(postData.content, postData.author);
+        let best = null;
+
+        for (const [id, entry] of this.entries) {
+            if (id === options.excludeId || entry.hash !== fingerprint.hash) continue;
+            return { id, similarity: 1, exact: true };
+        }
+
+        if (fingerprint.length < this.minLength) {
+            return null;
+        }
+
+        for (const id of this.candidates(fingerprint.signature)) {
+            if (id === options.excludeId) continue;
+
+            const similarity = estimateSimilarity(fingerprint.signature, this.entries.get(id).signature);
+            if (similarity >= this.threshold && (!best || similarity > best.similarity)) {
+                best = { id, similarity, exact: false };
+            }
+        }
+
+        return best;
+    }
+
+    // 投稿の指紋を記録（同じIDは上書き）
+    async add(id, postData) {
+        await this.load();
+
+        const fingerprint = this.fingerprint(postData.content, postData.author);
+        const entry = {
+            hash: fingerprint.hash,
+            signature: fingerprint.signature,
+            author: postData.author,
+            date: postData.date,
+            addedAt: new Date().toISOString(),
+            duplicates: []
+        };
+
+        this.entries.set(id, entry);
+        this.index(id, entry.signature);
+        await this.save();
+    }
+
+    // 重複と判定した投稿を元の投稿の指紋に記録
+    async recordDuplicate(originalId, duplicateId, similarity) {
+        await this.load();
+
+        const entry = this.entries.get(originalId);
+        if (!entry) return;
+
+        if (!entry.duplicates.some(duplicate => duplicate.id === duplicateId)) {
+            entry.duplicates.push({ id: duplicateId, similarity, at: new Date().toISOString() });
+            await this.save();
+        }
+    }
+
+    fingerprint(content, author = '') {
+        const normalized = normalizeContent(content);
+
+        return {
+            hash: crypto.createHash('sha1').update(`${normalizeContent(author)}\n${normalized}`).digest('hex'),
+            signature: this.minHash(shingles(normalized, this.shingleSize)),
+            length: Array.from(normalized).length
+        };
+    }
+
+    minHash(shingleSet) {
+        const signature = new Array(this.numHashes).fill(0xffffffff);
+
+        for (const shingle of shingleSet) {
+            const digest = crypto.createHash('md5').update(shingle).digest();
+            const h1 = digest.readUInt32LE(0);
+            const h2 = digest.readUInt32LE(4) | 1;
+
+            // ダブルハッシュ法で numHashes 個のハッシュ関数を作る
+            for (let i = 0; i < this.numHashes; i++) {
+                const value = (h1 + Math.imul(i, h2)) >>> 0;
+                if (value < signature[i]) signature[i] = value;
+            }
+        }
+
+        return signature;
+    }
+
+    // LSH: 署名をバンドに分け、いずれかのバンドが一致する投稿を候補にする
+    bandKeys(signature) {
+        const rows = this.numHashes / this.bands;
+        const keys = [];
+
+        for (let band = 0; band < this.bands; band++) {
+            keys.push(`${band}:${signature.slice(band * rows, (band + 1) * rows).join(',')}`);
+        }
+
+        return keys;
+    }
+
+    index(id, signature) {
+        for (const key of this.bandKeys(signature)) {
+            const ids = this.buckets.get(key) || new Set();
+            ids.add(id);
+            this.buckets.set(key, ids);
+        }
+    }
+
+    candidates(signature) {
+        const ids = new Set();
+
+        for (const key of this.bandKeys(signature)) {
+            for (const id of this.buckets.get(key) || []) {
+                if (this.entries.has(id)) ids.add(id);
+            }
+        }
+
+        return ids;
+    }
+
+    async save() {
+        await fs.ensureDir(path.dirname(this.path));
+        await fs.writeJson(this.path, { entries: Object.fromEntries(this.entries) });
+    }
+}
+
+// 表記ゆれ・URL・記号・空白を除いて比較用の文字列にする
+function normalizeContent(content) {
+    return String(content || '')
+        .normalize('NFKC')
+        .toLowerCase()
+        .replace(/https?:\/\/\S+/g, '')
+        .replace(/[\s\p{P}\p{S}]+/gu, '');
+}
+
+function shingles(text, size) {
+    const chars = Array.from(text);
+    const result = new Set();
+
+    if (chars.length <= size) {
+        result.add(chars.join(''));
+        return result;
+    }
+
+    for (let i = 0; i <= chars.length - size; i++) {
+        result.add(chars.slice(i, i + size).join(''));
+    }
+
+    return result;
+}
+
+// MinHash 署名の一致率 = Jaccard 類似度の推定値
+function estimateSimilarity(a, b) {
+    let same = 0;
+    for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) same++;
+    }
+    return same / a.length;
+}
+
+module.exports = { DuplicateDetector, normalizeContent };
@@ -133,6 +133,11 @@ published: false
                 await fs.copy('drafts', path.join(backupDir, 'drafts'));
             }
             
+            // 処理台帳などの永続データ
+            if (await fs.pathExists('data')) {
+                await fs.copy('data', path.join(backupDir, 'data'));
+            }
+            
             // ログファイル（最新のみ）
             const logsDir = 'logs';
             const backupLogsDir = path.join(backupDir, 'logs');
@@ -201,7 +206,7 @@ published: false
     // ディスク使用量チェック
     async getDiskUsage() {
         try {
-            const directories = ['logs', 'drafts', 'temp'];
+            const directories = ['logs', 'drafts', 'temp', 'data'];
             const usage = {};
             
             for (const dir of directories) {
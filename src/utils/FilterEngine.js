@@ -0,0 +1,185 @@
+const { Logger } = require('./Logger');
+const config = require('../../config/config.json');
+
+/**
+ * 解析した投稿を記事にするかどうかを決めるフィルター（解析と記事生成の間で使用）
+ *
+ * ルールは上から順に評価し、最初に当てはまらなかったルールで除外する。
+ *   exclude  条件をすべて満たす投稿を除外する
+ *   include  条件をすべて満たす投稿だけを通す（満たさなければ除外）
+ *
+ * 条件（省略した条件は判定しない。配列はいずれかに一致すれば満たす）:
+ *   subject        通知メールの件名の正規表現（大文字・小文字は区別しない）
+ *   author         投稿者名（完全一致）
+ *   group          グループ名（完全一致）
+ *   postType       投稿タイプ（photo / status / shared など）
+ *   keywords       投稿内容に含まれる語
+ *   minLength      投稿内容の最小文字数
+ *   minImportance  重要度（BlogGenerator.calculateImportance、0〜10）の最小値
+ *
+ * facebook.excludePatterns・facebook.postPatterns（件名）と facebook.targetUsers（投稿者）は、
+ * filters.rules より前に評価する組み込みのルールになる。
+ */
+const CONDITIONS = ['subject', 'author', 'group', 'postType', 'keywords', 'minLength', 'minImportance'];
+
+class FilterEngine {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const filterConfig = config.filters || {};
+        const facebookConfig = config.facebook || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : filterConfig.enabled !== false;
+        // 重要度の計算（minImportance の判定に使用）
+        this.importance = options.importance || null;
+
+        const rules = [];
+        const excludePatterns = options.excludePatterns || facebookConfig.excludePatterns || [];
+        const postPatterns = options.postPatterns || facebookConfig.postPatterns || [];
+        const targetUsers = options.targetUsers || facebookConfig.targetUsers || [];
+        if (excludePatterns.length > 0) {
+            rules.push({ name: 'facebook.excludePatterns', reason: 'excluded_pattern', action: 'exclude', subject: excludePatterns });
+        }
+        if (postPatterns.length > 0) {
+            rules.push({ name: 'facebook.postPatterns', reason: 'not_post', action: 'include', subject: postPatterns });
+        }
+        if (targetUsers.length > 0) {
+            rules.push({ name: 'facebook.targetUsers', reason: 'non_target_user', action: 'include', author: targetUsers });
+        }
+        (options.rules || filterConfig.rules || []).forEach((rule, index) => {
+            rules.push({ reason: 'filter_rule', ...rule, name: rule.name || `filters.rules[${index}]` });
+        });
+
+        this.rules = rules.map(rule => compileRule(rule));
+
+        if (!this.importance && this.rules.some(rule => rule.minImportance !== undefined)) {
+            throw new Error('minImportance を使うルールには重要度の計算（importance）が必要です');
+        }
+    }
+
+    /**
+     * 投稿を判定する
+     * 戻り値: { included, rule, reason, results: [{ rule, action, matched, passed, details }] }
+     * included が false のとき rule・reason は除外したルールの名前と理由（台帳・メトリクス用）
+     */
+    evaluate(postData) {
+        const results = [];
+        if (!this.enabled) {
+            return { included: true, rule: null, reason: null, results };
+        }
+
+        const facts = factsOf(postData, this.importance);
+
+        for (const rule of this.rules) {
+            const details = checkConditions(rule, facts);
+            const matched = details.every(detail => detail.ok);
+            const passed = rule.action === 'include' ? matched : !matched;
+            results.push({ rule: rule.name, action: rule.action, matched, passed, details });
+
+            if (!passed) {
+                return { included: false, rule: rule.name, reason: rule.reason, results };
+            }
+        }
+
+        return { included: true, rule: null, reason: null, results };
+    }
+
+    // 判定結果を1行で表す（ログ用）
+    describe(result) {
+        if (result.included) {
+            return 'すべてのルールを通過';
+        }
+        const rule = result.results[result.results.length - 1];
+        const conditions = rule.details.map(detail => `${detail.condition}: ${detail.message}`).join(', ');
+        return `${rule.rule}（${rule.action === 'include' ? '条件を満たさない' : '条件に一致'}${conditions ? ` - ${conditions}` : ''}）`;
+    }
+}
+
+function compileRule(rule) {
+    if (!['include', 'exclude'].includes(rule.action)) {
+        throw new Error(`未対応のフィルターの動作です: ${rule.name}: ${rule.action}（include | exclude）`);
+    }
+    if (!CONDITIONS.some(condition => rule[condition] !== undefined)) {
+        throw new Error(`フィルターのルールに条件がありません: ${rule.name}`);
+    }
+    return compileConditions(rule);
+}
+
+// ルールの条件を判定できる形にする（ルーティングのルールと共通）
+function compileConditions(rule) {
+    const compiled = { ...rule };
+    const listOf = value => (Array.isArray(value) ? value : [value]).map(String);
+    if (rule.subject !== undefined) {
+        compiled.subject = listOf(rule.subject).map(pattern => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`件名のパターンが不正です: ${rule.name}: ${pattern}（${error.message}）`);
+            }
+        });
+    }
+    for (const condition of ['author', 'group', 'postType']) {
+        if (rule[condition] !== undefined) {
+            compiled[condition] = listOf(rule[condition]).map(value => value.trim());
+        }
+    }
+    if (rule.keywords !== undefined) {
+        compiled.keywords = listOf(rule.keywords).map(keyword => keyword.toLowerCase());
+    }
+    for (const condition of ['minLength', 'minImportance']) {
+        if (rule[condition] !== undefined && !Number.isFinite(Number(rule[condition]))) {
+            throw new Error(`${condition} は数値で指定してください: ${rule.name}`);
+        }
+    }
+    return compiled;
+}
+
+// 判定に使う投稿の項目（重要度は minImportance の判定時に初めて計算する）
+function factsOf(postData, importance = null) {
+    let score = null;
+    return {
+        subject: (postData.originalEmail && postData.originalEmail.subject) || '',
+        author: postData.author || '',
+        group: postData.group || '',
+        postType: postData.postType || '',
+        content: postData.content || '',
+        get importance() {
+            if (score === null) {
+                score = importance(postData);
+            }
+            return score;
+        }
+    };
+}
+
+// ルールの条件ごとの判定結果 [{ condition, ok, message }]（条件がなければ空）
+function checkConditions(rule, facts) {
+    return CONDITIONS
+        .filter(condition => rule[condition] !== undefined)
+        .map(condition => ({ condition, ...checkCondition(rule, condition, facts) }));
+}
+
+// 条件1つの判定（message は判定の根拠）
+function checkCondition(rule, condition, facts) {
+    switch (condition) {
+        case 'subject': {
+            const pattern = rule.subject.find(pattern => pattern.test(facts.subject));
+            return { ok: Boolean(pattern), message: pattern ? `/${pattern.source}/ に一致` : '一致なし' };
+        }
+        case 'author':
+        case 'group':
+        case 'postType': {
+            const ok = rule[condition].includes(facts[condition].trim());
+            return { ok, message: `"${facts[condition]}"${ok ? ' に一致' : ' は対象外'}` };
+        }
+        case 'keywords': {
+            const content = facts.content.toLowerCase();
+            const keyword = rule.keywords.find(keyword => content.includes(keyword));
+            return { ok: Boolean(keyword), message: keyword ? `"${keyword}" を含む` : 'キーワードなし' };
+        }
+        case 'minLength':
+            return { ok: facts.content.length >= Number(rule.minLength), message: `${facts.content.length}文字（最小 ${rule.minLength}）` };
+        case 'minImportance':
+            return { ok: facts.importance >= Number(rule.minImportance), message: `重要度 ${facts.importance}（最小 ${rule.minImportance}）` };
+    }
+}
+
+module.exports = { FilterEngine, CONDITIONS, compileConditions, factsOf, checkConditions };
@@ -0,0 +1,189 @@
+const config = require('../../config/config.json');
+
+/**
+ * 投稿の言語判定と、記事の出力言語ごとの文言
+ *
+ * 言語判定はオフライン（文字種の出現数）で行う。対応言語は日本語（ja）と英語（en）。
+ * 出力言語の指定（blog.language。blog.blogs.<投稿先>.language・routing.rules の language で上書き）:
+ *   source    投稿と同じ言語
+ *   ja / en   常に日本語 / 英語
+ *   bilingual 投稿の言語と、もう一方の言語の2言語
+ */
+const LANGUAGES = ['ja', 'en'];
+const LANGUAGE_MODES = ['source', 'bilingual', ...LANGUAGES];
+
+const STRINGS = {
+    ja: {
+        name: '日本語',
+        dateLocale: 'ja-JP',
+        systemPrompt: 'あなたはブログ記事作成のエキスパートです。Facebook投稿の内容を元に、読みやすく興味深いブログ記事を日本語で作成してください。',
+        template: {
+            header: '# Facebook投稿より\n\n',
+            footer: '\n\n---\n\n*この記事はFacebook投稿から自動生成されました*'
+        },
+        typeTags: {
+            photo: '写真',
+            status: '近況',
+            shared: 'シェア',
+            video: '動画',
+            link: 'リンク',
+            group: 'グループ',
+            page: 'ページ'
+        },
+        digestTag: 'まとめ',
+        titles: {
+            photo: author => `${author}さんの写真投稿より`,
+            status: author => `${author}さんの近況報告`,
+            shared: author => `${author}さんがシェアした投稿について`,
+            video: author => `${author}さんの動画投稿`,
+            link: author => `${author}さんが紹介したリンク`,
+            group: author => `${author}さんのグループ投稿`,
+            page: author => `${author}さんのページ投稿`,
+            post: author => `${author}さんの投稿より`
+        },
+        fallback: {
+            heading: author => `${author}さんの投稿より`,
+            intro: (date, author) => `${date}に${author}さんがFacebookに投稿された内容をご紹介します。`,
+            content: '投稿内容',
+            images: count => `※ この投稿には${count}枚の画像が含まれています。`,
+            links: '※ この投稿には関連リンクが含まれています。',
+            remarks: '所感',
+            remarksBody: '興味深い投稿ですね。詳細は元の投稿をご確認ください。'
+        },
+        digest: {
+            title: (label, period) => `${label}のFacebook投稿まとめ（${period}）`,
+            heading: label => `${label}のFacebook投稿まとめ`,
+            intro: (period, count) => `${period}のFacebook投稿${count}件をまとめてご紹介します。`,
+            section: (date, author) => `${date} ${author}さんの投稿`,
+            summary: (label, period, count) => `${label}の${period}のFacebook投稿${count}件のまとめ`,
+            // まとめる単位の表示名（DigestService.labelOf）
+            labels: {
+                author: author => `${author}さん`,
+                noGroup: 'グループ外の投稿',
+                all: 'Facebook'
+            }
+        }
+    },
+    en: {
+        name: 'English',
+        dateLocale: 'en-US',
+        systemPrompt: 'You are an expert blog writer. Based on the Facebook post, write an engaging, easy-to-read blog article in English.',
+        template: {
+            header: '# From Facebook\n\n',
+            footer: '\n\n---\n\n*This article was automatically generated from a Facebook post*'
+        },
+        typeTags: {
+            photo: 'Photo',
+            status: 'Status',
+            shared: 'Shared',
+            video: 'Video',
+            link: 'Link',
+            group: 'Group',
+            page: 'Page'
+        },
+        digestTag: 'Roundup',
+        titles: {
+            photo: author => `A photo from ${author}`,
+            status: author => `An update from ${author}`,
+            shared: author => `About a post ${author} shared`,
+            video: author => `A video from ${author}`,
+            link: author => `A link ${author} shared`,
+            group: author => `${author}'s group post`,
+            page: author => `${author}'s page post`,
+            post: author => `From ${author}'s post`
+        },
+        fallback: {
+            heading: author => `From ${author}'s post`,
+            intro: (date, author) => `Here is what ${author} posted on Facebook on ${date}.`,
+            content: 'The post',
+            images: count => `* This post includes ${count} image(s).`,
+            links: '* This post includes related links.',
+            remarks: 'Thoughts',
+            remarksBody: 'An interesting post. Please see the original post for details.'
+        },
+        digest: {
+            title: (label, period) => `Facebook roundup: ${label} (${period})`,
+            heading: label => `Facebook roundup: ${label}`,
+            intro: (period, count) => `A roundup of ${count} Facebook posts from ${period}.`,
+            section: (date, author) => `${author}, ${date}`,
+            summary: (label, period, count) => `A roundup of ${count} Facebook posts by ${label} from ${period}`,
+            labels: {
+                author: author => author,
+                noGroup: 'Posts outside groups',
+                all: 'Facebook'
+            }
+        }
+    }
+};
+
+/**
+ * テキストの言語を判定する（ja / en）
+ * かな・漢字の文字数と英単語の数を比べる。どちらも含まない場合は defaultLanguage を返す。
+ */
+function detectLanguage(text, defaultLanguage = 'ja') {
+    const source = String(text || '').replace(/https?:\/\/\S+/g, '');
+    const kana = (source.match(/[぀-ヿｦ-ﾟ]/g) || []).length;
+    const kanji = (source.match(/[一-鿿]/g) || []).length;
+    const words = (source.match(/[A-Za-z]{2,}/g) || []).length;
+
+    if (kana + kanji === 0 && words === 0) {
+        return defaultLanguage;
+    }
+
+    // 日本語の文には英単語（固有名詞など）が混ざることが多いため、かながあれば日本語寄りに判定する
+    const japanese = kana > 0 ? kana + kanji : kanji / 2;
+    return japanese >= words ? 'ja' : 'en';
+}
+
+// 出力言語の一覧（先頭が主言語）
+function outputLanguages(mode = config.blog.language || 'source', sourceLanguage = 'ja') {
+    if (!LANGUAGE_MODES.includes(mode)) {
+        throw new Error(`未対応の言語指定です: ${mode}（${LANGUAGE_MODES.join(' | ')}）`);
+    }
+
+    switch (mode) {
+        case 'source':
+            return [sourceLanguage];
+        case 'bilingual':
+            return [sourceLanguage, ...LANGUAGES.filter(language => language !== sourceLanguage)];
+        default:
+            return [mode];
+    }
+}
+
+function stringsOf(language) {
+    return STRINGS[language] || STRINGS.ja;
+}
+
+/**
+ * 記事のヘッダー・フッター（config.blog.template）
+ * 言語別の指定（template.en など）がなければ、日本語は template.header / footer、
+ * それ以外は組み込みの文言を使う。
+ */
+function templateOf(language, template = config.blog.template || {}) {
+    const localized = template[language] || {};
+    const legacy = language === 'ja' ? template : {};
+    const defaults = stringsOf(language).template;
+
+    return {
+        header: firstDefined(localized.header, legacy.header, defaults.header),
+        footer: firstDefined(localized.footer, legacy.footer, defaults.footer)
+    };
+}
+
+/**
+ * 記事の言語のシステムプロンプト（config.ai.systemPrompt）
+ * 言語別の指定（systemPrompt.en など）がなければ、日本語は文字列で指定した systemPrompt、
+ * それ以外は組み込みの文言を使う。
+ */
+function systemPromptOf(language, systemPrompt = config.ai.systemPrompt) {
+    const localized = systemPrompt && typeof systemPrompt === 'object' ? systemPrompt[language] : undefined;
+    const legacy = language === 'ja' ? systemPrompt : undefined;
+    return firstDefined(localized, legacy, stringsOf(language).systemPrompt);
+}
+
+function firstDefined(...values) {
+    return values.find(value => typeof value === 'string');
+}
+
+module.exports = { LANGUAGES, LANGUAGE_MODES, detectLanguage, outputLanguages, stringsOf, templateOf, systemPromptOf };
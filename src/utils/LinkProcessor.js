@@ -0,0 +1,119 @@
+const config = require('../../config/config.json');
+
+// Facebook のドメイン（リダイレクトの展開・Facebook内リンクの判定に使用）
+const FACEBOOK_HOSTS = /(?:^|\.)(?:facebook\.com|fb\.com|facebookmail\.com)$/i;
+
+// 外部リンクへのリダイレクト（u パラメーターに元のURL）
+const REDIRECT_PATHS = /^\/(?:l\.php|flx\/warn\/?)$/i;
+
+// 通知メールのボタン・フッターなど投稿とは関係のない Facebook 内のリンク
+const CHROME_PATHS = [
+    /^\/n\//i,                        // 通知からの遷移（投稿・プロフィール・グループ）
+    /^\/o\.php/i,                     // 配信停止
+    /^\/email_forward_notice/i,
+    /^\/(?:settings|notifications|help|privacy|policies|legal|ads|login|recover)(?:[/.?]|$)/i,
+    /^\/(?:home|policy|terms)\.php/i,
+    /unsubscribe/i
+];
+
+const DEFAULT_TRACKING_PARAMS = [
+    'fbclid', 'gclid', 'dclid', 'msclkid', 'igshid', 'mibextid',
+    'utm_*', 'mc_cid', 'mc_eid', '__tn__', '__cft__*', '_hsenc', '_hsmi'
+];
+
+/**
+ * 通知メールのリンクを記事で使える形に整える（FacebookParser で使用）
+ *
+ * 1. l.facebook.com/l.php?u=... などのリダイレクトを展開
+ * 2. fbclid・utm_* などのトラッキング用パラメーターを除去
+ * 3. 通知・配信停止・ヘルプなど Facebook 内のリンクと http(s) 以外のリンクを除外
+ * 4. 同じURLのリンクをまとめる（最初に見つかったリンクテキストを使う）
+ *
+ * links.trackingParams（末尾の * は前方一致）と links.dropPatterns（URLの正規表現）で追加できる。
+ */
+class LinkProcessor {
+    constructor(options = {}) {
+        const linksConfig = config.links || {};
+        const trackingParams = options.trackingParams || linksConfig.trackingParams || [];
+        this.trackingParams = [...DEFAULT_TRACKING_PARAMS, ...trackingParams].map(name => name.toLowerCase());
+        this.dropPatterns = (options.dropPatterns || linksConfig.dropPatterns || []).map(pattern => {
+            try {
+                return new RegExp(pattern, 'i');
+            } catch (error) {
+                throw new Error(`除外するリンクのパターンが不正です: ${pattern}（${error.message}）`);
+            }
+        });
+    }
+
+    // [{ url, text }] を整えて返す
+    process(links) {
+        const result = new Map();
+
+        for (const link of links) {
+            const url = this.clean(link.url);
+            if (!url || this.isDropped(url)) {
+                continue;
+            }
+
+            const known = result.get(url);
+            if (!known) {
+                result.set(url, { url: url, text: link.text || '' });
+            } else if (!known.text && link.text) {
+                known.text = link.text;
+            }
+        }
+
+        return [...result.values()];
+    }
+
+    // リダイレクトの展開とトラッキング用パラメーターの除去（http(s) のURLでなければ null）
+    clean(href) {
+        let url = this.parse(href);
+
+        // リダイレクト先がさらにリダイレクトの場合もあるため数回まで展開する
+        for (let i = 0; i < 3 && url && isRedirect(url); i++) {
+            url = this.parse(url.searchParams.get('u'));
+        }
+        if (!url) {
+            return null;
+        }
+
+        for (const name of [...url.searchParams.keys()]) {
+            if (this.isTrackingParam(name)) {
+                url.searchParams.delete(name);
+            }
+        }
+        return url.toString();
+    }
+
+    parse(href) {
+        try {
+            const url = new URL(String(href || '').trim());
+            return ['http:', 'https:'].includes(url.protocol) ? url : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    isTrackingParam(name) {
+        const lower = name.toLowerCase();
+        return this.trackingParams.some(param => (param.endsWith('*')
+            ? lower.startsWith(param.slice(0, -1))
+            : lower === param));
+    }
+
+    isDropped(href) {
+        const url = new URL(href);
+        if (FACEBOOK_HOSTS.test(url.hostname) && (url.hostname.endsWith('facebookmail.com') ||
+            CHROME_PATHS.some(pattern => pattern.test(url.pathname)))) {
+            return true;
+        }
+        return this.dropPatterns.some(pattern => pattern.test(href));
+    }
+}
+
+function isRedirect(url) {
+    return FACEBOOK_HOSTS.test(url.hostname) && REDIRECT_PATHS.test(url.pathname) && url.searchParams.has('u');
+}
+
+module.exports = { LinkProcessor };
@@ -0,0 +1,143 @@
+const config = require('../../config/config.json');
+
+/**
+ * Facebook通知メールのロケール別パターンパック（FacebookParser で使用）
+ *
+ * 組み込みのパックは src/locales/<ロケール>.json にあり、各パックは次の項目を持つ（値は正規表現の文字列）。
+ *   detect.languages  Content-Language ヘッダー・<html lang> と照合する言語コード
+ *   detect.patterns   件名・本文に含まれていればこのロケールとみなすパターン
+ *   author            件名から投稿者名を取り出すパターン（1番目のグループ）
+ *   group             件名からグループ名を取り出すパターン（1番目のグループ）
+ *   postTypes         投稿タイプごとの件名のパターン（先に書いたタイプを優先）
+ *   authorText        本文から投稿者名を取り出すパターン（件名で見つからない場合）
+ *   contentPrefixes   投稿内容の先頭から除去する定型文
+ *   systemLines       投稿内容として扱わない行（ボタン・日時など）
+ *   footer            フッター（配信停止の案内など）とみなす行
+ *
+ * config.json の facebook.localePacks に同じ形式で独自のパックを追加できる。
+ * 組み込みと同じ名前のパックは、指定した項目のパターンを組み込みより優先して追加する。
+ */
+const BUILTIN_PACKS = {
+    ja: require('../locales/ja.json'),
+    en: require('../locales/en.json')
+};
+
+const LIST_FIELDS = ['author', 'group', 'authorText', 'contentPrefixes', 'systemLines', 'footer'];
+
+class LocalePatterns {
+    constructor(options = {}) {
+        const facebookConfig = config.facebook || {};
+        const customPacks = options.packs || facebookConfig.localePacks || {};
+        this.defaultLocale = options.defaultLocale || facebookConfig.defaultLocale || 'en';
+        // auto 以外を指定した場合は検出せずそのロケールを使う
+        this.locale = options.locale || facebookConfig.locale || 'auto';
+
+        // 独自のパックを先に並べ、検出時に優先する
+        this.packs = {};
+        for (const name of [...Object.keys(customPacks), ...Object.keys(BUILTIN_PACKS)]) {
+            if (!this.packs[name]) {
+                this.packs[name] = compilePack(name, mergePacks(BUILTIN_PACKS[name], customPacks[name]));
+            }
+        }
+
+        for (const name of [this.defaultLocale, this.locale].filter(name => name !== 'auto')) {
+            if (!this.packs[name]) {
+                throw new Error(`ロケールのパターンパックがありません: ${name}`);
+            }
+        }
+    }
+
+    get names() {
+        return Object.keys(this.packs);
+    }
+
+    get(name) {
+        return this.packs[name] || this.packs[this.defaultLocale];
+    }
+
+    /**
+     * 通知メールのロケールを判定する
+     * ヘッダー・<html lang> → 件名のパターン → 件名・本文の detect.patterns の順に調べ、
+     * 見つからなければ defaultLocale
+     */
+    detect(email, $) {
+        if (this.locale !== 'auto') {
+            return this.locale;
+        }
+
+        const headers = email.headers || {};
+        const languages = [headers['content-language'], $ ? $('html').attr('lang') : null]
+            .filter(Boolean)
+            .flatMap(value => String(value).split(','))
+            .map(value => value.trim().toLowerCase().split(/[-_]/)[0]);
+        for (const language of languages) {
+            const pack = Object.values(this.packs).find(pack => pack.languages.includes(language));
+            if (pack) {
+                return pack.name;
+            }
+        }
+
+        const subject = email.subject || '';
+        for (const pack of Object.values(this.packs)) {
+            if (pack.author.some(pattern => pattern.test(subject)) ||
+                Object.values(pack.postTypes).some(patterns => patterns.some(pattern => pattern.test(subject)))) {
+                return pack.name;
+            }
+        }
+
+        const text = $ ? $.text() : '';
+        for (const target of [subject, text]) {
+            const pack = Object.values(this.packs).find(pack => pack.detect.some(pattern => pattern.test(target)));
+            if (pack) {
+                return pack.name;
+            }
+        }
+
+        return this.defaultLocale;
+    }
+}
+
+// 組み込みのパックに独自のパターンを追加（独自のパターンを先に並べる）
+function mergePacks(builtin = {}, custom = {}) {
+    const merged = {
+        detect: {
+            languages: [...((custom.detect || {}).languages || []), ...((builtin.detect || {}).languages || [])],
+            patterns: [...((custom.detect || {}).patterns || []), ...((builtin.detect || {}).patterns || [])]
+        },
+        postTypes: {}
+    };
+
+    for (const field of LIST_FIELDS) {
+        merged[field] = [...(custom[field] || []), ...(builtin[field] || [])];
+    }
+    for (const type of new Set([...Object.keys(custom.postTypes || {}), ...Object.keys(builtin.postTypes || {})])) {
+        merged.postTypes[type] = [...((custom.postTypes || {})[type] || []), ...((builtin.postTypes || {})[type] || [])];
+    }
+    return merged;
+}
+
+function compilePack(name, pack) {
+    const compile = (field, patterns) => patterns.map(pattern => {
+        try {
+            return new RegExp(pattern, 'i');
+        } catch (error) {
+            throw new Error(`ロケール ${name} の ${field} のパターンが不正です: ${pattern}（${error.message}）`);
+        }
+    });
+
+    const compiled = {
+        name: name,
+        languages: pack.detect.languages.map(language => language.toLowerCase()),
+        detect: compile('detect.patterns', pack.detect.patterns),
+        postTypes: {}
+    };
+    for (const field of LIST_FIELDS) {
+        compiled[field] = compile(field, pack[field]);
+    }
+    for (const [type, patterns] of Object.entries(pack.postTypes)) {
+        compiled.postTypes[type] = compile(`postTypes.${type}`, patterns);
+    }
+    return compiled;
+}
+
+module.exports = { LocalePatterns, BUILTIN_PACKS };
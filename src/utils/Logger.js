@@ -1,5 +1,15 @@
 const winston = require('winston');
 const path = require('path');
+const util = require('util');
+
+// axiosのエラーなど循環参照を含むメタ情報でもログ出力が例外にならないようにする
+function stringifyMeta(meta, space) {
+    try {
+        return JSON.stringify(meta, null, space);
+    } catch {
+        return util.inspect(meta, { depth: 2, breakLength: Infinity });
+    }
+}
 
 class Logger {
     constructor() {
@@ -38,7 +48,7 @@ class Logger {
                     format: winston.format.combine(
                         winston.format.timestamp(),
                         winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                            return `${timestamp} [${level.toUpperCase()}] Gmail: ${message} ${Object.keys(meta).length ? JSON.stringify(meta) : ''}`;
+                            return `${timestamp} [${level.toUpperCase()}] Gmail: ${message} ${Object.keys(meta).length ? stringifyMeta(meta) : ''}`;
                         })
                     )
                 })
@@ -52,7 +62,7 @@ class Logger {
                     winston.format.colorize(),
                     winston.format.simple(),
                     winston.format.printf(({ timestamp, level, message, ...meta }) => {
-                        const metaStr = Object.keys(meta).length ? JSON.stringify(meta, null, 2) : '';
+                        const metaStr = Object.keys(meta).length ? stringifyMeta(meta, 2) : '';
                         return `${timestamp} [${level}] ${message} ${metaStr}`;
                     })
                 )
@@ -0,0 +1,96 @@
+const client = require('prom-client');
+const config = require('../../config/config.json');
+
+/**
+ * パイプライン全体の Prometheus メトリクス（管理APIの /metrics で公開）
+ *
+ * プロセス内で1つのレジストリを共有するため、各モジュールは metrics インスタンスを直接使う。
+ * 投稿者（author）・投稿タイプ（post_type）のラベルは記事単位のメトリクスにのみ付ける。
+ */
+class Metrics {
+    constructor(options = {}) {
+        const metricsConfig = config.metrics || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : metricsConfig.enabled !== false;
+        this.prefix = options.prefix || metricsConfig.prefix || 'facebook_blog_';
+        this.registry = new client.Registry();
+
+        if (metricsConfig.defaultMetrics !== false) {
+            client.collectDefaultMetrics({ register: this.registry, prefix: this.prefix });
+        }
+
+        // メール
+        this.emailsFetched = this.counter('emails_fetched_total', '取得した通知メール数');
+        this.emailsParsed = this.counter('emails_parsed_total', '投稿データを解析できたメール数', ['post_type']);
+        this.emailsUnparseable = this.counter('emails_unparseable_total', '投稿データを解析できなかったメール数');
+        this.emailsFiltered = this.counter('emails_filtered_total', '処理対象外としたメール数', ['reason']);
+
+        // 記事・下書き・投稿
+        this.articlesGenerated = this.counter('articles_generated_total', '言語モデルで生成した記事数', ['author', 'post_type']);
+        this.articlesFallback = this.counter('articles_fallback_total', 'フォールバック記事を使った数', ['author', 'post_type']);
+        this.draftsSaved = this.counter('drafts_saved_total', '保存した下書き数', ['author', 'post_type']);
+        this.postsPublished = this.counter('posts_published_total', 'ブログに投稿した記事数', ['platform']);
+        this.postsFailed = this.counter('posts_failed_total', 'ブログへの投稿に失敗した数', ['platform']);
+
+        // 所要時間
+        this.llmDuration = this.histogram('llm_request_duration_seconds', '言語モデルの応答時間（秒）',
+            ['model', 'status'], [0.5, 1, 2, 5, 10, 20, 30, 60, 120]);
+        this.hatenaDuration = this.histogram('hatena_request_duration_seconds', 'はてなブログ・フォトライフAPIの応答時間（秒）',
+            ['api', 'method', 'status'], [0.1, 0.25, 0.5, 1, 2, 5, 10, 30]);
+        this.processingDuration = this.histogram('email_processing_duration_seconds', 'メール取得後、記事の下書き保存（自動投稿）までの時間（秒）',
+            ['author', 'post_type'], [1, 5, 10, 30, 60, 120, 300, 600]);
+    }
+
+    counter(name, help, labelNames = []) {
+        return new client.Counter({ name: this.prefix + name, help, labelNames, registers: [this.registry] });
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return new client.Histogram({ name: this.prefix + name, help, labelNames, buckets, registers: [this.registry] });
+    }
+
+    // 記事単位のメトリクスのラベル
+    postLabels(postData) {
+        return {
+            author: (postData && postData.author) || 'unknown',
+            post_type: (postData && postData.postType) || 'unknown'
+        };
+    }
+
+    // 処理の所要時間を記録（status は成功時 success、失敗時 error）
+    async time(histogram, labels, task) {
+        const end = histogram.startTimer(labels);
+        try {
+            const result = await task();
+            end({ status: 'success' });
+            return result;
+        } catch (error) {
+            end({ status: 'error' });
+            throw error;
+        }
+    }
+
+    // HTTPリクエストの所要時間を記録（status はHTTPステータス、応答がなければ error）
+    async timeHttp(histogram, labels, task) {
+        const end = histogram.startTimer(labels);
+        try {
+            const response = await task();
+            end({ status: String(response.status) });
+            return response;
+        } catch (error) {
+            end({ status: error.response ? String(error.response.status) : 'error' });
+            throw error;
+        }
+    }
+
+    get contentType() {
+        return this.registry.contentType;
+    }
+
+    async render() {
+        return await this.registry.metrics();
+    }
+}
+
+const metrics = new Metrics();
+
+module.exports = { Metrics, metrics };
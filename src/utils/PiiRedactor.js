@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const { Logger } = require('./Logger');
+const config = require('../../config/config.json');
+
+/**
+ * 投稿に含まれる個人情報の秘匿化
+ *
+ * 投稿本文・画像の説明・リンクから電話番号（国内・国際）、メールアドレス、郵便番号、
+ * 住所（日本・英語圏）と privacy.names に登録した人名を検出し、言語モデルに送る前に置き換える。
+ * 投稿者名・グループ名もプロンプトに含まれるため、privacy.names に登録した名前は置き換える。
+ *
+ * privacy.mode:
+ *   placeholder  [PHONE_1a2b3c] のようなプレースホルダーに置き換える（値ごとに同じ記号になる）
+ *   mask         文字を * で伏せる（元に戻せない）
+ *
+ * プレースホルダーと元の値の対応（mapping）は呼び出し側で保持し、
+ * privacy.restoreInDrafts が有効な場合のみ下書き保存時に restore() で元に戻す。
+ * ブログへの投稿時は strip() で残ったプレースホルダーを取り除く。
+ */
+const PII_TYPES = {
+    address: 'ADDRESS',
+    email: 'EMAIL',
+    phone: 'PHONE',
+    postalCode: 'POSTAL',
+    name: 'NAME'
+};
+
+// [PHONE_1a2b3c] のようなプレースホルダー
+const PLACEHOLDER_PATTERN = new RegExp(`\\[(?:${Object.values(PII_TYPES).join('|')})_[0-9a-f]{6}\\]`, 'g');
+
+const DIGIT = '[0-9０-９]';
+const SEPARATOR = '[-‐－ー−\\s.]';
+const PREFECTURE = '(?:北海道|東京都|京都府|大阪府|[一-龥]{2,3}県)';
+
+// 検出順（住所に含まれる郵便番号・番地を先に住所として扱う）
+const PATTERNS = [
+    {
+        type: 'address',
+        // 都道府県（または市区町村）から番地までを含む住所
+        regex: new RegExp(`(?:〒\\s?${DIGIT}{3}[-－]?${DIGIT}{4}\\s*)?(?:${PREFECTURE}[一-龥ぁ-んァ-ヶ]{1,10}?[市区町村郡]|[一-龥]{1,6}[市区][一-龥ぁ-んァ-ヶ]{1,10}?)[一-龥ぁ-んァ-ヶ]*?${DIGIT}+(?:(?:丁目|番地?|号|の|[-－ー−])${DIGIT}*)+`, 'g')
+    },
+    {
+        type: 'address',
+        // 123 Main Street, Apt 4
+        regex: /\b\d{1,5}\s+(?:[A-Z][a-z]+\s+){1,3}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Way|Court|Ct)\b\.?(?:,?\s*(?:Apt|Suite|Unit|#)\.?\s*\w+)?/g
+    },
+    {
+        type: 'email',
+        regex: /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g
+    },
+    {
+        type: 'phone',
+        // 国際形式（+81 90-1234-5678、+1 (555) 123-4567）
+        regex: new RegExp(`[+＋]${DIGIT}{1,3}(?:${SEPARATOR}?[(（]?${DIGIT}{1,4}[)）]?){2,5}`, 'g'),
+        digits: [8, 15]
+    },
+    {
+        type: 'phone',
+        // 国内形式（03-1234-5678、090 1234 5678、0120-123-456）
+        regex: new RegExp(`(?<![0-9０-９])[0０]${DIGIT}{1,4}${SEPARATOR}?[(（]?${DIGIT}{1,4}[)）]?${SEPARATOR}?${DIGIT}{3,4}(?![0-9０-９])`, 'g'),
+        digits: [10, 11]
+    },
+    {
+        type: 'phone',
+        // 北米形式（(555) 123-4567）
+        regex: /(?<!\d)\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\d)/g,
+        digits: [10, 10]
+    },
+    {
+        type: 'postalCode',
+        regex: new RegExp(`〒\\s?${DIGIT}{3}[-－]?${DIGIT}{4}|(?<![0-9０-９-])${DIGIT}{3}[-－]${DIGIT}{4}(?![0-9０-９-])`, 'g')
+    }
+];
+
+class PiiRedactor {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const privacyConfig = config.privacy || {};
+        this.enabled = options.enabled !== undefined ? options.enabled : privacyConfig.enabled !== false;
+        this.mode = options.mode || privacyConfig.mode || 'placeholder';
+        this.restoreInDrafts = options.restoreInDrafts !== undefined
+            ? options.restoreInDrafts
+            : Boolean(privacyConfig.restoreInDrafts);
+        this.types = options.types || privacyConfig.types || Object.keys(PII_TYPES);
+        this.names = (options.names || privacyConfig.names || []).filter(Boolean);
+
+        if (!['placeholder', 'mask'].includes(this.mode)) {
+            throw new Error(`未対応の秘匿化方式です: ${this.mode}（placeholder | mask）`);
+        }
+    }
+
+    /**
+     * 投稿データを秘匿化する
+     * 戻り値: { postData, report, mapping }
+     *   report  { mode, counts: { phone: 1, ... }, items: [{ type, placeholder }] }（元の値は含まない）
+     *   mapping { <placeholder>: <元の値> }（placeholder 方式のみ）
+     */
+    redact(postData) {
+        const state = { items: new Map(), mapping: {} };
+
+        if (!this.enabled) {
+            return { postData, report: this.buildReport(state), mapping: {} };
+        }
+
+        const redacted = {
+            ...postData,
+            author: postData.author ? this.redactText(postData.author, state, this.types.filter(type => type === 'name')) : postData.author,
+            group: postData.group ? this.redactText(postData.group, state, this.types.filter(type => type === 'name')) : postData.group,
+            content: this.redactText(postData.content, state),
+            images: (postData.images || []).map(image => ({
+                ...image,
+                alt: image.alt ? this.redactText(image.alt, state) : image.alt
+            })),
+            links: (postData.links || []).map(link => ({
+                ...link,
+                url: this.redactText(link.url, state, ['email', 'phone']),
+                text: link.text ? this.redactText(link.text, state) : link.text
+            }))
+        };
+
+        const report = this.buildReport(state);
+        if (report.items.length > 0) {
+            this.logger.info(`個人情報を秘匿化しました: ${Object.entries(report.counts).map(([type, count]) => `${type} ${count}件`).join(', ')}`);
+        }
+
+        return { postData: redacted, report, mapping: state.mapping };
+    }
+
+    redactText(text, state, types = this.types) {
+        let result = String(text || '');
+
+        for (const pattern of PATTERNS) {
+            if (!types.includes(pattern.type)) continue;
+
+            result = result.replace(pattern.regex, match => {
+                if (pattern.digits) {
+                    const digits = match.replace(/[^0-9０-９]/g, '').length;
+                    if (digits < pattern.digits[0] || digits > pattern.digits[1]) return match;
+                }
+                return this.replace(pattern.type, match, state);
+            });
+        }
+
+        if (types.includes('name')) {
+            for (const name of this.names) {
+                result = result.replace(new RegExp(escapeRegExp(name), 'gi'), match => this.replace('name', match, state));
+            }
+        }
+
+        return result;
+    }
+
+    replace(type, value, state) {
+        if (this.mode === 'mask') {
+            state.items.set(`${type}:${value}`, { type, placeholder: null });
+            return Array.from(value).map(char => (/[\s\-‐－@.]/.test(char) ? char : '*')).join('');
+        }
+
+        // 同じ値には常に同じプレースホルダー（複数の投稿をまとめても衝突しない）
+        const hash = crypto.createHash('sha1').update(`${type}:${value}`).digest('hex').substring(0, 6);
+        const placeholder = `[${PII_TYPES[type]}_${hash}]`;
+        state.items.set(`${type}:${value}`, { type, placeholder });
+        state.mapping[placeholder] = value;
+        return placeholder;
+    }
+
+    buildReport(state) {
+        const items = [...state.items.values()];
+        const counts = {};
+        items.forEach(item => { counts[item.type] = (counts[item.type] || 0) + 1; });
+
+        return { mode: this.mode, counts, items };
+    }
+
+    // プレースホルダーを元の値に戻す（記事のタイトル・本文・タグ・要約・元の投稿者）
+    restore(blogPost, mapping = {}) {
+        const placeholders = Object.keys(mapping);
+        if (placeholders.length === 0) {
+            return blogPost;
+        }
+
+        const restoreText = text => restorePlaceholders(text, mapping);
+        const restored = {
+            ...blogPost,
+            title: restoreText(blogPost.title),
+            content: restoreText(blogPost.content),
+            summary: restoreText(blogPost.summary),
+            metaDescription: restoreText(blogPost.metaDescription),
+            tags: (blogPost.tags || []).map(restoreText)
+        };
+        if (blogPost.metadata) {
+            restored.metadata = { ...blogPost.metadata, sourceAuthor: restoreText(blogPost.metadata.sourceAuthor) };
+        }
+        return restored;
+    }
+
+    // 残ったプレースホルダーを取り除く（本文などは「○○」に置き換え、プレースホルダーだけのタグは外す）
+    strip(blogPost) {
+        const stripText = text => (typeof text === 'string' ? text.replace(PLACEHOLDER_PATTERN, '○○') : text);
+        const stripped = {
+            ...blogPost,
+            title: stripText(blogPost.title),
+            content: stripText(blogPost.content),
+            summary: stripText(blogPost.summary),
+            metaDescription: stripText(blogPost.metaDescription),
+            tags: (blogPost.tags || [])
+                .map(tag => String(tag).replace(PLACEHOLDER_PATTERN, '').trim())
+                .filter(Boolean)
+        };
+        if (blogPost.metadata) {
+            stripped.metadata = { ...blogPost.metadata, sourceAuthor: stripText(blogPost.metadata.sourceAuthor) };
+        }
+        return stripped;
+    }
+
+    // 投稿データの投稿者名・グループ名を元に戻す（下書きのフロントマター用）
+    restorePostData(postData, mapping = {}) {
+        return {
+            ...postData,
+            author: restorePlaceholders(postData.author, mapping),
+            group: restorePlaceholders(postData.group, mapping)
+        };
+    }
+
+    // 複数の投稿（ダイジェスト）の秘匿化結果をまとめる
+    static merge(results) {
+        const items = new Map();
+        const mapping = {};
+        let mode = null;
+
+        for (const result of results.filter(Boolean)) {
+            mode = mode || result.report.mode;
+            result.report.items.forEach(item => items.set(`${item.type}:${item.placeholder || items.size}`, item));
+            Object.assign(mapping, result.mapping);
+        }
+
+        const counts = {};
+        [...items.values()].forEach(item => { counts[item.type] = (counts[item.type] || 0) + 1; });
+        return { report: { mode, counts, items: [...items.values()] }, mapping };
+    }
+}
+
+function restorePlaceholders(text, mapping) {
+    return typeof text === 'string'
+        ? text.replace(/\[[A-Z]+_[0-9a-f]{6}\]/g, placeholder => (placeholder in mapping ? mapping[placeholder] : placeholder))
+        : text;
+}
+
+function escapeRegExp(text) {
+    return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+module.exports = { PiiRedactor, PII_TYPES };
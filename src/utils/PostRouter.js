@@ -0,0 +1,107 @@
+const fs = require('fs-extra');
+const { PromptTemplates } = require('./PromptTemplates');
+const { LANGUAGE_MODES } = require('./Language');
+const { CONDITIONS, compileConditions, factsOf, checkConditions } = require('./FilterEngine');
+const config = require('../../config/config.json');
+
+/**
+ * 投稿者・グループ・投稿タイプ・キーワードに応じて記事の投稿先と体裁を決める（routing.rules）
+ *
+ * ルールは上から順に評価し、条件をすべて満たした最初のルールの設定を使う。
+ * 条件は filters.rules と同じ（author / group / postType / keywords / subject / minLength / minImportance）。
+ * 設定（省略した項目は config.blog の値）:
+ *   blog         投稿先（blog.platform または blog.blogs に定義した名前）
+ *   category     カテゴリ（モデルが選んだカテゴリより優先）
+ *   template     プロンプトテンプレート（ai.templates による選択より優先）
+ *   titlePrefix  タイトルのプレフィックス
+ *   autoPost     true で自動投稿、false で下書きとして保存のみ
+ *   tags         追加するタグ
+ *   language     記事の言語（source / ja / en / bilingual。省略時は投稿先の blog.blogs.<名前>.language）
+ *
+ * 戻り値: { rule, blog, category, template, titlePrefix, autoPost, tags, language }
+ */
+const SETTINGS = ['blog', 'category', 'template', 'titlePrefix', 'autoPost', 'tags', 'language'];
+
+class PostRouter {
+    constructor(options = {}) {
+        const routingConfig = config.routing || {};
+        this.importance = options.importance || null;
+        this.defaultBlog = config.blog.platform;
+        this.blogConfigs = options.blogs || config.blog.blogs || {};
+        this.blogs = [this.defaultBlog, ...Object.keys(this.blogConfigs)];
+        for (const [blog, blogConfig] of Object.entries(this.blogConfigs)) {
+            if (blogConfig.language !== undefined && !LANGUAGE_MODES.includes(blogConfig.language)) {
+                throw new Error(`未対応の記事の言語です: blog.blogs.${blog}: ${blogConfig.language}（${LANGUAGE_MODES.join(' | ')}）`);
+            }
+        }
+        this.defaults = {
+            rule: null,
+            blog: this.defaultBlog,
+            category: null,
+            template: null,
+            titlePrefix: config.blog.titlePrefix || '',
+            autoPost: Boolean(config.blog.autoPost),
+            tags: [],
+            language: null
+        };
+
+        const templates = options.templates || new PromptTemplates();
+        this.rules = (options.rules || routingConfig.rules || []).map((rule, index) => {
+            const name = rule.name || `routing.rules[${index}]`;
+            validateRule({ ...rule, name }, this.blogs, templates);
+            return compileConditions({ ...rule, name });
+        });
+
+        if (!this.importance && this.rules.some(rule => rule.minImportance !== undefined)) {
+            throw new Error('minImportance を使うルールには重要度の計算（importance）が必要です');
+        }
+    }
+
+    // いずれかの投稿が自動投稿になりうるか（投稿キューの処理を起動するかどうか）
+    get autoPostEnabled() {
+        return this.defaults.autoPost || this.rules.some(rule => rule.autoPost === true);
+    }
+
+    resolve(postData) {
+        const facts = factsOf(postData, this.importance);
+        const rule = this.rules.find(rule => checkConditions(rule, facts).every(detail => detail.ok));
+        const route = { ...this.defaults, rule: rule ? rule.name : null };
+        for (const setting of rule ? SETTINGS : []) {
+            if (rule[setting] !== undefined && rule[setting] !== null) {
+                route[setting] = setting === 'tags' ? [].concat(rule.tags).map(String) : rule[setting];
+            }
+        }
+        if (route.language === null) {
+            route.language = this.languageOf(route.blog);
+        }
+        return route;
+    }
+
+    // 投稿先ごとの記事の言語（blog.blogs.<名前>.language、未指定なら null で blog.language に従う）
+    languageOf(blog) {
+        return (this.blogConfigs[blog] || {}).language || null;
+    }
+}
+
+function validateRule(rule, blogs, templates) {
+    if (!CONDITIONS.some(condition => rule[condition] !== undefined)) {
+        throw new Error(`ルーティングのルールに条件がありません: ${rule.name}`);
+    }
+    if (!SETTINGS.some(setting => rule[setting] !== undefined)) {
+        throw new Error(`ルーティングのルールに設定がありません: ${rule.name}`);
+    }
+    if (rule.blog !== undefined && !blogs.includes(rule.blog)) {
+        throw new Error(`投稿先のブログが定義されていません: ${rule.name}: ${rule.blog}（${blogs.join(' | ')}）`);
+    }
+    if (rule.template !== undefined && !fs.existsSync(templates.pathOf(rule.template))) {
+        throw new Error(`プロンプトテンプレートが見つかりません: ${rule.name}: ${templates.pathOf(rule.template)}`);
+    }
+    if (rule.autoPost !== undefined && typeof rule.autoPost !== 'boolean') {
+        throw new Error(`autoPost は true / false で指定してください: ${rule.name}`);
+    }
+    if (rule.language !== undefined && !LANGUAGE_MODES.includes(rule.language)) {
+        throw new Error(`未対応の記事の言語です: ${rule.name}: ${rule.language}（${LANGUAGE_MODES.join(' | ')}）`);
+    }
+}
+
+module.exports = { PostRouter };
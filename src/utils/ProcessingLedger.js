@@ -0,0 +1,165 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { Logger } = require('./Logger');
+const config = require('../../config/config.json');
+
+/**
+ * メール単位の処理状況を記録する追記専用の台帳（JSON Lines形式）
+ *
+ * 各行は { messageId, stage, at, ...details } の1イベント。
+ * 書き込みごとに fsync するため、プロセスが途中で落ちても
+ * 完了済みのステージを再実行せずに続きから処理できる。
+ * load() は前回読み込んだ位置以降に追記された行を読み込むため、常駐プロセスでも
+ * CLI（drafts publish・queue flush・digest）など別プロセスの記録を反映できる。
+ * ダイジェスト記事はダイジェストIDを messageId として同じステージで記録する。
+ */
+const STAGES = [
+    'fetched',        // メール取得
+    'parsed',         // 投稿データ解析完了 { postData }
+    'skipped',        // 処理対象外 { reason }
+    'redacted',       // 個人情報の秘匿化 { report }
+    'buffered',       // ダイジェスト用に保留 { digestKey }
+    'consumed',       // ダイジェスト記事に収録済み { digestId }
+    'generated',      // 記事生成完了 { blogPost }
+    'media',          // 画像の埋め込み完了 { blogPost, images }
+    'links',          // リンクカードの追加完了 { blogPost, links }
+    'drafted',        // 下書き保存完了 { filepath }
+    'queued',         // 投稿キューに追加 { plannedAt }
+    'publishing',     // 投稿開始（完了・失敗が記録されるまで再投稿しない）
+    'publish_failed', // 投稿失敗 { error }
+    'published',      // 投稿完了 { entryId, url }
+    'completed'       // メールの処理済みマーク完了
+];
+
+class ProcessingLedger {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        this.path = options.path || (config.ledger && config.ledger.path) || './data/processing-ledger.jsonl';
+        this.records = new Map();
+        this.loaded = false;
+        // 読み込み済みのバイト数（最後の改行まで）
+        this.offset = 0;
+        this.writeQueue = Promise.resolve();
+    }
+
+    // 台帳を読み込む（読み込み済みなら、前回以降に追記された行だけを反映する）
+    async load() {
+        const size = await fs.pathExists(this.path) ? (await fs.stat(this.path)).size : 0;
+
+        // 初回、またはファイルが置き換えられた（短くなった）場合は全体を読み直す
+        if (!this.loaded || size < this.offset) {
+            this.records.clear();
+            this.offset = 0;
+        }
+        if (size > this.offset) {
+            await this.readFrom(this.offset, size);
+        }
+
+        if (!this.loaded) {
+            this.loaded = true;
+            this.logger.debug(`処理台帳読み込み完了: ${this.records.size}件`);
+        }
+    }
+
+    async readFrom(start, end) {
+        const handle = await fs.promises.open(this.path, 'r');
+        let buffer;
+        try {
+            buffer = Buffer.alloc(end - start);
+            await handle.read(buffer, 0, buffer.length, start);
+        } finally {
+            await handle.close();
+        }
+
+        // 書き込み途中の最終行（改行なし）は次回の読み込みに回す
+        const complete = buffer.lastIndexOf(0x0a) + 1;
+        const lines = buffer.subarray(0, complete).toString('utf8').split('\n');
+
+        lines.forEach(line => {
+            if (!line.trim()) return;
+
+            try {
+                this.apply(JSON.parse(line));
+            } catch (error) {
+                // 書き込み途中でクラッシュした行などは読み飛ばす
+                this.logger.warn(`台帳の不正な行をスキップ: ${this.path}（${line.substring(0, 50)}）`);
+            }
+        });
+
+        this.offset = start + complete;
+    }
+
+    apply(event) {
+        const record = this.records.get(event.messageId) || {
+            messageId: event.messageId,
+            stages: {}
+        };
+
+        const { messageId, stage, ...details } = event;
+        record.stages[stage] = details;
+
+        // 投稿失敗が記録されたら投稿中フラグを解除して再試行を許可
+        if (stage === 'publish_failed') {
+            delete record.stages.publishing;
+        }
+        if (stage === 'publishing') {
+            delete record.stages.publish_failed;
+        }
+
+        this.records.set(messageId, record);
+    }
+
+    async record(messageId, stage, details = {}) {
+        if (!STAGES.includes(stage)) {
+            throw new Error(`不明な処理ステージです: ${stage}`);
+        }
+
+        await this.load();
+
+        const event = {
+            messageId: messageId,
+            stage: stage,
+            at: new Date().toISOString(),
+            ...details
+        };
+
+        // 書き込みを直列化して行が混ざらないようにする
+        this.writeQueue = this.writeQueue.catch(() => {}).then(() => this.append(event));
+        await this.writeQueue;
+
+        this.apply(event);
+        this.logger.debug(`処理台帳記録: ${messageId} ${stage}`);
+    }
+
+    async append(event) {
+        await fs.ensureDir(path.dirname(this.path));
+
+        const handle = await fs.promises.open(this.path, 'a+');
+        try {
+            // 書き込み途中で止まった最終行（改行なし）に続けて書かないよう改行を補う
+            const { size } = await handle.stat();
+            const last = Buffer.alloc(1);
+            const torn = size > 0 && (await handle.read(last, 0, 1, size - 1)).bytesRead === 1 && last[0] !== 0x0a;
+            await handle.appendFile((torn ? '\n' : '') + JSON.stringify(event) + '\n', 'utf8');
+            await handle.datasync();
+        } finally {
+            await handle.close();
+        }
+    }
+
+    has(messageId, stage) {
+        const record = this.records.get(messageId);
+        return Boolean(record && record.stages[stage]);
+    }
+
+    get(messageId, stage) {
+        const record = this.records.get(messageId);
+        return record ? record.stages[stage] || null : null;
+    }
+
+    getRecord(messageId) {
+        return this.records.get(messageId) || null;
+    }
+}
+
+module.exports = { ProcessingLedger, STAGES };
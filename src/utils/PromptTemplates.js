@@ -0,0 +1,145 @@
+const fs = require('fs-extra');
+const path = require('path');
+const moment = require('moment');
+const Handlebars = require('handlebars');
+const { Logger } = require('./Logger');
+const { describeArticleSchema } = require('./ArticleSchema');
+const { detectLanguage, outputLanguages, stringsOf } = require('./Language');
+const config = require('../../config/config.json');
+
+/**
+ * 記事生成プロンプトのテンプレート（Handlebars）
+ *
+ * templates/<name>.hbs      投稿タイプ別のテンプレート（見つからない場合は default.hbs）
+ * templates/partials/*.hbs  共通部分（{{> post-info}} などで読み込む）
+ *
+ * 記事の言語は language（ja / en）と languageName（日本語 / English）で参照できる。
+ *
+ * テンプレートの選択順: 投稿者別の指定（ai.templates.authors）→ 投稿タイプの対応付け
+ * （ai.templates.postTypes）→ <postType>.hbs → default.hbs
+ */
+class PromptTemplates {
+    constructor(options = {}) {
+        this.logger = new Logger();
+        const templateConfig = config.ai.templates || {};
+        this.dir = options.dir || templateConfig.dir || './templates';
+        this.authors = options.authors || templateConfig.authors || {};
+        this.postTypes = options.postTypes || templateConfig.postTypes || {};
+        this.handlebars = Handlebars.create();
+        this.compiled = new Map();
+        this.partialsLoaded = false;
+        registerHelpers(this.handlebars);
+    }
+
+    // 投稿に使うテンプレート名を返す
+    resolve(postData) {
+        const candidates = [
+            this.authors[postData.author],
+            this.postTypes[postData.postType],
+            postData.postType,
+            'default'
+        ].filter(Boolean);
+
+        const name = candidates.find(candidate => fs.existsSync(this.pathOf(candidate)));
+        if (!name) {
+            throw new Error(`プロンプトテンプレートが見つかりません: ${this.pathOf('default')}`);
+        }
+
+        return name;
+    }
+
+    // テンプレート名（templates/ 内）またはファイルパスを受け取り、プロンプトを生成
+    // extra.language で記事の言語を指定（省略時は投稿の言語と blog.language から決める）
+    render(name, postData, extra = {}) {
+        const template = this.compile(name);
+        const language = extra.language || outputLanguages(config.blog.language, detectLanguage(postData.content))[0];
+
+        return template({
+            ...postData,
+            post: postData,
+            images: postData.images || [],
+            links: postData.links || [],
+            categories: config.blog.categories || [],
+            schema: describeArticleSchema(config.blog.categories || []),
+            ...extra,
+            language: language,
+            languageName: stringsOf(language).name
+        }).trim() + '\n';
+    }
+
+    list() {
+        if (!fs.existsSync(this.dir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.dir)
+            .filter(file => path.extname(file) === '.hbs')
+            .map(file => path.basename(file, '.hbs'))
+            .sort();
+    }
+
+    pathOf(name) {
+        return name.endsWith('.hbs') ? name : path.join(this.dir, `${name}.hbs`);
+    }
+
+    compile(name) {
+        const filepath = this.pathOf(name);
+
+        if (!this.compiled.has(filepath)) {
+            this.loadPartials();
+
+            if (!fs.existsSync(filepath)) {
+                throw new Error(`プロンプトテンプレートが見つかりません: ${filepath}`);
+            }
+
+            // プロンプトはHTMLではないためエスケープしない
+            this.compiled.set(filepath, this.handlebars.compile(fs.readFileSync(filepath, 'utf8'), {
+                noEscape: true
+            }));
+            this.logger.debug(`プロンプトテンプレート読み込み: ${filepath}`);
+        }
+
+        return this.compiled.get(filepath);
+    }
+
+    loadPartials() {
+        if (this.partialsLoaded) return;
+
+        const partialsDir = path.join(this.dir, 'partials');
+        if (fs.existsSync(partialsDir)) {
+            for (const file of fs.readdirSync(partialsDir)) {
+                if (path.extname(file) !== '.hbs') continue;
+                this.handlebars.registerPartial(
+                    path.basename(file, '.hbs'),
+                    fs.readFileSync(path.join(partialsDir, file), 'utf8')
+                );
+            }
+        }
+
+        this.partialsLoaded = true;
+    }
+}
+
+function registerHelpers(handlebars) {
+    // {{formatDate date "YYYY/MM/DD"}}
+    handlebars.registerHelper('formatDate', (value, format) =>
+        moment(value).format(typeof format === 'string' ? format : 'YYYY/MM/DD HH:mm'));
+
+    // {{truncate content 100}}
+    handlebars.registerHelper('truncate', (value, length) => {
+        const chars = Array.from(String(value || ''));
+        return chars.length > length ? chars.slice(0, length).join('') + '…' : chars.join('');
+    });
+
+    // {{#if (eq postType "photo")}}
+    handlebars.registerHelper('eq', (a, b) => a === b);
+
+    // {{add @index 1}}
+    handlebars.registerHelper('add', (a, b) => Number(a) + Number(b));
+
+    // {{join tags ", "}}
+    handlebars.registerHelper('join', (values, separator) =>
+        (Array.isArray(values) ? values : []).join(typeof separator === 'string' ? separator : ', '));
+}
+
+module.exports = { PromptTemplates };
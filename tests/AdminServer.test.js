@@ -0,0 +1,47 @@
+const axios = require('axios');
+const { AdminServer } = require('../src/admin/AdminServer');
+
+describe('AdminServer /metrics', () => {
+    let server;
+
+    const start = async (options = {}) => {
+        server = new AdminServer({ enabled: true, host: '127.0.0.1', port: 0, token: 'admin-token', metricsToken: '', automation: {}, ...options });
+        await server.start();
+    };
+
+    const get = (pathname, token) => axios.get(`${server.url}${pathname}`, {
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        validateStatus: () => true
+    });
+
+    afterEach(async () => {
+        await server.stop();
+    });
+
+    test('is served without authentication like /healthz', async () => {
+        await start();
+
+        const response = await get('/metrics');
+        expect(response.status).toBe(200);
+        expect(response.headers['content-type']).toMatch(/^text\/plain/);
+        expect((await get('/api/status')).status).toBe(401);
+    });
+
+    test('is served without authentication even when ADMIN_TOKEN is not set', async () => {
+        await start({ token: '' });
+
+        expect((await get('/metrics')).status).toBe(200);
+    });
+
+    test('requires METRICS_TOKEN or ADMIN_TOKEN when METRICS_TOKEN is set', async () => {
+        await start({ metricsToken: 'metrics-token' });
+
+        expect((await get('/metrics')).status).toBe(401);
+        expect((await get('/metrics', 'wrong-token')).status).toBe(401);
+        expect((await get('/metrics', 'metrics-token')).status).toBe(200);
+        expect((await get('/metrics', 'admin-token')).status).toBe(200);
+
+        // 読み取り専用のトークンでは管理APIを使えない
+        expect((await get('/api/status', 'metrics-token')).status).toBe(401);
+    });
+});
@@ -0,0 +1,62 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DigestService } = require('../src/services/DigestService');
+const { BlogGenerator } = require('../src/services/BlogGenerator');
+const { systemPromptOf } = require('../src/utils/Language');
+
+const { postOf } = require('./fixtures/posts');
+
+// Jane Doe さんの英語の投稿（i 日目）
+const bakingPostOf = (i, fields = {}) => postOf({
+    author: 'Jane Doe',
+    content: `Baked sourdough bread again this weekend, attempt number ${i}.`,
+    date: `2024-10-2${i}T10:00:00.000Z`,
+    originalEmail: { subject: 'Jane Doe updated their status.', from: '', date: '' },
+    ...fields
+});
+
+describe('DigestService', () => {
+    let bufferDir;
+
+    const digestOf = async (posts, options = {}) => {
+        const service = new DigestService({ enabled: true, bufferPath: path.join(bufferDir, 'digest-buffer.json'), ...options });
+        for (const [i, post] of posts.entries()) {
+            await service.add(`msg${i}`, post);
+        }
+        const [key] = await service.dueKeys({ force: true });
+        return { service, digest: await service.prepare(key, { force: true }) };
+    };
+
+    beforeEach(async () => {
+        bufferDir = await fs.mkdtemp(path.join(os.tmpdir(), 'digest-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(bufferDir);
+    });
+
+    test('labels follow the article language', async () => {
+        const { service, digest } = await digestOf([bakingPostOf(1), bakingPostOf(2)]);
+        expect(digest.label).toBe('Jane Doeさん');
+        expect(service.localize(digest, 'en').label).toBe('Jane Doe');
+
+        const grouped = new DigestService({ groupBy: 'group', bufferPath: path.join(bufferDir, 'group.json') });
+        expect(grouped.labelOf(grouped.keyOf(bakingPostOf(1)).key, 'ja')).toBe('グループ外の投稿');
+        expect(grouped.labelOf(grouped.keyOf(bakingPostOf(1)).key, 'en')).toBe('Posts outside groups');
+        expect(grouped.labelOf(grouped.keyOf(bakingPostOf(1, { group: 'Bakers' })).key, 'en')).toBe('Bakers');
+    });
+
+    test.each([2, 3, 5])('the stub model writes one section per post (%i posts)', async count => {
+        const posts = Array.from({ length: count }, (_, i) => bakingPostOf(i + 1));
+        const { service, digest } = await digestOf(posts, { maxPosts: 10 });
+        const localized = service.localize(digest, 'en');
+        const generator = new BlogGenerator({ provider: 'stub' });
+
+        const blogPost = await generator.generateDigest(localized, service.toPostData(localized), { language: 'en' });
+
+        expect(blogPost.metadata.fallback).toBeFalsy();
+        expect(generator.lastError).toBeNull();
+        expect(generator.llm.calls[0].system).toBe(systemPromptOf('en'));
+    });
+});
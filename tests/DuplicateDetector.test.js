@@ -0,0 +1,82 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { DuplicateDetector } = require('../src/utils/DuplicateDetector');
+const { postOf } = require('./fixtures/posts');
+
+describe('DuplicateDetector', () => {
+    let storeDir;
+
+    const createDetector = (options = {}) => new DuplicateDetector({ path: path.join(storeDir, 'fingerprints.json'), ...options });
+
+    beforeEach(async () => {
+        storeDir = await fs.mkdtemp(path.join(os.tmpdir(), 'fingerprints-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(storeDir);
+    });
+
+    const longPost = '週末に家族で京都の喫茶店を巡りました。老舗のナポリタンが絶品で、帰りに寄った和菓子屋さんのわらび餅も最高でした。';
+
+    test('finds the same post delivered by another notification', async () => {
+        const detector = createDetector();
+        await detector.add('msg1', postOf({ content: longPost }));
+
+        // 表記ゆれ（全角・半角、空白、URL）は無視する
+        await expect(detector.findMatch(postOf({ content: `${longPost.replace('京都', ' 京都 ')} https://example.com/?ref=1` })))
+            .resolves.toEqual({ id: 'msg1', similarity: 1, exact: true });
+
+        // 一部を書き換えた投稿は類似度で判定する
+        const edited = await detector.findMatch(postOf({ content: longPost.replace('ナポリタン', 'ナポリタンとプリン') }));
+        expect(edited).toMatchObject({ id: 'msg1', exact: false });
+        expect(edited.similarity).toBeGreaterThanOrEqual(0.8);
+
+        await expect(detector.findMatch(postOf({ content: '今日は会社の同僚とAWSの勉強会に参加しました。Lambdaの使い方がよくわかりました。' })))
+            .resolves.toBeNull();
+    });
+
+    test('keeps fingerprints across restarts and skips the post itself on a rerun', async () => {
+        await createDetector().add('msg1', postOf({ content: longPost }));
+
+        const detector = createDetector();
+        await expect(detector.findMatch(postOf({ content: longPost }))).resolves.toMatchObject({ id: 'msg1' });
+        await expect(detector.findMatch(postOf({ content: longPost }), { excludeId: 'msg1' })).resolves.toBeNull();
+
+        await detector.recordDuplicate('msg1', 'msg2', 1);
+        await detector.recordDuplicate('msg1', 'msg2', 1);
+        const store = await fs.readJson(path.join(storeDir, 'fingerprints.json'));
+        expect(store.entries.msg1.duplicates).toEqual([{ id: 'msg2', similarity: 1, at: expect.any(String) }]);
+    });
+
+    test('ignores fingerprints older than maxAgeDays', async () => {
+        await createDetector().add('msg1', postOf({ content: longPost }));
+        const storePath = path.join(storeDir, 'fingerprints.json');
+        const store = await fs.readJson(storePath);
+        store.entries.msg1.addedAt = new Date(Date.now() - 91 * 24 * 60 * 60 * 1000).toISOString();
+        await fs.writeJson(storePath, store);
+
+        await expect(createDetector().findMatch(postOf({ content: longPost }))).resolves.toBeNull();
+    });
+
+    test('the same short post from different people is not a duplicate', async () => {
+        const detector = createDetector();
+        await detector.add('msg1', postOf({ content: 'おめでとう！' }));
+
+        await expect(detector.findMatch(postOf({ author: '佐藤 花子', content: 'おめでとう!!' }))).resolves.toBeNull();
+        await expect(detector.findMatch(postOf({ content: 'おめでとう!!' }))).resolves.toEqual({ id: 'msg1', similarity: 1, exact: true });
+    });
+
+    test('posts shorter than minLength are not compared by similarity', async () => {
+        const original = postOf({ content: 'お誕生日おめでとうございます！' });
+        const similar = postOf({ author: '佐藤 花子', content: '誕生日おめでとうございます' });
+
+        const detector = createDetector();
+        await detector.add('msg1', original);
+        await expect(detector.findMatch(similar)).resolves.toBeNull();
+
+        const withoutMinimum = createDetector({ path: path.join(storeDir, 'no-minimum.json'), minLength: 0 });
+        await withoutMinimum.add('msg1', original);
+        await expect(withoutMinimum.findMatch(similar)).resolves.toMatchObject({ id: 'msg1', exact: false });
+    });
+});
@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { createAutomation } = require('./fixtures/automation');
+
+describe('FacebookBlogAutomation daemon', () => {
+    let dataDir;
+    let automation;
+
+    // 常駐プロセスとして起動する（管理APIは起動しない）
+    const start = async (options = {}) => {
+        automation = createAutomation(dataDir, {
+            mailSource: { authenticate: async () => {}, getFacebookNotifications: async () => [], markAsProcessed: async () => {} },
+            publisher: { authenticate: async () => {}, publishPost: jest.fn() },
+            ...options
+        });
+        automation.adminServer = { start: async () => {}, stop: async () => {} };
+        jest.spyOn(automation.logger, 'error').mockImplementation(() => {});
+        await automation.start();
+        return automation;
+    };
+
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'automation-'));
+    });
+
+    afterEach(async () => {
+        await automation.stop();
+        await fs.remove(dataDir);
+    });
+
+    test('a broken publish queue is logged instead of stopping the daemon', async () => {
+        await fs.writeFile(path.join(dataDir, 'publish-queue.json'), '{"items": {', 'utf8');
+
+        await start({ queue: true });
+
+        expect(automation.queueTimer).not.toBeNull();
+        expect(automation.logger.error).toHaveBeenCalledWith('投稿キュー処理エラー:', expect.any(Error));
+    });
+
+    test('a broken digest buffer is logged instead of stopping the daemon', async () => {
+        await fs.writeFile(path.join(dataDir, 'digest-buffer.json'), '{"posts": [', 'utf8');
+        await start({ digest: true });
+        const flush = jest.spyOn(automation, 'flushDigests');
+
+        // digest.schedule の時刻になったときと同じ処理を実行する
+        automation.digestTask.now();
+        await flush.mock.results[0].value.catch(() => {});
+        await new Promise(resolve => setImmediate(resolve));
+
+        expect(automation.logger.error).toHaveBeenCalledWith('ダイジェスト処理エラー:', expect.any(Error));
+    });
+});
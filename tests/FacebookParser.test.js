@@ -0,0 +1,48 @@
+const path = require('path');
+const fs = require('fs-extra');
+const cheerio = require('cheerio');
+const { listFixtures, expectedPathOf, parseEmailFile } = require('../src/dev/ParserFixtures');
+const { FacebookParser } = require('../src/services/FacebookParser');
+const { MediaService } = require('../src/services/MediaService');
+
+const fixtures = listFixtures();
+
+// パーサーを意図して変更した場合は node cli.js parse tests/fixtures/parser --update で期待値を更新する
+describe('FacebookParser golden fixtures', () => {
+    test('fixtures exist', () => {
+        expect(fixtures.length).toBeGreaterThan(0);
+    });
+
+    test.each(fixtures.map(filepath => [path.basename(filepath), filepath]))('%s', async (name, filepath) => {
+        const expectedPath = expectedPathOf(filepath);
+        if (!await fs.pathExists(expectedPath)) {
+            throw new Error(`${path.basename(expectedPath)} がありません。node cli.js parse ${filepath} --update で作成してください`);
+        }
+
+        const actual = await parseEmailFile(filepath);
+        expect(actual).toEqual(await fs.readJson(expectedPath));
+    });
+});
+
+describe('FacebookParser images', () => {
+    const media = new MediaService({ enabled: true, uploader: null });
+
+    test.each(fixtures.map(filepath => [path.basename(filepath), filepath]))('%s: tracking pixels never reach the media stage', async (name, filepath) => {
+        const postData = await parseEmailFile(filepath);
+        if (!postData) return;
+
+        const candidates = media.filterCandidates(postData.images);
+        expect(candidates.filter(image => /email_open_log_pic\.php/.test(image.url))).toEqual([]);
+    });
+
+    test('reads the displayed size from the style attribute', () => {
+        const $ = cheerio.load([
+            '<img src="https://tracker.example.com/open?id=1" style="border:0;width:1px;height:1px;">',
+            '<img src="https://scontent.xx.fbcdn.net/v/t39.30808-6/1_n.jpg" style="max-width:600px;">'
+        ].join(''));
+
+        const images = new FacebookParser().extractImages($);
+        expect(images.map(image => [image.width, image.height])).toEqual([['1', '1'], [null, null]]);
+        expect(media.filterCandidates(images).map(image => image.url)).toEqual(['https://scontent.xx.fbcdn.net/v/t39.30808-6/1_n.jpg']);
+    });
+});
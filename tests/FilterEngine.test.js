@@ -0,0 +1,73 @@
+const { FilterEngine } = require('../src/utils/FilterEngine');
+const { postOf } = require('./fixtures/posts');
+
+describe('FilterEngine', () => {
+    const createEngine = (rules, options = {}) => new FilterEngine({
+        enabled: true,
+        excludePatterns: [],
+        postPatterns: [],
+        targetUsers: [],
+        rules,
+        ...options
+    });
+
+    test('rules are evaluated in order and the first failing rule excludes the post', () => {
+        const engine = createEngine([
+            { name: '短い投稿を除外', action: 'include', minLength: 10 },
+            { name: '写真部は写真だけ', action: 'exclude', group: '京都写真部', postType: ['status', 'shared'] },
+            { name: '宣伝を除外', action: 'exclude', keywords: ['セール'] }
+        ]);
+
+        expect(engine.evaluate(postOf())).toMatchObject({ included: true, rule: null });
+        expect(engine.evaluate(postOf({ content: 'おはよう' }))).toMatchObject({ included: false, rule: '短い投稿を除外', reason: 'filter_rule' });
+        expect(engine.evaluate(postOf({ group: '京都写真部', postType: 'photo' }))).toMatchObject({ included: true });
+
+        // 複数のルールに当てはまる場合は先に評価したルールで除外し、残りは評価しない
+        const result = engine.evaluate(postOf({ group: '京都写真部', content: '週末セールのお知らせです。ぜひお越しください。' }));
+        expect(result).toMatchObject({ included: false, rule: '写真部は写真だけ' });
+        expect(result.results.map(step => step.rule)).toEqual(['短い投稿を除外', '写真部は写真だけ']);
+    });
+
+    test('the order of include and exclude rules decides which rule excludes a post', () => {
+        const include = { name: '山田さんだけ', action: 'include', author: '山田 太郎' };
+        const exclude = { name: '旅行は除外', action: 'exclude', keywords: ['京都'] };
+
+        const post = postOf({ author: '佐藤 花子', content: '週末に京都の喫茶店を巡りました。' });
+
+        expect(createEngine([exclude, include]).evaluate(post)).toMatchObject({ rule: '旅行は除外' });
+        expect(createEngine([include, exclude]).evaluate(post)).toMatchObject({ rule: '山田さんだけ' });
+    });
+
+    test('the built-in facebook rules run before filters.rules', () => {
+        const engine = createEngine([{ name: '何も通さない', action: 'include', author: '該当なし' }], {
+            excludePatterns: ['誕生日'],
+            postPatterns: ['投稿しました'],
+            targetUsers: ['山田 太郎']
+        });
+        const subjectOf = subject => ({ originalEmail: { subject, from: '', date: '' } });
+
+        expect(engine.evaluate(postOf(subjectOf('今日は佐藤 花子さんの誕生日です')))).toMatchObject({ rule: 'facebook.excludePatterns', reason: 'excluded_pattern' });
+        expect(engine.evaluate(postOf(subjectOf('新しいログイン')))).toMatchObject({ rule: 'facebook.postPatterns', reason: 'not_post' });
+        expect(engine.evaluate(postOf({ author: '佐藤 花子' }))).toMatchObject({ rule: 'facebook.targetUsers', reason: 'non_target_user' });
+        expect(engine.evaluate(postOf())).toMatchObject({ rule: '何も通さない', reason: 'filter_rule' });
+    });
+
+    test('minImportance compares the importance score and computes it only when needed', () => {
+        const importance = jest.fn(post => post.postType === 'photo' ? 7 : 3);
+        const engine = createEngine([
+            { name: '短い投稿を除外', action: 'include', minLength: 10 },
+            { name: '重要な投稿だけ', action: 'include', minImportance: 5 }
+        ], { importance });
+
+        expect(engine.evaluate(postOf({ postType: 'photo' }))).toMatchObject({ included: true });
+        expect(engine.evaluate(postOf())).toMatchObject({ included: false, rule: '重要な投稿だけ' });
+        expect(engine.evaluate(postOf({ postType: 'photo', content: 'おはよう' }))).toMatchObject({ rule: '短い投稿を除外' });
+        expect(importance).toHaveBeenCalledTimes(2);
+
+        expect(engine.describe(engine.evaluate(postOf()))).toBe('重要な投稿だけ（条件を満たさない - minImportance: 重要度 3（最小 5））');
+    });
+
+    test('minImportance requires an importance function', () => {
+        expect(() => createEngine([{ action: 'include', minImportance: 5 }])).toThrow('重要度の計算');
+    });
+});
@@ -0,0 +1,132 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { google } = require('googleapis');
+const { GmailService } = require('../src/services/GmailService');
+const { FakeGmailServer } = require('../src/dev/FakeGmailServer');
+
+const FACEBOOK = 'Facebook <notification@facebookmail.com>';
+
+describe('GmailService incremental sync (FakeGmailServer)', () => {
+    let server;
+    let service;
+    let stateDir;
+
+    const createService = () => {
+        const auth = new google.auth.OAuth2();
+        auth.setCredentials({ access_token: server.accessToken });
+
+        return new GmailService({
+            auth: auth,
+            rootUrl: server.url,
+            query: 'from:facebookmail.com OR from:notification+*@facebookmail.com',
+            syncStatePath: path.join(stateDir, 'gmail-sync.json')
+        });
+    };
+
+    const requestsTo = (suffix) => server.requests.filter(req => req.method === 'GET' && req.path.endsWith(suffix));
+
+    const fetchIds = async () => (await service.getFacebookNotifications()).map(email => email.id);
+
+    beforeEach(async () => {
+        stateDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gmail-sync-'));
+        server = new FakeGmailServer({ pageSize: 2 });
+        await server.start();
+        service = createService();
+        await service.authenticate();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        await fs.remove(stateDir);
+    });
+
+    test('first run searches the mailbox and saves the historyId', async () => {
+        const facebook = server.addMessage({ from: FACEBOOK, subject: '投稿', html: '<p>本文</p>' });
+        server.addMessage({ from: 'friend@example.com', subject: '別件' });
+
+        await expect(fetchIds()).resolves.toEqual([facebook]);
+        expect(requestsTo('/messages')).toHaveLength(1);
+        expect(requestsTo('/history')).toHaveLength(0);
+
+        const state = await fs.readJson(service.syncStatePath);
+        expect(state.historyId).toBe(String(server.historyId));
+        expect(state.pending).toEqual([facebook]);
+    });
+
+    test('later runs only fetch messages added since the saved historyId', async () => {
+        const first = server.addMessage({ from: FACEBOOK, subject: '1件目' });
+        await fetchIds();
+        await service.markAsProcessed(first);
+
+        const second = server.addMessage({ from: FACEBOOK, subject: '2件目' });
+        server.addMessage({ from: 'friend@example.com', subject: '別件' });
+        server.addMessage({ from: FACEBOOK, subject: '迷惑メール', labelIds: ['SPAM'] });
+        const third = server.addMessage({ from: FACEBOOK, subject: '3件目' });
+
+        await expect(fetchIds()).resolves.toEqual([second, third]);
+        // 全件検索は初回の1回だけ。履歴はページ送りで取得する
+        expect(requestsTo('/messages')).toHaveLength(1);
+        expect(requestsTo('/history').length).toBeGreaterThanOrEqual(2);
+
+        await expect(fetchIds()).resolves.toEqual([second, third]);
+        await service.markAsProcessed(second);
+        await service.markAsProcessed(third);
+        await expect(fetchIds()).resolves.toEqual([]);
+    });
+
+    test('falls back to a full search when the history has expired', async () => {
+        server.addMessage({ from: FACEBOOK, subject: '1件目' });
+        await fetchIds();
+
+        const second = server.addMessage({ from: FACEBOOK, subject: '2件目' });
+        server.expireHistory();
+
+        const ids = await fetchIds();
+        expect(ids).toContain(second);
+        expect(requestsTo('/messages')).toHaveLength(2);
+
+        const state = await fs.readJson(service.syncStatePath);
+        expect(state.historyId).toBe(String(server.historyId));
+    });
+
+    test('the full search follows nextPageToken and fetches at most maxResults messages per run', async () => {
+        const ids = [];
+        for (let i = 1; i <= 5; i++) {
+            ids.push(server.addMessage({ from: FACEBOOK, subject: `${i}件目` }));
+        }
+        server.addMessage({ from: 'friend@example.com', subject: '別件' });
+        service.maxResults = 2;
+
+        const first = await fetchIds();
+        expect(first).toHaveLength(2);
+        expect(requestsTo('/messages')).toHaveLength(3);
+
+        // 差分同期に切り替わった後も、残りのメールは次回以降に取得される
+        const fetched = [...first];
+        for (const id of first) {
+            await service.markAsProcessed(id);
+        }
+        for (let run = 0; run < 2; run++) {
+            const next = await fetchIds();
+            expect(next.length).toBeLessThanOrEqual(2);
+            for (const id of next) {
+                fetched.push(id);
+                await service.markAsProcessed(id);
+            }
+        }
+
+        expect(fetched.sort()).toEqual([...ids].sort());
+        expect(requestsTo('/messages')).toHaveLength(3);
+        await expect(fs.readJson(service.syncStatePath)).resolves.toMatchObject({ pending: [], deferred: [] });
+    });
+
+    test('processed messages are excluded from the full search', async () => {
+        const first = server.addMessage({ from: FACEBOOK, subject: '1件目' });
+        await fetchIds();
+        await service.markAsProcessed(first);
+
+        await fs.remove(service.syncStatePath);
+        await expect(fetchIds()).resolves.toEqual([]);
+    });
+});
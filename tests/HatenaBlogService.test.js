@@ -0,0 +1,149 @@
+const { HatenaBlogService } = require('../src/services/HatenaBlogService');
+const { FakeHatenaServer } = require('../src/dev/FakeHatenaServer');
+
+const credentials = {
+    username: 'test-user',
+    blogId: 'test-user.hatenablog.com',
+    apiKey: 'test-api-key',
+    consumerKey: 'test-consumer-key',
+    consumerSecret: 'test-consumer-secret',
+    accessToken: 'test-access-token',
+    accessTokenSecret: 'test-access-token-secret'
+};
+
+describe('HatenaBlogService (FakeHatenaServer)', () => {
+    let server;
+    let service;
+
+    beforeAll(async () => {
+        server = new FakeHatenaServer({ ...credentials, pageSize: 5 });
+        const baseUrl = await server.start();
+        service = new HatenaBlogService({ ...credentials, auth: 'wsse', baseUrl });
+    });
+
+    afterAll(async () => {
+        await server.stop();
+    });
+
+    beforeEach(() => {
+        server.entries.clear();
+    });
+
+    const blogPost = (title, extra = {}) => ({
+        title: title,
+        content: `# ${title}\n\n本文 <b>&</b>`,
+        category: 'Facebook投稿',
+        tags: ['Facebook', '技術'],
+        ...extra
+    });
+
+    test.each(['wsse', 'basic', 'oauth'])('authenticate succeeds with %s', async (auth) => {
+        const client = new HatenaBlogService({ ...credentials, auth, baseUrl: server.url });
+        await expect(client.authenticate()).resolves.toBe(auth);
+    });
+
+    test.each(['wsse', 'basic'])('authenticate fails with a wrong API key (%s)', async (auth) => {
+        const wrong = new HatenaBlogService({ ...credentials, auth, apiKey: 'wrong', baseUrl: server.url });
+        await expect(wrong.authenticate()).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    test('authenticate fails with a wrong OAuth token secret', async () => {
+        const wrong = new HatenaBlogService({ ...credentials, auth: 'oauth', accessTokenSecret: 'wrong', baseUrl: server.url });
+        await expect(wrong.authenticate()).rejects.toMatchObject({ response: { status: 401 } });
+    });
+
+    test('auto falls back to the next configured strategy', async () => {
+        const client = new HatenaBlogService({ ...credentials, auth: 'auto', accessTokenSecret: 'wrong', baseUrl: server.url });
+        await expect(client.authenticate()).resolves.toBe('wsse');
+    });
+
+    test('authenticate reports missing credentials for the chosen strategy', async () => {
+        const client = new HatenaBlogService({ username: 'test-user', blogId: credentials.blogId, auth: 'oauth', baseUrl: server.url });
+        client.credentials = { username: 'test-user' };
+        await expect(client.authenticate()).rejects.toThrow('認証情報が不足');
+    });
+
+    test('OAuth signs requests with query strings and bodies', async () => {
+        const client = new HatenaBlogService({ ...credentials, auth: 'oauth', baseUrl: server.url });
+        const { id } = await client.publishPost(blogPost('OAuth投稿'));
+
+        const response = await client.makeRequest('GET', `${server.atomRoot}/entry?page=${id}`);
+        expect(response.status).toBe(200);
+    });
+
+    test('publishPost creates a public entry and returns its model', async () => {
+        const result = await service.publishPost(blogPost('公開記事'));
+
+        expect(result.success).toBe(true);
+        expect(result.id).toMatch(/^\d+$/);
+        expect(result.url).toBe(`https://${credentials.blogId}/entry/${result.id}`);
+        expect(result.draft).toBe(false);
+
+        const entry = await service.getEntry(result.id);
+        expect(entry.title).toBe('公開記事');
+        expect(entry.content).toBe('# 公開記事\n\n本文 <b>&</b>');
+        expect(entry.categories).toEqual(['Facebook投稿', 'Facebook', '技術']);
+    });
+
+    test('saveDraft creates a draft entry', async () => {
+        const result = await service.saveDraft(blogPost('下書き記事'));
+        expect(result.draft).toBe(true);
+
+        const drafts = await service.getEntries({ drafts: true });
+        expect(drafts.map(entry => entry.id)).toEqual([result.id]);
+        await expect(service.getEntries()).resolves.toEqual([]);
+    });
+
+    test('getEntries follows rel="next" across pages', async () => {
+        for (let i = 0; i < 12; i++) {
+            await service.publishPost(blogPost(`記事${i}`));
+        }
+
+        const entries = await service.getEntries();
+        expect(entries).toHaveLength(12);
+        expect(new Set(entries.map(entry => entry.id)).size).toBe(12);
+
+        const feedRequests = server.requests.filter(req => req.method === 'GET' && req.path.endsWith('/atom/entry'));
+        expect(feedRequests.length).toBeGreaterThanOrEqual(3);
+
+        await expect(service.getEntries({ limit: 7 })).resolves.toHaveLength(7);
+    });
+
+    test('getEntries stops at entries older than since', async () => {
+        const old = server.createEntry({ title: '古い記事', updated: '2020-01-01T00:00:00Z' });
+        await service.publishPost(blogPost('新しい記事'));
+
+        const entries = await service.getEntries({ since: '2024-01-01' });
+        expect(entries.map(entry => entry.title)).toEqual(['新しい記事']);
+        expect(entries.map(entry => entry.id)).not.toContain(old.id);
+    });
+
+    test('updateEntry and deleteEntry modify the stored entry', async () => {
+        const { id } = await service.publishPost(blogPost('更新前'));
+
+        const updated = await service.updateEntry(id, blogPost('更新後', { tags: ['更新'] }));
+        expect(updated.title).toBe('更新後');
+        expect(updated.categories).toEqual(['Facebook投稿', '更新']);
+
+        await expect(service.deleteEntry(id)).resolves.toBe(true);
+        await expect(service.getEntry(id)).rejects.toMatchObject({ response: { status: 404 } });
+    });
+
+    test('getCategories lists categories used by entries', async () => {
+        await service.publishPost(blogPost('カテゴリ', { tags: ['旅行', '写真'] }));
+        await expect(service.getCategories()).resolves.toEqual(['Facebook投稿', '旅行', '写真']);
+    });
+
+    test('the category is sent once even when it is also a tag', async () => {
+        const { id } = await service.publishPost(blogPost('重複カテゴリ', { tags: ['Facebook投稿', '旅行'] }));
+        await expect(service.getEntry(id)).resolves.toMatchObject({ categories: ['Facebook投稿', '旅行'] });
+    });
+
+    test('getPostStats reads dates from the entry', async () => {
+        const { id } = await service.publishPost(blogPost('統計'));
+        const stats = await service.getPostStats(id);
+
+        expect(stats.published).toBeTruthy();
+        expect(stats.draft).toBe(false);
+    });
+});
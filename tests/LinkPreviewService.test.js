@@ -0,0 +1,163 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { LinkProcessor } = require('../src/utils/LinkProcessor');
+const { LinkPreviewService } = require('../src/services/LinkPreviewService');
+const { FakeSiteServer } = require('../src/dev/FakeSiteServer');
+
+describe('LinkProcessor', () => {
+    const processor = new LinkProcessor({ trackingParams: ['ref_src'], dropPatterns: ['^https://ads\\.example\\.com/'] });
+
+    test('unwraps Facebook redirects and strips tracking parameters', () => {
+        const wrapped = 'https://l.facebook.com/l.php?u=' +
+            encodeURIComponent('https://www.example.com/blog/post?id=42&utm_source=facebook&fbclid=IwAR0example') +
+            '&h=AT0example&__tn__=-UK-R';
+
+        expect(processor.process([
+            { url: wrapped, text: '' },
+            { url: 'https://lm.facebook.com/l.php?u=' + encodeURIComponent('https://www.example.com/blog/post?id=42'), text: '記事' },
+            { url: 'https://news.example.org/a?ref_src=twsrc&page=2', text: 'News' }
+        ])).toEqual([
+            { url: 'https://www.example.com/blog/post?id=42', text: '記事' },
+            { url: 'https://news.example.org/a?page=2', text: 'News' }
+        ]);
+    });
+
+    test('drops Facebook chrome links, non-http links and configured patterns', () => {
+        expect(processor.process([
+            { url: 'https://www.facebook.com/n/?permalink.php&story_fbid=1&medium=email', text: 'View Post' },
+            { url: 'https://www.facebook.com/o.php?k=AS0example&u=1', text: 'unsubscribe' },
+            { url: 'https://www.facebook.com/email_forward_notice/?mid=1', text: 'Learn more' },
+            { url: 'https://www.facebook.com/settings?tab=notifications', text: '設定' },
+            { url: 'mailto:someone@example.com', text: 'mail' },
+            { url: 'https://ads.example.com/click?id=1', text: 'ad' },
+            { url: 'https://www.facebook.com/events/123456/', text: 'Event' }
+        ])).toEqual([
+            { url: 'https://www.facebook.com/events/123456/', text: 'Event' }
+        ]);
+    });
+});
+
+describe('LinkPreviewService (FakeSiteServer)', () => {
+    let server;
+    let cacheDir;
+
+    const createService = (options = {}) => new LinkPreviewService({
+        cachePath: path.join(cacheDir, 'link-previews.json'),
+        timeout: 500,
+        ...options
+    });
+
+    const blogPost = {
+        title: 'パン作りの記事',
+        content: '## はじめに\n\n冬のパン作りについて。\n\n---\n\n*この記事はFacebookの投稿をもとに作成しました。*',
+        metadata: {}
+    };
+
+    const requestsTo = pagePath => server.requests.filter(req => req.path === pagePath);
+
+    beforeEach(async () => {
+        cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'link-previews-'));
+        server = new FakeSiteServer();
+        await server.start();
+    });
+
+    afterEach(async () => {
+        await server.stop();
+        await fs.remove(cacheDir);
+    });
+
+    test('fetches OpenGraph metadata and caches it per URL', async () => {
+        const url = server.addPage('/sourdough', {
+            title: 'How to Keep Your Sourdough Starter Happy',
+            description: 'Winter tips for bakers.',
+            image: '/images/starter.jpg',
+            siteName: 'Example Bakery'
+        });
+        const service = createService();
+
+        await expect(service.fetchPreview(url)).resolves.toMatchObject({
+            url: url,
+            title: 'How to Keep Your Sourdough Starter Happy',
+            description: 'Winter tips for bakers.',
+            image: `${server.url}/images/starter.jpg`,
+            siteName: 'Example Bakery'
+        });
+        expect(requestsTo('/sourdough')[0].headers['user-agent']).toBe('FacebookBlogAutomation/1.0');
+
+        // 別のインスタンスでもファイルのキャッシュを使う
+        await createService().fetchPreview(url);
+        expect(requestsTo('/sourdough')).toHaveLength(1);
+    });
+
+    test('falls back to <title> and the meta description', async () => {
+        const url = server.addPage('/plain', {
+            html: '<html><head><title> 京都の  喫茶店 </title><meta name="description" content="老舗の喫茶店を巡る"></head></html>'
+        });
+
+        await expect(createService().fetchPreview(url)).resolves.toMatchObject({
+            title: '京都の 喫茶店',
+            description: '老舗の喫茶店を巡る',
+            image: null,
+            siteName: '127.0.0.1'
+        });
+    });
+
+    test('records timeouts and non-HTML responses as failures', async () => {
+        const slow = server.addPage('/slow', { title: '遅いページ', delay: 2000 });
+        const pdf = server.addPage('/file.pdf', { html: '%PDF-1.4', contentType: 'application/pdf' });
+        const service = createService({ timeout: 200 });
+
+        const slowPreview = await service.fetchPreview(slow);
+        expect(slowPreview.error).toMatch(/timeout/i);
+        expect(slowPreview.title).toBeUndefined();
+        await expect(service.fetchPreview(pdf)).resolves.toMatchObject({ error: expect.stringContaining('HTMLではありません') });
+
+        // 失敗も一定時間はキャッシュし、再取得しない
+        await service.fetchPreview(slow);
+        expect(requestsTo('/slow')).toHaveLength(1);
+    });
+
+    test('renders Markdown link cards before the footer', async () => {
+        const url = server.addPage('/sourdough', {
+            title: 'Sourdough [Winter]',
+            description: 'Winter tips for bakers.',
+            image: '/images/starter.jpg',
+            siteName: 'Example Bakery'
+        });
+        const missing = `${server.url}/missing`;
+        const service = createService();
+
+        const { blogPost: result, links } = await service.embedLinks(blogPost, {
+            links: [{ url, text: 'Sourdough' }, { url: missing, text: '消えたページ' }]
+        }, { platform: 'wordpress' });
+
+        expect(links).toHaveLength(2);
+        expect(result.content).toBe([
+            '## はじめに',
+            '冬のパン作りについて。',
+            `> [![Sourdough Winter](${server.url}/images/starter.jpg)](${url})  \n` +
+            `> **[Sourdough Winter](${url})**  \n` +
+            '> Winter tips for bakers.  \n' +
+            '> Example Bakery',
+            `[消えたページ](${missing})`,
+            '---',
+            '*この記事はFacebookの投稿をもとに作成しました。*'
+        ].join('\n\n'));
+    });
+
+    test('uses Hatena embed notation on Hatena Blog', async () => {
+        const first = server.addPage('/first', { title: '1つ目' });
+        const second = server.addPage('/second', { title: '2つ目' });
+        const third = server.addPage('/third', { title: '3つ目' });
+        const service = createService({ platform: 'hatena', maxLinks: 2 });
+
+        const { blogPost: result } = await service.embedLinks(blogPost, {
+            links: [{ url: first, text: '' }, { url: second, text: '' }, { url: third, text: '' }]
+        });
+
+        expect(result.content).toContain(`[${first}:embed:cite]\n\n[${second}:embed:cite]\n\n---`);
+        expect(result.content).not.toContain(third);
+        expect(requestsTo('/third')).toHaveLength(0);
+    });
+});
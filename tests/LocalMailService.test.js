@@ -0,0 +1,38 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { LocalMailService } = require('../src/services/LocalMailService');
+
+describe('LocalMailService', () => {
+    let mailDir;
+
+    const createService = () => new LocalMailService({
+        mailDir,
+        statePath: path.join(mailDir, '.processed.json'),
+        query: 'from:facebookmail.com OR from:notification+*@facebookmail.com'
+    });
+
+    beforeEach(async () => {
+        mailDir = await fs.mkdtemp(path.join(os.tmpdir(), 'mailbox-'));
+        await fs.copy(path.join(__dirname, 'fixtures', 'parser', 'group-post-ja.eml'), path.join(mailDir, '1-facebook.eml'));
+        await fs.writeFile(path.join(mailDir, '2-friend.eml'), 'From: friend@example.com\r\nSubject: 別件\r\n\r\n本文\r\n');
+    });
+
+    afterEach(async () => {
+        await fs.remove(mailDir);
+    });
+
+    test('applies the from: filter of the search query like GmailService', async () => {
+        const service = createService();
+        await service.authenticate();
+
+        const emails = await service.getFacebookNotifications();
+        expect(emails.map(email => email.id)).toEqual(['1-facebook']);
+
+        // 送信者が一致しないメールは次回から読み込まない
+        const restarted = createService();
+        await restarted.authenticate();
+        expect(restarted.processed.has('2-friend')).toBe(true);
+        expect(restarted.processed.has('1-facebook')).toBe(false);
+    });
+});
@@ -0,0 +1,53 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { MediaService } = require('../src/services/MediaService');
+const { postOf } = require('./fixtures/posts');
+
+// 幅・高さだけを持つ PNG（サイズ判定に使うヘッダーのみ）
+const pngOf = (width, height) => {
+    const data = Buffer.alloc(24);
+    data.writeUInt32BE(0x89504e47, 0);
+    data.writeUInt32BE(width, 16);
+    data.writeUInt32BE(height, 20);
+    return data;
+};
+
+describe('MediaService', () => {
+    let cacheDir;
+    let uploader;
+    let media;
+
+    const blogPost = { title: '週末のパン作り', content: '> 週末にパンを焼きました。\n\n## 感想\n\nおいしくできました。', tags: [], metadata: {} };
+    const postData = postOf({ images: [{ url: 'https://scontent.xx.fbcdn.net/v/t39.30808-6/1_n.jpg', alt: '焼きたてのパン' }] });
+
+    beforeEach(async () => {
+        cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+        uploader = { uploadImage: jest.fn(async () => ({ syntax: 'f:id:example:20241025100000p:image', imageUrl: 'https://cdn-ak.f.st-hatena.com/images/fotolife/e/example/20241025/20241025100000.png' })) };
+        media = new MediaService({ enabled: true, platform: 'hatena', uploader, cachePath: path.join(cacheDir, 'media-cache.json') });
+        jest.spyOn(media, 'download').mockResolvedValue(pngOf(800, 600));
+    });
+
+    afterEach(async () => {
+        await fs.remove(cacheDir);
+    });
+
+    test('chooses the uploader and the image syntax for the platform of each post', async () => {
+        const wordpress = await media.embedImages(blogPost, postData, { platform: 'wordpress' });
+        expect(uploader.uploadImage).not.toHaveBeenCalled();
+        expect(wordpress.blogPost.content).toContain('![焼きたてのパン](https://scontent.xx.fbcdn.net/v/t39.30808-6/1_n.jpg)');
+
+        const hatena = await media.embedImages(blogPost, postData, { platform: 'hatena' });
+        expect(uploader.uploadImage).toHaveBeenCalledTimes(1);
+        expect(hatena.blogPost.content).toContain('[f:id:example:20241025100000p:image]');
+    });
+
+    test('an image uploaded for a hatena post is embedded by its URL in other blogs', async () => {
+        await media.embedImages(blogPost, postData);
+
+        const staticSite = await media.embedImages(blogPost, postData, { platform: 'static' });
+        expect(uploader.uploadImage).toHaveBeenCalledTimes(1);
+        expect(staticSite.blogPost.content).not.toContain('[f:id:');
+        expect(staticSite.blogPost.content).toContain('![焼きたてのパン](https://cdn-ak.f.st-hatena.com/images/fotolife/e/example/20241025/20241025100000.png)');
+    });
+});
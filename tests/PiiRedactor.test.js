@@ -0,0 +1,130 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PiiRedactor } = require('../src/utils/PiiRedactor');
+const { postOf } = require('./fixtures/posts');
+const { createAutomation } = require('./fixtures/automation');
+
+describe('PiiRedactor', () => {
+    const redactor = new PiiRedactor({ enabled: true, mode: 'placeholder', names: ['鈴木 一郎', 'Jane Doe'] });
+
+    const redactedTypes = text => {
+        const { report } = redactor.redact(postOf({ content: text }));
+        return report.items.map(item => item.type);
+    };
+
+    test.each([
+        ['090-1234-5678に連絡ください', 'phone'],
+        ['代表は03 1234 5678です', 'phone'],
+        ['Call +81 90-1234-5678 tonight', 'phone'],
+        ['Call (555) 123-4567 tonight', 'phone'],
+        ['連絡先 taro.yamada@example.com まで', 'email'],
+        ['〒100-0001 に送ってください', 'postalCode'],
+        ['住所は東京都千代田区千代田1-1です', 'address'],
+        ['We moved to 123 Main Street, Apt 4 last month', 'address']
+    ])('detects %s', (text, type) => {
+        expect(redactedTypes(text)).toEqual([type]);
+    });
+
+    test.each([
+        '2024-10-25に開催',
+        '参加者は123名でした',
+        'Version 1.2.3 is out'
+    ])('leaves %s alone', text => {
+        expect(redactedTypes(text)).toEqual([]);
+    });
+
+    test('an address containing a postal code is redacted as one address', () => {
+        const { postData } = redactor.redact(postOf({ content: '〒100-0001 東京都千代田区千代田1-1 に集合' }));
+        expect(postData.content).toMatch(/^\[ADDRESS_[0-9a-f]{6}\] に集合$/);
+    });
+
+    test('the same value always gets the same placeholder and can be restored', () => {
+        const { postData, mapping } = redactor.redact(postOf({ content: '090-1234-5678 / 090-1234-5678' }));
+        const [first, second] = postData.content.split(' / ');
+        expect(first).toBe(second);
+
+        const restored = redactor.restore({ title: first, content: postData.content, tags: [] }, mapping);
+        expect(restored.content).toBe('090-1234-5678 / 090-1234-5678');
+    });
+
+    test('names in privacy.names are redacted in the author, group, content and links', () => {
+        const { postData, mapping } = redactor.redact(postOf({
+            author: '鈴木 一郎',
+            group: 'Jane Doe Fan Club',
+            content: '鈴木 一郎さんとJane Doeさんに会いました',
+            links: [{ url: 'https://example.com/', text: 'Jane Doeのブログ' }]
+        }));
+
+        const serialized = JSON.stringify(postData);
+        expect(serialized).not.toContain('鈴木 一郎');
+        expect(serialized).not.toContain('Jane Doe');
+        expect(postData.author).toMatch(/^\[NAME_[0-9a-f]{6}\]$/);
+        expect(redactor.restorePostData(postData, mapping)).toMatchObject({ author: '鈴木 一郎', group: 'Jane Doe Fan Club' });
+    });
+
+    test('authors not listed in privacy.names are kept', () => {
+        expect(redactor.redact(postOf({ content: 'こんにちは' })).postData.author).toBe('山田 太郎');
+    });
+
+    test('mask mode hides the characters and keeps no mapping', () => {
+        const masker = new PiiRedactor({ enabled: true, mode: 'mask' });
+        const { postData, mapping } = masker.redact(postOf({ content: 'mail: a@example.com' }));
+        expect(postData.content).toBe('mail: *@*******.***');
+        expect(mapping).toEqual({});
+    });
+
+    test('strip removes placeholders left in the title, tags and summary', () => {
+        const { postData } = redactor.redact(postOf({ author: '鈴木 一郎', content: '090-1234-5678' }));
+        const stripped = redactor.strip({
+            title: `${postData.author}さんの週末`,
+            content: `連絡先は${postData.content}です`,
+            summary: `${postData.author}さんとパンを焼きました`,
+            tags: [postData.author, 'パン', `${postData.author} `],
+            metadata: { sourceAuthor: postData.author }
+        });
+
+        expect(stripped).toEqual({
+            title: '○○さんの週末',
+            content: '連絡先は○○です',
+            summary: '○○さんとパンを焼きました',
+            metaDescription: undefined,
+            tags: ['パン'],
+            metadata: { sourceAuthor: '○○' }
+        });
+    });
+
+    describe('publishing a redacted article', () => {
+        let dataDir;
+
+        beforeEach(async () => {
+            dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'redaction-'));
+        });
+
+        afterEach(async () => {
+            await fs.remove(dataDir);
+        });
+
+        test('placeholders kept in the draft never reach the blog', async () => {
+            const publisher = { publishPost: jest.fn(async () => ({ id: 'entry-1', url: 'https://example.hatenablog.com/entry/1' })) };
+            const automation = createAutomation(dataDir, { publisher, redactor: new PiiRedactor({ enabled: true, names: ['鈴木 一郎'], restoreInDrafts: false }) });
+            const redaction = automation.redactor.redact(postOf({ author: '鈴木 一郎' }));
+            const name = redaction.postData.author;
+
+            const { id } = await automation.saveDraft(
+                { title: `${name}さんのパン`, content: `${name}さんがパンを焼きました。`, summary: `${name}さんの投稿`, tags: [name, 'パン'], metadata: {} },
+                redaction.postData, 'msg1', {}, redaction
+            );
+            await automation.publishDraft(id, { force: true });
+
+            const published = publisher.publishPost.mock.calls[0][0];
+            expect(published).toMatchObject({
+                title: '○○さんのパン',
+                content: '○○さんがパンを焼きました。',
+                summary: '○○さんの投稿',
+                tags: ['パン'],
+                metadata: { sourceAuthor: '○○' }
+            });
+        });
+    });
+});
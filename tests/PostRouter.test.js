@@ -0,0 +1,138 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PostRouter } = require('../src/utils/PostRouter');
+const { DigestService } = require('../src/services/DigestService');
+const { postOf } = require('./fixtures/posts');
+
+describe('PostRouter rules', () => {
+    const createRouter = (rules, options = {}) => new PostRouter({
+        blogs: { tech: { platform: 'wordpress' }, family: { platform: 'wordpress' } },
+        rules,
+        ...options
+    });
+
+    test('the first rule whose conditions all match wins', () => {
+        const router = createRouter([
+            { name: 'tech', author: '山田 太郎', keywords: ['JavaScript', 'AWS'], blog: 'tech', category: '技術' },
+            { name: 'yamada', author: '山田 太郎', blog: 'family', autoPost: true },
+            { name: 'photos', postType: 'photo', blog: 'tech', category: '写真' }
+        ]);
+
+        expect(router.resolve(postOf({ content: 'AWSの勉強会に参加しました。' }))).toMatchObject({ rule: 'tech', blog: 'tech', category: '技術', autoPost: false });
+        // 後のルールにも当てはまるが、先に当てはまったルールを使う
+        expect(router.resolve(postOf({ postType: 'photo' }))).toMatchObject({ rule: 'yamada', blog: 'family', category: null, autoPost: true });
+        expect(router.resolve(postOf({ author: '佐藤 花子', postType: 'photo' }))).toMatchObject({ rule: 'photos', category: '写真' });
+    });
+
+    test('settings left out of the rule keep the defaults', () => {
+        const router = createRouter([{ name: 'family', group: '家族', blog: 'family', titlePrefix: '', tags: '家族' }]);
+        const defaults = router.resolve(postOf());
+
+        expect(defaults).toEqual({ ...router.defaults });
+        expect(router.resolve(postOf({ group: '家族' }))).toEqual({
+            ...router.defaults,
+            rule: 'family',
+            blog: 'family',
+            titlePrefix: '',
+            tags: ['家族']
+        });
+    });
+
+    test('minImportance rules use the importance score', () => {
+        const router = createRouter([{ name: 'important', minImportance: 5, autoPost: true }], {
+            importance: post => post.postType === 'photo' ? 7 : 3
+        });
+
+        expect(router.resolve(postOf({ postType: 'photo' }))).toMatchObject({ rule: 'important', autoPost: true });
+        expect(router.resolve(postOf())).toMatchObject({ rule: null });
+    });
+
+    test.each([
+        [{ blog: 'tech' }, 'ルーティングのルールに条件がありません'],
+        [{ author: '山田 太郎' }, 'ルーティングのルールに設定がありません'],
+        [{ author: '山田 太郎', blog: 'unknown' }, '投稿先のブログが定義されていません'],
+        [{ author: '山田 太郎', template: 'missing' }, 'プロンプトテンプレートが見つかりません'],
+        [{ author: '山田 太郎', autoPost: 'yes' }, 'autoPost は true / false で指定してください'],
+        [{ author: '山田 太郎', minImportance: 5, blog: 'tech' }, '重要度の計算（importance）が必要です']
+    ])('rejects an invalid rule %j', (rule, message) => {
+        expect(() => createRouter([rule])).toThrow(message);
+    });
+});
+
+describe('PostRouter digests', () => {
+    let bufferDir;
+
+    const createRouter = () => new PostRouter({
+        blogs: { family: { platform: 'wordpress' }, photo: { platform: 'wordpress' } },
+        rules: [
+            { name: 'family', author: '山田 太郎', blog: 'family' },
+            { name: 'photo-club', group: '京都写真部', blog: 'photo' }
+        ]
+    });
+
+    const digestOf = async (groupBy, posts) => {
+        const service = new DigestService({ enabled: true, groupBy, bufferPath: path.join(bufferDir, `${groupBy}.json`) });
+        for (const [i, post] of posts.entries()) {
+            await service.add(`msg${i}`, post);
+        }
+        const [key] = await service.dueKeys({ force: true });
+        const digest = await service.prepare(key, { force: true });
+        return { service, digest };
+    };
+
+    beforeEach(async () => {
+        bufferDir = await fs.mkdtemp(path.join(os.tmpdir(), 'post-router-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(bufferDir);
+    });
+
+    test('routes an author digest by the real author, not the display label', async () => {
+        const { service, digest } = await digestOf('author', [postOf(), postOf({ content: '今日は山登り。' })]);
+
+        expect(service.toPostData(digest).author).toBe('山田 太郎さん');
+        expect(createRouter().resolve(service.toRoutingData(digest))).toMatchObject({ rule: 'family', blog: 'family' });
+    });
+
+    test('routes a group digest by the group', async () => {
+        const { service, digest } = await digestOf('group', [
+            postOf({ author: '佐藤 花子', group: '京都写真部' }),
+            postOf({ author: '高橋 健', group: '京都写真部' })
+        ]);
+
+        expect(createRouter().resolve(service.toRoutingData(digest))).toMatchObject({ rule: 'photo-club', blog: 'photo' });
+    });
+
+    test('a digest of several authors does not match author rules', async () => {
+        const { service, digest } = await digestOf('all', [postOf(), postOf({ author: '佐藤 花子' })]);
+
+        expect(createRouter().resolve(service.toRoutingData(digest))).toMatchObject({ rule: null, blog: createRouter().defaultBlog });
+    });
+});
+
+describe('PostRouter languages', () => {
+    const createRouter = rules => new PostRouter({
+        blogs: { english: { platform: 'wordpress', language: 'en' }, family: { platform: 'wordpress' } },
+        rules
+    });
+
+    test('a blog-level language applies unless the rule sets one', () => {
+        const router = createRouter([
+            { name: 'english', author: '山田 太郎', blog: 'english' },
+            { name: 'bilingual', author: 'Jane Doe', blog: 'english', language: 'bilingual' },
+            { name: 'family', author: '佐藤 花子', blog: 'family' }
+        ]);
+
+        expect(router.resolve(postOf())).toMatchObject({ blog: 'english', language: 'en' });
+        expect(router.resolve(postOf({ author: 'Jane Doe' }))).toMatchObject({ blog: 'english', language: 'bilingual' });
+        expect(router.resolve(postOf({ author: '佐藤 花子' }))).toMatchObject({ blog: 'family', language: null });
+        expect(router.resolve(postOf({ author: '高橋 健' }))).toMatchObject({ rule: null, language: null });
+    });
+
+    test('rejects an unsupported blog-level language', () => {
+        expect(() => new PostRouter({ blogs: { english: { platform: 'wordpress', language: 'fr' } }, rules: [] }))
+            .toThrow('blog.blogs.english: fr');
+    });
+});
@@ -0,0 +1,176 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { ProcessingLedger } = require('../src/utils/ProcessingLedger');
+const { postOf } = require('./fixtures/posts');
+const { createAutomation } = require('./fixtures/automation');
+
+const postData = postOf();
+const blogPost = { title: '週末のパン作り', content: '## パンを焼きました', tags: [], metadata: {} };
+
+describe('ProcessingLedger', () => {
+    let dataDir;
+    let ledgerPath;
+
+    beforeEach(async () => {
+        dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'ledger-'));
+        ledgerPath = path.join(dataDir, 'processing-ledger.jsonl');
+    });
+
+    afterEach(async () => {
+        await fs.remove(dataDir);
+    });
+
+    test('reloads the recorded stages and ignores a torn last line', async () => {
+        const ledger = new ProcessingLedger({ path: ledgerPath });
+        await ledger.record('msg1', 'fetched', { subject: '件名' });
+        await ledger.record('msg1', 'publishing');
+        await ledger.record('msg1', 'publish_failed', { error: 'timeout' });
+        await fs.appendFile(ledgerPath, '{"messageId":"msg1","stage":"publ');
+
+        const reloaded = new ProcessingLedger({ path: ledgerPath });
+        await reloaded.load();
+
+        expect(reloaded.get('msg1', 'fetched')).toMatchObject({ subject: '件名' });
+        // 投稿失敗を記録すると投稿中の記録は外れ、再試行できる
+        expect(reloaded.has('msg1', 'publishing')).toBe(false);
+        expect(reloaded.get('msg1', 'publish_failed')).toMatchObject({ error: 'timeout' });
+        await expect(reloaded.record('msg1', 'unknown')).rejects.toThrow('不明な処理ステージです');
+    });
+
+    test('load() picks up records written by another process', async () => {
+        const daemon = new ProcessingLedger({ path: ledgerPath });
+        const cli = new ProcessingLedger({ path: ledgerPath });
+        await daemon.record('msg1', 'drafted', { draftId: 'draft1' });
+
+        await cli.record('msg1', 'published', { entryId: 'entry-1' });
+        expect(daemon.has('msg1', 'published')).toBe(false);
+
+        await daemon.load();
+        expect(daemon.get('msg1', 'published')).toMatchObject({ entryId: 'entry-1' });
+        expect(daemon.get('msg1', 'drafted')).toMatchObject({ draftId: 'draft1' });
+    });
+
+    test('a record appended after a torn line is kept', async () => {
+        await new ProcessingLedger({ path: ledgerPath }).record('msg1', 'fetched');
+        await fs.appendFile(ledgerPath, '{"messageId":"msg1","stage":"publ');
+
+        const ledger = new ProcessingLedger({ path: ledgerPath });
+        await ledger.record('msg1', 'parsed', { postData });
+
+        const reloaded = new ProcessingLedger({ path: ledgerPath });
+        await reloaded.load();
+        expect(reloaded.has('msg1', 'fetched')).toBe(true);
+        expect(reloaded.has('msg1', 'parsed')).toBe(true);
+    });
+
+    describe('resuming after a crash', () => {
+        let mailSource;
+        let publisher;
+
+        // 前回のプロセスが stages まで記録して停止した状態から再開する
+        const resume = async (stages, options = {}) => {
+            const previous = new ProcessingLedger({ path: ledgerPath });
+            for (const [stage, details] of stages) {
+                await previous.record('msg1', stage, details);
+            }
+
+            const automation = createAutomation(dataDir, { mailSource, publisher, ...options });
+            await automation.ledger.load();
+            return automation;
+        };
+
+        const publishedStages = [
+            ['fetched', { subject: postData.originalEmail.subject }],
+            ['parsed', { postData }],
+            ['generated', { blogPost }],
+            ['media', { blogPost, images: [] }],
+            ['links', { blogPost, links: [] }],
+            ['drafted', { draftId: null, filepath: null }],
+            ['publishing', {}],
+            ['published', { blog: 'hatena', entryId: 'entry-1', url: 'https://example.hatenablog.com/entry/1' }]
+        ];
+
+        beforeEach(() => {
+            mailSource = { markAsProcessed: jest.fn(async () => {}) };
+            publisher = { publishPost: jest.fn(async () => ({ id: 'entry-2', url: 'https://example.hatenablog.com/entry/2' })) };
+        });
+
+        test('a post published before the crash is not published again and the email is completed', async () => {
+            const automation = await resume(publishedStages);
+
+            await automation.processEmail({ id: 'msg1', subject: postData.originalEmail.subject });
+
+            expect(publisher.publishPost).not.toHaveBeenCalled();
+            expect(mailSource.markAsProcessed).toHaveBeenCalledWith('msg1');
+            expect(automation.ledger.has('msg1', 'completed')).toBe(true);
+            expect(automation.ledger.get('msg1', 'published')).toMatchObject({ entryId: 'entry-1' });
+
+            // 次の実行では処理済みとして扱う
+            await automation.processEmail({ id: 'msg1', subject: postData.originalEmail.subject });
+            expect(publisher.publishPost).not.toHaveBeenCalled();
+        });
+
+        test('the publish queue records the earlier result instead of publishing again', async () => {
+            const automation = await resume(publishedStages, { queue: true });
+            await automation.publishQueue.enqueue({ id: 'msg1', blog: automation.router.defaultBlog, title: blogPost.title });
+
+            await expect(automation.drainPublishQueue({ force: true })).resolves.toHaveLength(1);
+
+            expect(publisher.publishPost).not.toHaveBeenCalled();
+            const [item] = Object.values((await automation.publishQueue.read()).items);
+            expect(item).toMatchObject({ status: 'published', url: 'https://example.hatenablog.com/entry/1' });
+        });
+
+        test('a post whose publish result is unknown is not published again', async () => {
+            const automation = await resume(publishedStages.filter(([stage]) => stage !== 'published'));
+
+            await automation.processEmail({ id: 'msg1', subject: postData.originalEmail.subject });
+
+            expect(publisher.publishPost).not.toHaveBeenCalled();
+            expect(automation.ledger.has('msg1', 'published')).toBe(false);
+            expect(automation.ledger.has('msg1', 'completed')).toBe(true);
+        });
+    });
+
+    describe('publishing a draft from the CLI while the daemon runs', () => {
+        let publisher;
+        let daemon;
+        let draftId;
+
+        beforeEach(async () => {
+            publisher = { publishPost: jest.fn(async () => ({ id: 'entry-1', url: 'https://example.hatenablog.com/entry/1' })) };
+            daemon = createAutomation(dataDir, { publisher, queue: true });
+            await daemon.ledger.load();
+
+            // 常駐プロセスが下書きを保存して投稿キューに追加した状態
+            ({ id: draftId } = await daemon.draftStore.save(blogPost, postData, { messageId: 'msg1' }));
+            await daemon.ledger.record('msg1', 'generated', { blogPost });
+            await daemon.ledger.record('msg1', 'drafted', { draftId });
+            await daemon.enqueuePublish('msg1', blogPost);
+        });
+
+        test('drafts publish takes the item out of the publish queue', async () => {
+            const cli = createAutomation(dataDir, { publisher, queue: true });
+            await cli.ledger.load();
+            await cli.publishDraft(draftId, { force: true });
+
+            await expect(daemon.drainPublishQueue({ force: true })).resolves.toEqual([]);
+            expect(publisher.publishPost).toHaveBeenCalledTimes(1);
+            const [item] = Object.values((await daemon.publishQueue.read()).items);
+            expect(item).toMatchObject({ status: 'published', url: 'https://example.hatenablog.com/entry/1' });
+        });
+
+        test.each([
+            ['published', 'published'],
+            ['publishing', 'held']
+        ])('a queued item whose draft is %s is not published again', async (draftStatus, queueStatus) => {
+            await daemon.draftStore.setStatus(draftId, draftStatus, { url: 'https://example.hatenablog.com/entry/1' });
+
+            await expect(daemon.drainPublishQueue({ force: true })).resolves.toEqual([]);
+            expect(publisher.publishPost).not.toHaveBeenCalled();
+            const [item] = Object.values((await daemon.publishQueue.read()).items);
+            expect(item.status).toBe(queueStatus);
+        });
+    });
+});
@@ -0,0 +1,97 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { PublishQueue } = require('../src/services/PublishQueue');
+
+describe('PublishQueue', () => {
+    let queueDir;
+
+    // キューのファイルを直接用意する（update() は7日より古い投稿済みの記録を削除するため）
+    const createQueue = async (items, limits = {}) => {
+        const queuePath = path.join(queueDir, 'publish-queue.json');
+        const store = { items: {} };
+        items.forEach((item, i) => {
+            const id = item.id || `msg${i}`;
+            store.items[id] = { id, blog: 'hatena', title: '', scheduledAt: null, enqueuedAt: `2024-10-01T00:00:0${i}.000Z`, status: 'queued', attempts: 0, ...item };
+        });
+        await fs.writeJson(queuePath, store);
+        return new PublishQueue({ path: queuePath, timezone: 'Asia/Tokyo', limits: { maxPerDay: 0, minGapMinutes: 0, quietHours: null, ...limits } });
+    };
+
+    const plannedOf = async (queue, now) => (await queue.list(new Date(now))).map(item => item.plannedAt);
+
+    beforeEach(async () => {
+        queueDir = await fs.mkdtemp(path.join(os.tmpdir(), 'publish-queue-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(queueDir);
+    });
+
+    describe('quietHours across midnight', () => {
+        const quietHours = { start: '22:00', end: '07:00' };
+
+        test.each([
+            ['before the quiet hours', '2024-10-25T12:00:00.000Z', '2024-10-25T12:00:00.000Z'],  // 21:00 JST
+            ['after midnight', '2024-10-25T16:00:00.000Z', '2024-10-25T22:00:00.000Z'],          // 01:00 JST → 07:00
+            ['at the start', '2024-10-25T13:00:00.000Z', '2024-10-25T22:00:00.000Z'],            // 22:00 JST → 07:00
+            ['at the end', '2024-10-25T22:00:00.000Z', '2024-10-25T22:00:00.000Z']               // 07:00 JST
+        ])('%s', async (_, now, plannedAt) => {
+            const queue = await createQueue([{}], { quietHours });
+
+            await expect(plannedOf(queue, now)).resolves.toEqual([plannedAt]);
+        });
+
+        test('before midnight waits until the end on the next day', async () => {
+            const queue = await createQueue([{}, {}], { quietHours, minGapMinutes: 30 });
+
+            // 23:30 JST → 翌日 07:00 と 07:30
+            await expect(plannedOf(queue, '2024-10-25T14:30:00.000Z')).resolves.toEqual([
+                '2024-10-25T22:00:00.000Z',
+                '2024-10-25T22:30:00.000Z'
+            ]);
+        });
+    });
+
+    describe('maxPerDay', () => {
+        test('counts posts by the date in the queue timezone', async () => {
+            // 2024-10-26 01:00 JST（UTCでは25日）に投稿済み
+            const queue = await createQueue([
+                { id: 'done', status: 'published', publishedAt: '2024-10-25T16:00:00.000Z' },
+                { id: 'next' }
+            ], { maxPerDay: 1 });
+
+            // 26日 08:00 JST は上限に達しているため、27日 00:00 JST
+            await expect(plannedOf(queue, '2024-10-25T23:00:00.000Z')).resolves.toEqual(['2024-10-26T15:00:00.000Z']);
+        });
+
+        test('a new local day starts at local midnight, not UTC midnight', async () => {
+            // 2024-10-25 23:00 JST に投稿済み
+            const queue = await createQueue([
+                { id: 'done', status: 'published', publishedAt: '2024-10-25T14:00:00.000Z' },
+                { id: 'next' }
+            ], { maxPerDay: 1 });
+
+            // 26日 01:00 JST（UTCではまだ25日）はすぐに投稿できる
+            await expect(plannedOf(queue, '2024-10-25T16:00:00.000Z')).resolves.toEqual(['2024-10-25T16:00:00.000Z']);
+        });
+
+        test('moves posts over the limit to the next day after the quiet hours', async () => {
+            const queue = await createQueue([{}, {}, {}], { maxPerDay: 2, quietHours: { start: '22:00', end: '07:00' } });
+
+            // 25日 21:00 JST に2件、3件目は26日 00:00 JST が静穏時間のため 07:00
+            await expect(plannedOf(queue, '2024-10-25T12:00:00.000Z')).resolves.toEqual([
+                '2024-10-25T12:00:00.000Z',
+                '2024-10-25T12:00:00.000Z',
+                '2024-10-25T22:00:00.000Z'
+            ]);
+        });
+    });
+
+    test('parseTime reads local times in the queue timezone', async () => {
+        const queue = await createQueue([]);
+
+        expect(queue.parseTime('2024-05-01 09:30').toISOString()).toBe('2024-05-01T00:30:00.000Z');
+        expect(queue.formatTime('2024-05-01T00:30:00.000Z')).toBe('2024-05-01 09:30');
+    });
+});
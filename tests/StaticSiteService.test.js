@@ -0,0 +1,49 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { StaticSiteService } = require('../src/services/StaticSiteService');
+
+describe('StaticSiteService', () => {
+    let siteDir;
+
+    const blogPost = (title, extra = {}) => ({
+        title: title,
+        content: `# ${title}\n\n本文`,
+        tags: [],
+        publishedAt: '2024-10-25T10:00:00.000Z',
+        ...extra
+    });
+
+    beforeEach(async () => {
+        siteDir = await fs.mkdtemp(path.join(os.tmpdir(), 'site-'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(siteDir);
+    });
+
+    test('a title with the same slug gets the date and then a short hash instead of failing', async () => {
+        const service = new StaticSiteService({ generator: 'hugo', siteDir, baseUrl: 'https://example.com' });
+
+        const first = await service.publishPost(blogPost('Weekend Baking'));
+        const second = await service.publishPost(blogPost('Weekend baking!'));
+        const third = await service.publishPost(blogPost('Weekend Baking'));
+
+        expect(first.id).toBe('weekend-baking');
+        expect(second.id).toBe('weekend-baking-20241025');
+        expect(third.id).toMatch(/^weekend-baking-[0-9a-f]{6}$/);
+        expect(third.url).toBe(`https://example.com/posts/${third.id}/`);
+        expect(await fs.readFile(first.filepath, 'utf8')).toContain('Weekend Baking');
+    });
+
+    test('publishing the same Japanese post again does not fail on the existing file', async () => {
+        const service = new StaticSiteService({ generator: 'jekyll', siteDir });
+
+        const first = await service.publishPost(blogPost('週末のパン作り'));
+        const second = await service.publishPost(blogPost('週末のパン作り'));
+
+        expect(first.id).toMatch(/^2024-10-25-\d{8}-\d{6}-[0-9a-f]{8}$/);
+        expect(second.id).toMatch(new RegExp(`^${first.id}-[0-9a-f]{6}$`));
+        await expect(fs.pathExists(second.filepath)).resolves.toBe(true);
+    });
+});
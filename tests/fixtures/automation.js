@@ -0,0 +1,31 @@
+const path = require('path');
+const { FacebookBlogAutomation } = require('../../src/index');
+const { ProcessingLedger } = require('../../src/utils/ProcessingLedger');
+const { FilterEngine } = require('../../src/utils/FilterEngine');
+const { PiiRedactor } = require('../../src/utils/PiiRedactor');
+const { PostRouter } = require('../../src/utils/PostRouter');
+const { DraftStore } = require('../../src/utils/DraftStore');
+const { DuplicateDetector } = require('../../src/utils/DuplicateDetector');
+const { PublishQueue } = require('../../src/services/PublishQueue');
+const { HealthMonitor } = require('../../src/services/HealthMonitor');
+const { DigestService } = require('../../src/services/DigestService');
+
+// dataDir の台帳・下書き・投稿キューを使う FacebookBlogAutomation（山田さんの投稿は自動投稿。options.queue / options.digest で投稿キュー・ダイジェストを有効化、options.redactor で秘匿化を指定）
+function createAutomation(dataDir, options = {}) {
+    return new FacebookBlogAutomation({
+        mailSource: options.mailSource,
+        publisher: options.publisher,
+        ledger: new ProcessingLedger({ path: path.join(dataDir, 'processing-ledger.jsonl') }),
+        draftStore: new DraftStore({ dir: path.join(dataDir, 'drafts') }),
+        digestService: new DigestService({ enabled: options.digest === true, bufferPath: path.join(dataDir, 'digest-buffer.json') }),
+        duplicateDetector: new DuplicateDetector({ path: path.join(dataDir, 'fingerprints.json') }),
+        redactor: options.redactor || new PiiRedactor({ enabled: false }),
+        filters: new FilterEngine({ enabled: false }),
+        router: new PostRouter({ blogs: {}, rules: [{ name: 'auto', author: '山田 太郎', autoPost: true }] }),
+        publishQueue: new PublishQueue({ enabled: options.queue === true, path: path.join(dataDir, 'publish-queue.json') }),
+        health: new HealthMonitor({ statePath: path.join(dataDir, 'health.json') }),
+        provider: 'stub'
+    });
+}
+
+module.exports = { createAutomation };
@@ -0,0 +1,19 @@
+/**
+ * テスト用の投稿データ（FacebookParser.extractPostData の結果と同じ形）
+ * 既定は「山田 太郎」さんの日本語の近況投稿。fields で項目を上書きする。
+ */
+function postOf(fields = {}) {
+    return {
+        author: '山田 太郎',
+        content: '週末にパンを焼きました。',
+        postType: 'status',
+        group: null,
+        date: '2024-10-25T10:00:00.000Z',
+        images: [],
+        links: [],
+        originalEmail: { subject: '山田 太郎さんが投稿しました', from: '', date: '' },
+        ...fields
+    };
+}
+
+module.exports = { postOf };
@@ -0,0 +1,2 @@
+// テスト中はエラー以外のログを出さない（jest の setupFiles）
+process.env.LOG_LEVEL = 'error';